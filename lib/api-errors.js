@@ -0,0 +1,138 @@
+// api-errors.js - Modelo das respostas de erro da API
+//
+// Toda resposta de erro tem o formato { code, error, details? }:
+// - code: identificador estável do erro (ex.: FILE_NOT_FOUND), para ser
+//   tratado pelos clientes no lugar da mensagem;
+// - error: mensagem em português (padrão) ou em inglês, conforme o parâmetro
+//   ?lang= ou o cabeçalho Accept-Language;
+// - details: informações adicionais, quando houver (ex.: os campos inválidos).
+//
+// Os erros lançados pelas rotas e módulos informam o status HTTP em statusCode
+// e, opcionalmente, o código em code. Sem code (ou com um code que não é do
+// catálogo, como os ENOENT do Node), vale o código padrão do status. A
+// mensagem vem de error.messages[idioma], se houver; senão, em português é
+// usada a mensagem do erro e, em inglês, a do catálogo.
+
+const LANGUAGES = ['pt-BR', 'en'];
+const DEFAULT_LANGUAGE = 'pt-BR';
+
+const ERROR_CODES = {
+  // Códigos padrão de cada status
+  VALIDATION_ERROR: { status: 400, 'pt-BR': 'Requisição inválida', en: 'Invalid request' },
+  UNAUTHENTICATED: { status: 401, 'pt-BR': 'Autenticação necessária', en: 'Authentication required' },
+  FORBIDDEN: { status: 403, 'pt-BR': 'Acesso negado', en: 'Access denied' },
+  NOT_FOUND: { status: 404, 'pt-BR': 'Recurso não encontrado', en: 'Resource not found' },
+  CONFLICT: { status: 409, 'pt-BR': 'Conflito com o estado atual do recurso', en: 'Conflict with the current state of the resource' },
+  GONE: { status: 410, 'pt-BR': 'Recurso não está mais disponível', en: 'Resource is no longer available' },
+  PAYLOAD_TOO_LARGE: { status: 413, 'pt-BR': 'Limite de tamanho excedido', en: 'Size limit exceeded' },
+  UNSUPPORTED_MEDIA_TYPE: { status: 415, 'pt-BR': 'Tipo de conteúdo não suportado', en: 'Unsupported media type' },
+  UNPROCESSABLE_CONTENT: { status: 422, 'pt-BR': 'Conteúdo não pôde ser processado', en: 'Content could not be processed' },
+  RATE_LIMITED: { status: 429, 'pt-BR': 'Limite de requisições excedido', en: 'Rate limit exceeded' },
+  INTERNAL_ERROR: { status: 500, 'pt-BR': 'Erro interno', en: 'Internal error' },
+  UPSTREAM_ERROR: { status: 502, 'pt-BR': 'Falha na comunicação com o servidor remoto', en: 'Remote server error' },
+  SERVICE_UNAVAILABLE: { status: 503, 'pt-BR': 'Serviço indisponível. Tente novamente mais tarde', en: 'Service unavailable. Try again later' },
+  UPSTREAM_TIMEOUT: { status: 504, 'pt-BR': 'Tempo esgotado no servidor remoto', en: 'Remote server timed out' },
+
+  // Requisição
+  INVALID_JSON: { status: 400, 'pt-BR': 'Corpo JSON malformado', en: 'Malformed JSON body' },
+  INVALID_PATH: { status: 400, 'pt-BR': 'Caminho inválido', en: 'Invalid path' },
+  UNKNOWN_SERVER: { status: 400, 'pt-BR': 'Servidor desconhecido', en: 'Unknown server' },
+  URL_NOT_ALLOWED: { status: 400, 'pt-BR': 'Destino da URL não permitido', en: 'URL destination not allowed' },
+  ROUTE_NOT_FOUND: { status: 404, 'pt-BR': 'Rota não encontrada', en: 'Route not found' },
+
+  // Autenticação e permissões
+  INVALID_TOKEN: { status: 403, 'pt-BR': 'Token inválido', en: 'Invalid token' },
+  INSUFFICIENT_SCOPE: { status: 403, 'pt-BR': 'Chave de API sem permissão para a operação', en: 'API key is not allowed to perform this operation' },
+  PATH_FORBIDDEN: { status: 403, 'pt-BR': 'Chave de API sem acesso ao caminho', en: 'API key has no access to this path' },
+
+  // Arquivos
+  FILE_NOT_FOUND: { status: 404, 'pt-BR': 'Arquivo não encontrado', en: 'File not found' },
+  DIRECTORY_NOT_FOUND: { status: 404, 'pt-BR': 'Diretório não encontrado', en: 'Directory not found' },
+  VERSION_NOT_FOUND: { status: 404, 'pt-BR': 'Versão não encontrada', en: 'Version not found' },
+  FILE_EXISTS: { status: 409, 'pt-BR': 'O arquivo já existe', en: 'File already exists' },
+  CONTENT_TYPE_NOT_ALLOWED: { status: 415, 'pt-BR': 'Tipo de arquivo não permitido neste diretório', en: 'File type not allowed in this directory' },
+  CHECKSUM_MISMATCH: { status: 422, 'pt-BR': 'Checksum não confere', en: 'Checksum mismatch' },
+  MALWARE_DETECTED: { status: 422, 'pt-BR': 'Arquivo rejeitado pela verificação de malware', en: 'File rejected by the malware scan' },
+  INTEGRITY_CHECK_FAILED: { status: 502, 'pt-BR': 'O arquivo gravado no servidor não confere com o enviado', en: 'The stored file does not match the uploaded one' },
+  SCANNER_UNAVAILABLE: { status: 503, 'pt-BR': 'Verificação de malware indisponível', en: 'Malware scan unavailable' },
+
+  // Uploads em partes, jobs e downloads via URL
+  UPLOAD_SESSION_NOT_FOUND: { status: 404, 'pt-BR': 'Sessão de upload não encontrada ou expirada', en: 'Upload session not found or expired' },
+  OFFSET_MISMATCH: { status: 409, 'pt-BR': 'Offset do upload incorreto', en: 'Upload offset mismatch' },
+  JOB_NOT_FOUND: { status: 404, 'pt-BR': 'Job não encontrado ou expirado', en: 'Job not found or expired' },
+  QUEUE_FULL: { status: 503, 'pt-BR': 'Fila de transferências cheia', en: 'Transfer queue is full' },
+  URL_FETCH_FAILED: { status: 502, 'pt-BR': 'Não foi possível baixar o arquivo da URL', en: 'Could not download the file from the URL' },
+  URL_FETCH_TIMEOUT: { status: 504, 'pt-BR': 'Tempo esgotado ao baixar o arquivo da URL', en: 'Timed out downloading the file from the URL' },
+
+  // Links temporários
+  LINK_NOT_FOUND: { status: 404, 'pt-BR': 'Link de download não encontrado ou expirado', en: 'Download link not found or expired' },
+  LINK_EXPIRED: { status: 410, 'pt-BR': 'Link de download expirado', en: 'Download link expired' },
+  LINK_EXHAUSTED: { status: 410, 'pt-BR': 'Limite de downloads do link atingido', en: 'Download link limit reached' },
+  LINK_INVALID_SIGNATURE: { status: 403, 'pt-BR': 'Assinatura do link inválida', en: 'Invalid link signature' },
+  IP_NOT_ALLOWED: { status: 403, 'pt-BR': 'Endereço IP não permitido', en: 'IP address not allowed' }
+};
+
+// Código padrão de cada status (o primeiro do catálogo com o status)
+const STATUS_CODES = {};
+for (const [code, entry] of Object.entries(ERROR_CODES)) {
+  if (!STATUS_CODES[entry.status]) STATUS_CODES[entry.status] = code;
+}
+
+// Idioma da resposta: ?lang= ou Accept-Language (pt-BR ou en)
+function resolveLanguage(req) {
+  const requested = req.query && typeof req.query.lang === 'string'
+    ? req.query.lang
+    : req.acceptsLanguages(...LANGUAGES, 'pt');
+
+  return typeof requested === 'string' && requested.toLowerCase().startsWith('en') ? 'en' : DEFAULT_LANGUAGE;
+}
+
+// Código de um erro: o informado em code, se for do catálogo, ou o do status
+function getErrorCode(error) {
+  if (typeof error.code === 'string' && ERROR_CODES[error.code]) {
+    return error.code;
+  }
+  return STATUS_CODES[error.statusCode] || (error.statusCode < 500 ? 'VALIDATION_ERROR' : 'INTERNAL_ERROR');
+}
+
+// Cria um erro com o status HTTP que a rota deve retornar e, opcionalmente, o
+// código do catálogo. extra acrescenta outros campos ao erro, como details ou
+// retryable (se vale a pena repetir a operação; ver transfer-jobs.js).
+function createApiError(statusCode, message, code = null, extra = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+// Mensagem padrão de um código no idioma informado
+function getErrorMessage(code, language = DEFAULT_LANGUAGE) {
+  const entry = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+  return entry[language] || entry[DEFAULT_LANGUAGE];
+}
+
+// Corpo da resposta de um erro com statusCode
+function buildErrorBody(error, language = DEFAULT_LANGUAGE) {
+  const code = getErrorCode(error);
+  let message = language === DEFAULT_LANGUAGE ? error.message : getErrorMessage(code, language);
+  if (error.messages && error.messages[language]) {
+    message = error.messages[language];
+  }
+
+  const body = { code, error: message };
+  if (error.details !== undefined) {
+    body.details = error.details;
+  }
+  return body;
+}
+
+module.exports = {
+  ERROR_CODES,
+  LANGUAGES,
+  createApiError,
+  resolveLanguage,
+  getErrorCode,
+  getErrorMessage,
+  buildErrorBody
+};
@@ -0,0 +1,194 @@
+// api-key-store.js - Chaves de API com permissões por operação e por caminho
+//
+// As chaves têm o formato ak_<id>_<segredo>. Apenas o hash SHA-256 do segredo
+// é armazenado; o valor completo é exibido uma única vez, na criação ou na
+// rotação. Cada chave define as operações permitidas, os prefixos de caminho
+// acessíveis, o diretório base (chroot), a validade e o limite de requisições.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeRemotePath } = require('./remote-path');
+const { createApiError } = require('./api-errors');
+
+const OPERATIONS = ['upload', 'download', 'list', 'link', 'delete', 'admin'];
+
+const KEY_PATTERN = /^ak_([0-9a-f]{12})_([0-9a-f]{64})$/;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Gera um novo segredo e o valor completo da chave
+function generateSecret(id) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { key: `ak_${id}_${secret}`, hash: hashSecret(secret) };
+}
+
+// Verifica se a chave ainda pode ser usada (não revogada e não expirada)
+function isKeyActive(record, now = Date.now()) {
+  if (!record || record.revokedAt) return false;
+  if (record.expiresAt && record.expiresAt < now) return false;
+  return true;
+}
+
+// Verifica se um caminho virtual está dentro de algum dos prefixos permitidos
+function isPathAllowed(record, virtualPath) {
+  return record.pathPrefixes.some(prefix =>
+    prefix === '/' || virtualPath === prefix || virtualPath.startsWith(`${prefix}/`));
+}
+
+// Valida e normaliza os atributos informados na criação da chave
+function normalizeKeyOptions({ name, operations, pathPrefixes, rootDir, expiresAt, rateLimit }) {
+  if (!name || typeof name !== 'string') {
+    throw createApiError(400, 'name é obrigatório');
+  }
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw createApiError(400, `operations deve ser uma lista com ao menos uma operação: ${OPERATIONS.join(', ')}`);
+  }
+  const unknown = operations.filter(operation => !OPERATIONS.includes(operation));
+  if (unknown.length > 0) {
+    throw createApiError(400, `Operações desconhecidas: ${unknown.join(', ')}`);
+  }
+
+  if (pathPrefixes !== undefined && (!Array.isArray(pathPrefixes) || pathPrefixes.length === 0)) {
+    throw createApiError(400, 'pathPrefixes deve ser uma lista com ao menos um caminho');
+  }
+
+  let expiration = null;
+  if (expiresAt) {
+    expiration = new Date(expiresAt).getTime();
+    if (Number.isNaN(expiration) || expiration <= Date.now()) {
+      throw createApiError(400, 'expiresAt deve ser uma data futura no formato ISO 8601');
+    }
+  }
+
+  if (rateLimit !== undefined && rateLimit !== null
+    && (!Number.isInteger(Number(rateLimit)) || Number(rateLimit) < 1)) {
+    throw createApiError(400, 'rateLimit deve ser um número inteiro maior que zero');
+  }
+
+  return {
+    name,
+    operations: Array.from(new Set(operations)),
+    pathPrefixes: (pathPrefixes || ['/']).map(prefix => normalizeRemotePath(prefix, 'pathPrefixes')),
+    rootDir: normalizeRemotePath(rootDir, 'rootDir'),
+    expiresAt: expiration,
+    rateLimit: rateLimit ? Number(rateLimit) : null
+  };
+}
+
+// Store em arquivo JSON, relido sempre que for alterado em disco
+class ApiKeyStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.keys = {};
+    this.lastMtime = 0;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this._reload();
+  }
+
+  _reload() {
+    try {
+      const stats = fs.statSync(this.filePath);
+      if (stats.mtimeMs === this.lastMtime) return;
+
+      this.keys = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.lastMtime = stats.mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Erro ao carregar chaves de API de ${this.filePath}:`, error);
+      }
+    }
+  }
+
+  _save() {
+    // Escrita atômica, com permissão apenas para o dono do processo
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.keys, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+    this.lastMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  // Cria uma chave. Retorna o registro e o valor completo da chave.
+  async create(options) {
+    this._reload();
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const { key, hash } = generateSecret(id);
+    const record = {
+      id,
+      ...normalizeKeyOptions(options),
+      hash,
+      createdAt: Date.now(),
+      rotatedAt: null,
+      revokedAt: null
+    };
+
+    this.keys[id] = record;
+    this._save();
+    return { key, record };
+  }
+
+  async get(id) {
+    this._reload();
+    return this.keys[id] || null;
+  }
+
+  async list() {
+    this._reload();
+    return Object.values(this.keys);
+  }
+
+  // Gera um novo segredo para a chave; o anterior deixa de funcionar
+  async rotate(id) {
+    this._reload();
+    const record = this.keys[id];
+    if (!isKeyActive(record)) return null;
+
+    const { key, hash } = generateSecret(id);
+    record.hash = hash;
+    record.rotatedAt = Date.now();
+    this._save();
+    return { key, record };
+  }
+
+  // Revoga a chave. O registro é mantido para consulta.
+  async revoke(id) {
+    this._reload();
+    const record = this.keys[id];
+    if (!record || record.revokedAt) return null;
+
+    record.revokedAt = Date.now();
+    this._save();
+    return record;
+  }
+
+  // Retorna o registro da chave informada no token, ou null se inválida
+  async verify(token) {
+    const match = KEY_PATTERN.exec(token || '');
+    if (!match) return null;
+
+    const record = await this.get(match[1]);
+    if (!isKeyActive(record)) return null;
+
+    const expected = Buffer.from(record.hash, 'hex');
+    const received = Buffer.from(hashSecret(match[2]), 'hex');
+    return crypto.timingSafeEqual(expected, received) ? record : null;
+  }
+}
+
+// Cria o store de chaves (API_KEYS_PATH, padrão data/api-keys.json)
+function createApiKeyStore(filePath = process.env.API_KEYS_PATH || path.join(__dirname, '..', 'data', 'api-keys.json')) {
+  return new ApiKeyStore(filePath);
+}
+
+module.exports = {
+  createApiKeyStore,
+  ApiKeyStore,
+  isKeyActive,
+  isPathAllowed,
+  OPERATIONS
+};
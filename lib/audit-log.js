@@ -0,0 +1,369 @@
+// audit-log.js - Trilha de auditoria das operações (uploads, downloads, listagens, links)
+//
+// Cada operação gera um registro com a chave de API, o IP do cliente, o
+// servidor e o caminho remoto, tamanho, hash, origem do arquivo, resultado e
+// duração. Os registros são apenas acrescentados, nunca alterados.
+//
+// Todos os stores expõem a mesma interface assíncrona:
+//   append(entry), query(filters, { limit, offset }) -> { total, hasMore, entries }
+// As consultas retornam os registros mais recentes primeiro. total pode ser
+// null quando o store não conta os registros (arquivo JSONL).
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createApiError } = require('./api-errors');
+
+// Tamanho dos blocos lidos do fim do arquivo JSONL nas consultas
+const READ_CHUNK_SIZE = 64 * 1024;
+
+const OUTCOMES = ['success', 'failure', 'aborted'];
+
+// Monta o registro completo, com id, data e os campos ausentes como null
+function buildEntry(entry) {
+  return {
+    id: uuidv4(),
+    timestamp: new Date().toISOString(),
+    operation: entry.operation,
+    keyId: entry.keyId || null,
+    clientIp: entry.clientIp || null,
+    server: entry.server || null,
+    path: entry.path || null,
+    size: Number.isFinite(entry.size) ? entry.size : null,
+    sha256: entry.sha256 || null,
+    source: entry.source || null,
+    outcome: entry.outcome,
+    statusCode: entry.statusCode || null,
+    error: entry.error || null,
+    durationMs: Number.isFinite(entry.durationMs) ? Math.round(entry.durationMs) : null,
+    details: entry.details || null
+  };
+}
+
+// Remove credenciais e query string de uma URL antes de registrá-la (links
+// pré-assinados costumam trazer tokens nos parâmetros)
+function redactUrl(value) {
+  try {
+    const url = new URL(value);
+    return `${url.protocol}//${url.host}${url.pathname}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Valida e normaliza os filtros da consulta (query string do GET /api/audit)
+function parseAuditFilters(query) {
+  const parseDate = (value, field) => {
+    if (!value) return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+      throw createApiError(400, `${field} deve ser uma data ISO 8601 válida`);
+    }
+    return time;
+  };
+  const parseList = value => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : null);
+
+  const outcomes = parseList(query.outcome);
+  if (outcomes && outcomes.some(outcome => !OUTCOMES.includes(outcome))) {
+    throw createApiError(400, `outcome deve ser ${OUTCOMES.join(', ')}`);
+  }
+
+  return {
+    operations: parseList(query.operation),
+    keyId: query.keyId || null,
+    server: query.server || null,
+    path: query.path ? path.posix.join('/', String(query.path)) : null,
+    outcomes,
+    from: parseDate(query.from, 'from'),
+    to: parseDate(query.to, 'to')
+  };
+}
+
+// O caminho do registro é o filtro ou está dentro dele
+function isUnderPath(entryPath, prefix) {
+  if (!entryPath) return false;
+  return prefix === '/' || entryPath === prefix || entryPath.startsWith(`${prefix}/`);
+}
+
+function matchesFilters(entry, filters) {
+  const time = Date.parse(entry.timestamp);
+
+  if (filters.operations && !filters.operations.includes(entry.operation)) return false;
+  if (filters.keyId && entry.keyId !== filters.keyId) return false;
+  if (filters.server && entry.server !== filters.server) return false;
+  if (filters.path && !isUnderPath(entry.path, filters.path)) return false;
+  if (filters.outcomes && !filters.outcomes.includes(entry.outcome)) return false;
+  if (filters.from !== null && time < filters.from) return false;
+  if (filters.to !== null && time > filters.to) return false;
+  return true;
+}
+
+// Lê as linhas do arquivo do fim para o início, em blocos de READ_CHUNK_SIZE.
+// Os blocos são divididos nas quebras de linha ainda em bytes, para não
+// cortar caracteres UTF-8 no meio.
+async function* readLinesReverse(filePath) {
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  try {
+    let position = (await handle.stat()).size;
+    // Início da linha cortada pelo bloco anterior
+    let remainder = Buffer.alloc(0);
+
+    while (position > 0) {
+      const length = Math.min(READ_CHUNK_SIZE, position);
+      position -= length;
+
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+      const data = Buffer.concat([chunk, remainder]);
+
+      // O começo do bloco pode ser o fim de uma linha anterior: fica para o
+      // próximo bloco (exceto no início do arquivo)
+      const start = position > 0 ? data.indexOf(0x0a) + 1 : 0;
+      if (position > 0 && start === 0) {
+        remainder = data;
+        continue;
+      }
+      remainder = data.subarray(0, start);
+
+      const lines = data.subarray(start).toString('utf8').split('\n');
+      for (let i = lines.length - 1; i >= 0; i--) {
+        yield lines[i];
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+// Store em arquivo JSONL (padrão): um registro JSON por linha, sempre
+// acrescentado ao final. Pode ser rotacionado externamente (ex.: logrotate).
+// As gravações são assíncronas: os registros recebidos durante uma gravação
+// são acumulados e gravados juntos na seguinte. As consultas leem o arquivo
+// do fim para o início e param quando a página está completa, por isso não
+// informam o total.
+class FileAuditLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.pending = [];
+    this.flushing = null;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  // Grava os registros pendentes; retorna a gravação em andamento, que só
+  // termina quando não houver mais registros pendentes
+  _flush() {
+    if (!this.flushing) {
+      this.flushing = (async () => {
+        while (this.pending.length > 0) {
+          const lines = this.pending.join('');
+          this.pending = [];
+          await fs.promises.appendFile(this.filePath, lines);
+        }
+      })().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async append(entry) {
+    const record = buildEntry(entry);
+    this.pending.push(`${JSON.stringify(record)}\n`);
+    await this._flush();
+    return record;
+  }
+
+  async query(filters, { limit, offset }) {
+    await this._flush();
+
+    // O arquivo está em ordem cronológica; a consulta retorna os mais recentes
+    // primeiro. Um registro além da página indica que há mais.
+    const entries = [];
+    let matched = 0;
+    let hasMore = false;
+
+    for await (const line of readLinesReverse(this.filePath)) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // Linha incompleta (ex.: gravação interrompida)
+        continue;
+      }
+      if (!matchesFilters(entry, filters)) continue;
+
+      if (matched >= offset + limit) {
+        hasMore = true;
+        break;
+      }
+      if (matched >= offset) {
+        entries.push(entry);
+      }
+      matched++;
+    }
+
+    return { total: null, hasMore, entries };
+  }
+}
+
+// Store em SQLite local (requer o pacote opcional better-sqlite3)
+class SqliteAuditLog {
+  constructor(filePath) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('AUDIT_LOG=sqlite requer o pacote better-sqlite3 instalado');
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id TEXT PRIMARY KEY,
+        timestamp INTEGER NOT NULL,
+        operation TEXT NOT NULL,
+        key_id TEXT,
+        client_ip TEXT,
+        server TEXT,
+        path TEXT,
+        size INTEGER,
+        sha256 TEXT,
+        source TEXT,
+        outcome TEXT NOT NULL,
+        status_code INTEGER,
+        error TEXT,
+        duration_ms INTEGER,
+        details TEXT
+      );
+      CREATE INDEX IF NOT EXISTS audit_log_timestamp ON audit_log (timestamp);
+    `);
+  }
+
+  _fromRow(row) {
+    return {
+      id: row.id,
+      timestamp: new Date(row.timestamp).toISOString(),
+      operation: row.operation,
+      keyId: row.key_id,
+      clientIp: row.client_ip,
+      server: row.server,
+      path: row.path,
+      size: row.size,
+      sha256: row.sha256,
+      source: row.source,
+      outcome: row.outcome,
+      statusCode: row.status_code,
+      error: row.error,
+      durationMs: row.duration_ms,
+      details: row.details ? JSON.parse(row.details) : null
+    };
+  }
+
+  async append(entry) {
+    const record = buildEntry(entry);
+
+    this.db.prepare(`
+      INSERT INTO audit_log
+        (id, timestamp, operation, key_id, client_ip, server, path, size, sha256, source, outcome, status_code, error, duration_ms, details)
+      VALUES
+        (@id, @timestamp, @operation, @keyId, @clientIp, @server, @path, @size, @sha256, @source, @outcome, @statusCode, @error, @durationMs, @details)
+    `).run({
+      ...record,
+      timestamp: Date.parse(record.timestamp),
+      details: record.details ? JSON.stringify(record.details) : null
+    });
+    return record;
+  }
+
+  async query(filters, { limit, offset }) {
+    const conditions = [];
+    const params = {};
+
+    if (filters.operations) {
+      conditions.push(`operation IN (${filters.operations.map((operation, index) => `@operation${index}`).join(', ')})`);
+      filters.operations.forEach((operation, index) => { params[`operation${index}`] = operation; });
+    }
+    if (filters.outcomes) {
+      conditions.push(`outcome IN (${filters.outcomes.map((outcome, index) => `@outcome${index}`).join(', ')})`);
+      filters.outcomes.forEach((outcome, index) => { params[`outcome${index}`] = outcome; });
+    }
+    if (filters.keyId) {
+      conditions.push('key_id = @keyId');
+      params.keyId = filters.keyId;
+    }
+    if (filters.server) {
+      conditions.push('server = @server');
+      params.server = filters.server;
+    }
+    if (filters.path && filters.path !== '/') {
+      // Prefixo comparado por substr, sem os curingas do LIKE
+      conditions.push('(path = @path OR substr(path, 1, length(@path) + 1) = @path || \'/\')');
+      params.path = filters.path;
+    }
+    if (filters.from !== null) {
+      conditions.push('timestamp >= @from');
+      params.from = filters.from;
+    }
+    if (filters.to !== null) {
+      conditions.push('timestamp <= @to');
+      params.to = filters.to;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM audit_log ${where}`).get(params);
+    const rows = this.db.prepare(`
+      SELECT * FROM audit_log ${where}
+      ORDER BY timestamp DESC, rowid DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset });
+
+    return { total, hasMore: offset + rows.length < total, entries: rows.map(row => this._fromRow(row)) };
+  }
+}
+
+// Store desativado (AUDIT_LOG=none)
+class NullAuditLog {
+  async append(entry) {
+    return buildEntry(entry);
+  }
+
+  async query() {
+    return { total: 0, hasMore: false, entries: [] };
+  }
+}
+
+// Cria o store de acordo com a configuração (AUDIT_LOG=file|sqlite|none)
+function createAuditLog(options = {}) {
+  const type = options.type || process.env.AUDIT_LOG || 'file';
+  const dataDir = options.dataDir || path.join(__dirname, '..', 'data');
+
+  switch (type) {
+    case 'file':
+      return new FileAuditLog(options.filePath || process.env.AUDIT_LOG_PATH || path.join(dataDir, 'audit.jsonl'));
+    case 'sqlite':
+      return new SqliteAuditLog(options.filePath || process.env.AUDIT_LOG_PATH || path.join(dataDir, 'audit.db'));
+    case 'none':
+      return new NullAuditLog();
+    default:
+      throw new Error(`Tipo de log de auditoria desconhecido: ${type}`);
+  }
+}
+
+module.exports = {
+  createAuditLog,
+  parseAuditFilters,
+  redactUrl,
+  FileAuditLog,
+  SqliteAuditLog
+};
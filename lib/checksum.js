@@ -0,0 +1,173 @@
+// checksum.js - Checksums (SHA-256/MD5) dos arquivos transferidos
+//
+// O cliente pode informar o checksum esperado no formato "<algoritmo>=<hex>"
+// (ex.: sha256=ab12...). O SHA-256 calculado pode ser gravado ao lado do
+// arquivo remoto, em um arquivo .sha256 no formato do sha256sum, e é usado
+// nos cabeçalhos Digest/ETag dos downloads.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Readable, Writable } = require('stream');
+const { createApiError } = require('./api-errors');
+
+// Algoritmos aceitos e o tamanho do digest em hexadecimal
+const SUPPORTED_ALGORITHMS = {
+  sha256: 64,
+  md5: 32
+};
+
+const SIDECAR_EXTENSION = '.sha256';
+// Tamanho máximo lido de um arquivo .sha256
+const SIDECAR_MAX_SIZE = 1024;
+
+// Interpreta um checksum no formato "<algoritmo>=<hex>" (ex.: sha256=ab12...)
+function parseChecksum(value) {
+  if (!value) return null;
+
+  const text = String(value);
+  const separatorIndex = text.indexOf('=');
+  const algorithm = text.substring(0, separatorIndex).trim().toLowerCase();
+  const digest = text.substring(separatorIndex + 1).trim().toLowerCase();
+
+  if (separatorIndex === -1 || !SUPPORTED_ALGORITHMS[algorithm]
+    || !/^[0-9a-f]+$/.test(digest) || digest.length !== SUPPORTED_ALGORITHMS[algorithm]) {
+    throw createApiError(400, 'Checksum inválido. Use o formato sha256=<hex> ou md5=<hex>');
+  }
+
+  return { algorithm, digest };
+}
+
+// Calcula o hash de um arquivo local
+async function hashFile(filePath, algorithm) {
+  const hash = crypto.createHash(algorithm);
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+// Calcula SHA-256 e MD5 de um arquivo local em uma única leitura e confere o
+// checksum esperado (resultado de parseChecksum), se informado
+async function checksumFile(filePath, expected = null) {
+  const hashes = Object.keys(SUPPORTED_ALGORITHMS).map(algorithm => [algorithm, crypto.createHash(algorithm)]);
+
+  await pipeline(fs.createReadStream(filePath), new Writable({
+    write(chunk, encoding, callback) {
+      hashes.forEach(([, hash]) => hash.update(chunk));
+      callback();
+    }
+  }));
+
+  const checksums = Object.fromEntries(hashes.map(([algorithm, hash]) => [algorithm, hash.digest('hex')]));
+
+  if (expected && checksums[expected.algorithm] !== expected.digest) {
+    throw createApiError(422, `Checksum do arquivo não confere (${expected.algorithm}=${checksums[expected.algorithm]})`, 'CHECKSUM_MISMATCH', {
+      details: `Esperado: ${expected.algorithm}=${expected.digest}`
+    });
+  }
+
+  return checksums;
+}
+
+// Conteúdo do arquivo .sha256, no formato do sha256sum ("<hex>  <nome>")
+function formatSidecar(digest, fileName) {
+  return `${digest}  ${fileName}\n`;
+}
+
+// Extrai o SHA-256 do conteúdo de um arquivo .sha256, ou null se inválido
+function parseSidecar(content) {
+  const match = /^([0-9a-f]{64})\b/i.exec(String(content).trim());
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Confere o arquivo gravado no servidor com o hash calculado pelo próprio
+// servidor (HASH/XSHA256/XMD5), quando suportado. Retorna o algoritmo
+// conferido ou null. Se não conferir, o arquivo é removido e o erro tem 502.
+async function verifyRemoteFile(client, remoteFilePath, checksums) {
+  for (const algorithm of Object.keys(SUPPORTED_ALGORITHMS)) {
+    let digest;
+    try {
+      digest = await client.hash(remoteFilePath, algorithm);
+    } catch (error) {
+      console.error(`Erro ao obter o ${algorithm} de ${remoteFilePath} no servidor: ${error.message}`);
+      return null;
+    }
+    if (!digest) continue;
+
+    if (digest !== checksums[algorithm]) {
+      await client.remove(remoteFilePath).catch(() => {});
+      throw createApiError(502, 'O arquivo gravado no servidor não confere com o enviado', 'INTEGRITY_CHECK_FAILED', {
+        details: `${algorithm} no servidor: ${digest}, enviado: ${checksums[algorithm]}`,
+        retryable: true
+      });
+    }
+    return algorithm;
+  }
+
+  return null;
+}
+
+// Grava o arquivo .sha256 ao lado do arquivo remoto
+async function writeSidecar(client, remoteFilePath, digest) {
+  const content = formatSidecar(digest, remoteFilePath.substring(remoteFilePath.lastIndexOf('/') + 1));
+  await client.uploadFrom(Readable.from([content]), `${remoteFilePath}${SIDECAR_EXTENSION}`);
+}
+
+// Hash de um arquivo remoto, para os cabeçalhos Digest/ETag: lido do .sha256
+// (se useSidecar) ou calculado pelo servidor (se useServerHash). Retorna
+// { algorithm, digest, source } (source: sidecar ou server) ou null se não
+// houver hash disponível.
+async function getRemoteDigest(client, remoteFilePath, { useSidecar, useServerHash }) {
+  if (useSidecar) {
+    const chunks = [];
+    let size = 0;
+    const collector = new Writable({
+      write(chunk, encoding, callback) {
+        if (size < SIDECAR_MAX_SIZE) chunks.push(chunk);
+        size += chunk.length;
+        callback();
+      }
+    });
+
+    try {
+      await client.downloadTo(collector, `${remoteFilePath}${SIDECAR_EXTENSION}`);
+      const digest = parseSidecar(Buffer.concat(chunks).toString('utf8'));
+      if (digest) return { algorithm: 'sha256', digest, source: 'sidecar' };
+    } catch (error) {
+      // Sem .sha256 para este arquivo
+    }
+  }
+
+  if (useServerHash) {
+    for (const algorithm of Object.keys(SUPPORTED_ALGORITHMS)) {
+      try {
+        const digest = await client.hash(remoteFilePath, algorithm);
+        if (digest) return { algorithm, digest, source: 'server' };
+      } catch (error) {
+        console.error(`Erro ao obter o ${algorithm} de ${remoteFilePath} no servidor: ${error.message}`);
+        return null;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Valor do cabeçalho Digest (RFC 3230): algoritmo e digest em base64
+function formatDigestHeader(algorithm, digest) {
+  const name = algorithm === 'sha256' ? 'sha-256' : algorithm;
+  return `${name}=${Buffer.from(digest, 'hex').toString('base64')}`;
+}
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  SIDECAR_EXTENSION,
+  parseChecksum,
+  hashFile,
+  checksumFile,
+  formatSidecar,
+  parseSidecar,
+  formatDigestHeader,
+  verifyRemoteFile,
+  writeSidecar,
+  getRemoteDigest
+};
@@ -0,0 +1,191 @@
+// content-validator.js - Validação do conteúdo dos arquivos antes do envio ao servidor
+//
+// Para cada arquivo recebido: detecta o tipo real pelos magic bytes, aplica
+// as listas de extensões e tipos MIME permitidos no diretório de destino e,
+// se configurado, verifica malware. Arquivos recusados pelo verificador são
+// movidos para a quarentena, com um arquivo .json descrevendo a origem.
+//
+// As regras ficam em um arquivo JSON (UPLOAD_RULES_CONFIG):
+//   { "rules": [ { "path": "/notas", "server": "producao",
+//                  "extensions": ["pdf", "xml"], "mimeTypes": ["application/pdf", "application/xml"] } ] }
+// Vale a regra de caminho mais específico; "server" é opcional. As variáveis
+// UPLOAD_ALLOWED_EXTENSIONS e UPLOAD_ALLOWED_MIME_TYPES definem a regra padrão.
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { normalizeRemotePath } = require('./remote-path');
+const { detectMimeType } = require('./mime-sniff');
+const { createScanner } = require('./scanners');
+const { createApiError } = require('./api-errors');
+
+// Interpreta uma lista (array ou texto separado por vírgula) em minúsculas
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const items = (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim().toLowerCase().replace(/^\./, ''))
+    .filter(Boolean);
+  return items.length > 0 ? items : null;
+}
+
+// Valida e normaliza uma regra do arquivo de configuração
+function normalizeRule(rule, index) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Regra de upload inválida na posição ${index}`);
+  }
+
+  return {
+    path: normalizeRemotePath(rule.path, `rules[${index}].path`),
+    server: rule.server || null,
+    extensions: parseList(rule.extensions),
+    mimeTypes: parseList(rule.mimeTypes)
+  };
+}
+
+// Carrega as regras do arquivo (UPLOAD_RULES_CONFIG) e a regra padrão das variáveis
+function loadUploadRules(configPath = process.env.UPLOAD_RULES_CONFIG) {
+  const rules = [];
+
+  const defaultRule = {
+    path: '/',
+    server: null,
+    extensions: parseList(process.env.UPLOAD_ALLOWED_EXTENSIONS),
+    mimeTypes: parseList(process.env.UPLOAD_ALLOWED_MIME_TYPES)
+  };
+  if (defaultRule.extensions || defaultRule.mimeTypes) {
+    rules.push(defaultRule);
+  }
+
+  if (configPath) {
+    const config = JSON.parse(fs.readFileSync(path.resolve(configPath), 'utf8'));
+    (config.rules || []).forEach((rule, index) => rules.push(normalizeRule(rule, index)));
+  }
+
+  return rules;
+}
+
+// Verifica se o tipo MIME está na lista (aceita curingas como image/*)
+function matchesMimeType(mime, allowed) {
+  return allowed.some(pattern => (pattern.endsWith('/*')
+    ? mime.startsWith(pattern.slice(0, -1))
+    : mime === pattern));
+}
+
+function isUnderPath(remotePath, prefix) {
+  return prefix === '/' || remotePath === prefix || remotePath.startsWith(`${prefix}/`);
+}
+
+class ContentValidator {
+  constructor({ rules = [], scanner = null, quarantineDir, failOpen = false }) {
+    this.rules = rules;
+    this.scanner = scanner;
+    this.quarantineDir = quarantineDir;
+    this.failOpen = failOpen;
+  }
+
+  // Regra do caminho mais específico; com o mesmo caminho, a do servidor vence
+  findRule(serverName, remotePath) {
+    let best = null;
+
+    for (const rule of this.rules) {
+      if (rule.server && rule.server !== serverName) continue;
+      if (!isUnderPath(remotePath, rule.path)) continue;
+
+      if (!best || rule.path.length > best.path.length
+        || (rule.path.length === best.path.length && rule.server && !best.server)) {
+        best = rule;
+      }
+    }
+
+    return best;
+  }
+
+  // Move o arquivo para a quarentena e grava os dados da rejeição
+  _quarantine(localPath, details) {
+    const id = uuidv4();
+    fs.mkdirSync(this.quarantineDir, { recursive: true });
+
+    const destination = path.join(this.quarantineDir, id);
+    try {
+      fs.renameSync(localPath, destination);
+    } catch (error) {
+      // Diretórios em volumes diferentes: copiar e remover
+      if (error.code !== 'EXDEV') throw error;
+      fs.copyFileSync(localPath, destination);
+      fs.rmSync(localPath, { force: true });
+    }
+
+    fs.writeFileSync(`${destination}.json`, JSON.stringify({ id, ...details, quarantinedAt: new Date().toISOString() }, null, 2));
+    return id;
+  }
+
+  // Valida o arquivo local que será enviado para remotePath (caminho do
+  // arquivo dentro da raiz do servidor). Retorna { contentType, extension }.
+  async validate(localPath, { server, remotePath, fileName }) {
+    const detected = await detectMimeType(localPath);
+    const extension = path.posix.extname(fileName).replace(/^\./, '').toLowerCase();
+    const rule = this.findRule(server, remotePath);
+    const dir = path.posix.dirname(remotePath);
+
+    if (rule && rule.extensions && !rule.extensions.includes(extension)) {
+      throw createApiError(415, `Extensão não permitida em ${dir}: ${extension ? `.${extension}` : '(sem extensão)'}`, 'CONTENT_TYPE_NOT_ALLOWED', {
+        details: `Extensões permitidas: ${rule.extensions.join(', ')}`
+      });
+    }
+    if (rule && rule.mimeTypes && !matchesMimeType(detected.mime, rule.mimeTypes)) {
+      throw createApiError(415, `Tipo de arquivo não permitido em ${dir}: ${detected.mime}`, 'CONTENT_TYPE_NOT_ALLOWED', {
+        details: `Tipos permitidos: ${rule.mimeTypes.join(', ')}`
+      });
+    }
+
+    if (this.scanner) {
+      let result;
+      try {
+        result = await this.scanner.scan(localPath);
+      } catch (error) {
+        if (!this.failOpen) {
+          throw createApiError(503, 'Verificação de malware indisponível. Tente novamente mais tarde', 'SCANNER_UNAVAILABLE', {
+            details: error.message,
+            retryable: true
+          });
+        }
+        console.error(`Verificação de malware indisponível, arquivo aceito sem verificação (${remotePath}):`, error.message);
+      }
+
+      if (result && !result.clean) {
+        const quarantineId = this._quarantine(localPath, {
+          server,
+          remotePath,
+          fileName,
+          contentType: detected.mime,
+          scanner: this.scanner.name,
+          signature: result.signature
+        });
+        console.warn(`Arquivo em quarentena (${quarantineId}): ${remotePath} - ${result.signature}`);
+
+        throw createApiError(422, 'Arquivo rejeitado pela verificação de malware', 'MALWARE_DETECTED', {
+          details: result.signature,
+          quarantineId
+        });
+      }
+    }
+
+    return { contentType: detected.mime, extension: detected.extension };
+  }
+}
+
+// Cria o validador com as regras, o verificador e a quarentena configurados
+function createContentValidator() {
+  return new ContentValidator({
+    rules: loadUploadRules(),
+    scanner: createScanner(),
+    quarantineDir: process.env.QUARANTINE_PATH || path.join(__dirname, '..', 'data', 'quarantine'),
+    failOpen: process.env.CONTENT_SCANNER_FAIL_OPEN === 'true'
+  });
+}
+
+module.exports = {
+  createContentValidator,
+  ContentValidator,
+  loadUploadRules
+};
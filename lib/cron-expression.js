@@ -0,0 +1,159 @@
+// cron-expression.js - Expressões cron de 5 campos para os agendamentos
+//
+// Formato: minuto hora dia-do-mês mês dia-da-semana, no horário local do
+// servidor. Cada campo aceita *, valores, listas (1,15), intervalos (1-5),
+// passos (*/10, 8-18/2) e, no mês e no dia da semana, nomes em inglês
+// (jan, mon). Domingo é 0 ou 7. Como no cron do Unix, se o dia do mês e o dia
+// da semana forem restritos, basta um deles coincidir. Também são aceitos os
+// atalhos @hourly, @daily, @weekly, @monthly e @yearly.
+
+const { createApiError } = require('./api-errors');
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minuto', min: 0, max: 59 },
+  { name: 'hora', min: 0, max: 23 },
+  { name: 'dia do mês', min: 1, max: 31 },
+  { name: 'mês', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dia da semana', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Limite da busca pela próxima execução (ex.: "0 0 30 2 *" nunca ocorre)
+const MAX_SEARCH_DAYS = 366 * 5;
+
+function parseValue(value, field) {
+  const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  if (index !== -1) {
+    return index + (field.name === 'mês' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw createApiError(400, `Valor inválido no campo ${field.name} da expressão cron: ${value}`);
+  }
+  const number = Number(value);
+  if (number < field.min || number > field.max) {
+    throw createApiError(400, `Valor fora do intervalo no campo ${field.name} da expressão cron: ${value} (${field.min}-${field.max})`);
+  }
+  return number;
+}
+
+// Converte um campo no conjunto de valores aceitos
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw createApiError(400, `Passo inválido no campo ${field.name} da expressão cron: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (end < start) {
+        throw createApiError(400, `Intervalo inválido no campo ${field.name} da expressão cron: ${range}`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/15" equivale a "5-59/15"
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, restricted: text !== '*' };
+}
+
+class CronExpression {
+  constructor(source) {
+    this.source = source;
+
+    const text = ALIASES[source.trim().toLowerCase()] || source.trim();
+    const parts = text.split(/\s+/);
+    if (parts.length !== 5) {
+      throw createApiError(400, `Expressão cron inválida: ${source}. Use 5 campos (minuto hora dia mês dia-da-semana)`);
+    }
+
+    [this.minutes, this.hours, this.days, this.months, this.weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+    // Domingo pode ser 0 ou 7
+    if (this.weekdays.values.has(7)) {
+      this.weekdays.values.add(0);
+    }
+  }
+
+  _matchesDay(date) {
+    const dayMatches = this.days.values.has(date.getDate());
+    const weekdayMatches = this.weekdays.values.has(date.getDay());
+
+    if (this.days.restricted && this.weekdays.restricted) {
+      return dayMatches || weekdayMatches;
+    }
+    return dayMatches && weekdayMatches;
+  }
+
+  // A data (com precisão de minuto) corresponde à expressão
+  matches(date) {
+    return this.minutes.values.has(date.getMinutes())
+      && this.hours.values.has(date.getHours())
+      && this.months.values.has(date.getMonth() + 1)
+      && this._matchesDay(date);
+  }
+
+  // Próxima data, depois de after, que corresponde à expressão (ou null)
+  next(after = new Date()) {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+      if (!this.months.values.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0);
+      } else if (!this._matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0);
+      } else if (!this.hours.values.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0);
+      } else if (!this.minutes.values.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1);
+      } else {
+        return date;
+      }
+    }
+
+    return null;
+  }
+}
+
+function parseCronExpression(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw createApiError(400, 'Expressão cron não informada');
+  }
+  return new CronExpression(source);
+}
+
+module.exports = {
+  parseCronExpression,
+  CronExpression
+};
@@ -0,0 +1,218 @@
+// folder-watches.js - Monitoramento de diretórios remotos por listagens periódicas
+//
+// Cada diretório monitorado é listado a cada interval segundos e comparado com
+// a listagem anterior (caminho, tamanho e data de modificação). As diferenças
+// são informadas a onChange como created, modified ou deleted. A primeira
+// listagem só registra o estado inicial.
+//
+// Os monitoramentos ficam em <dir>/watches.json e a última listagem de cada
+// um em <dir>/snapshots/<id>.json, para que alterações feitas com a API
+// parada sejam notadas na primeira listagem após o reinício. A listagem em si
+// é feita pela função scanner informada ao watcher.
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { normalizeRemotePath } = require('./remote-path');
+const { createApiError } = require('./api-errors');
+
+const DEFAULT_WATCH_OPTIONS = {
+  // Intervalo mínimo e padrão entre listagens (segundos)
+  minInterval: parseInt(process.env.WATCH_MIN_INTERVAL) || 30,
+  defaultInterval: parseInt(process.env.WATCH_INTERVAL) || 60,
+  onChange: () => {}
+};
+
+// Compara duas listagens (Map caminho relativo -> { size, mtime }) e retorna
+// as alterações: [{ type, path, size, mtime }]
+function diffSnapshots(previous, current) {
+  const changes = [];
+
+  for (const [relativePath, file] of current) {
+    const before = previous.get(relativePath);
+    if (!before) {
+      changes.push({ type: 'created', path: relativePath, size: file.size, mtime: file.mtime });
+    } else if (before.size !== file.size || before.mtime !== file.mtime) {
+      changes.push({ type: 'modified', path: relativePath, size: file.size, mtime: file.mtime });
+    }
+  }
+
+  for (const [relativePath, file] of previous) {
+    if (!current.has(relativePath)) {
+      changes.push({ type: 'deleted', path: relativePath, size: file.size, mtime: file.mtime });
+    }
+  }
+
+  return changes;
+}
+
+class FolderWatcher {
+  // scanner(watch) lista o diretório (Map caminho relativo -> { size, mtime });
+  // onChange(watch, changes) recebe as alterações de cada listagem
+  constructor(dir, scanner, options = {}) {
+    this.dir = dir;
+    this.scanner = scanner;
+    this.options = { ...DEFAULT_WATCH_OPTIONS, ...options };
+    this.watchesPath = path.join(dir, 'watches.json');
+    this.snapshotsDir = path.join(dir, 'snapshots');
+
+    this.timers = new Map(); // id -> timer da próxima listagem
+    this.status = new Map(); // id -> { lastScanAt, lastError, files }
+    this.started = false;
+
+    fs.mkdirSync(this.snapshotsDir, { recursive: true });
+    this.watches = new Map(this._readWatches().map(watch => [watch.id, watch]));
+  }
+
+  _readWatches() {
+    try {
+      return JSON.parse(fs.readFileSync(this.watchesPath, 'utf8')).watches || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  _saveWatches() {
+    // Escrita atômica
+    fs.writeFileSync(`${this.watchesPath}.tmp`, JSON.stringify({ watches: [...this.watches.values()] }, null, 2));
+    fs.renameSync(`${this.watchesPath}.tmp`, this.watchesPath);
+  }
+
+  _snapshotPath(id) {
+    return path.join(this.snapshotsDir, `${id}.json`);
+  }
+
+  _readSnapshot(id) {
+    try {
+      return new Map(Object.entries(JSON.parse(fs.readFileSync(this._snapshotPath(id), 'utf8'))));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  _saveSnapshot(id, files) {
+    const snapshotPath = this._snapshotPath(id);
+    fs.writeFileSync(`${snapshotPath}.tmp`, JSON.stringify(Object.fromEntries(files)));
+    fs.renameSync(`${snapshotPath}.tmp`, snapshotPath);
+  }
+
+  list() {
+    return [...this.watches.values()];
+  }
+
+  get(id) {
+    return this.watches.get(id) || null;
+  }
+
+  getStatus(id) {
+    return this.status.get(id) || { lastScanAt: null, lastError: null, files: null };
+  }
+
+  async create(definition, { keyId, rootDir }) {
+    const { minInterval, defaultInterval } = this.options;
+    const interval = definition.interval === undefined ? Math.max(defaultInterval, minInterval) : Number(definition.interval);
+    if (!Number.isInteger(interval) || interval < minInterval) {
+      throw createApiError(400, `interval deve ser um número inteiro de segundos, de no mínimo ${minInterval}`);
+    }
+    if (definition.recursive !== undefined && typeof definition.recursive !== 'boolean') {
+      throw createApiError(400, 'recursive deve ser true ou false');
+    }
+
+    const watch = {
+      id: uuidv4(),
+      server: definition.server,
+      path: normalizeRemotePath(definition.path, 'path'),
+      recursive: definition.recursive === true,
+      interval,
+      keyId,
+      rootDir,
+      createdAt: Date.now()
+    };
+
+    this.watches.set(watch.id, watch);
+    this._saveWatches();
+    if (this.started) {
+      this._schedule(watch, 0);
+    }
+    return watch;
+  }
+
+  async remove(id) {
+    if (!this.watches.has(id)) {
+      throw createApiError(404, `Monitoramento não encontrado: ${id}`);
+    }
+
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+    this.status.delete(id);
+    this.watches.delete(id);
+    this._saveWatches();
+    fs.rmSync(this._snapshotPath(id), { force: true });
+  }
+
+  _schedule(watch, delay) {
+    const timer = setTimeout(async () => {
+      await this._scan(watch);
+      // O monitoramento pode ter sido removido durante a listagem
+      if (this.watches.has(watch.id)) {
+        this._schedule(watch, watch.interval * 1000);
+      }
+    }, delay);
+    timer.unref();
+    this.timers.set(watch.id, timer);
+  }
+
+  // Lista o diretório e compara com a listagem anterior. Nunca rejeita:
+  // qualquer erro (listagem, snapshot ou onChange) fica em lastError e a
+  // próxima listagem é agendada normalmente.
+  async _scan(watch) {
+    try {
+      const files = await this.scanner(watch);
+      if (!this.watches.has(watch.id)) return;
+
+      const previous = this._readSnapshot(watch.id);
+      const changes = previous ? diffSnapshots(previous, files) : [];
+      if (!previous || changes.length > 0) {
+        this._saveSnapshot(watch.id, files);
+      }
+      this.status.set(watch.id, { lastScanAt: new Date().toISOString(), lastError: null, files: files.size });
+
+      if (changes.length > 0) {
+        await this.options.onChange(watch, changes);
+      }
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Erro ao verificar o diretório monitorado ${watch.path} (${watch.id}): ${error.message}`);
+      this.status.set(watch.id, { ...this.getStatus(watch.id), lastScanAt: new Date().toISOString(), lastError: error.message });
+    }
+  }
+
+  // Inicia as listagens periódicas de todos os monitoramentos
+  start() {
+    this.started = true;
+    for (const watch of this.watches.values()) {
+      this._schedule(watch, 0);
+    }
+  }
+}
+
+// Dados públicos de um monitoramento, com o estado da última listagem
+function formatWatch(watch, watcher) {
+  return {
+    id: watch.id,
+    server: watch.server,
+    path: watch.path,
+    recursive: watch.recursive,
+    interval: watch.interval,
+    keyId: watch.keyId,
+    createdAt: new Date(watch.createdAt).toISOString(),
+    ...watcher.getStatus(watch.id)
+  };
+}
+
+module.exports = {
+  FolderWatcher,
+  diffSnapshots,
+  formatWatch
+};
@@ -0,0 +1,201 @@
+// metrics.js - Métricas da API no formato do Prometheus (GET /metrics)
+//
+// Contadores e latências das requisições por rota, bytes transferidos,
+// transferências em andamento, falhas de conexão/login com os servidores,
+// conexões dos pools, links temporários ativos e uso de disco dos diretórios
+// temporários. Os valores que já existem em outros módulos (pools, links e
+// disco) são lidos no momento da coleta, pelas funções informadas em sources.
+
+const fs = require('fs');
+const path = require('path');
+const promClient = require('prom-client');
+
+const PREFIX = 'ftp_api_';
+
+// Faixas (segundos) do histograma de latência: de chamadas rápidas (list, stat)
+// a transferências de arquivos grandes
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+
+// Tamanho total dos arquivos de um diretório (recursivo). Arquivos removidos
+// durante a varredura são ignorados.
+async function getDirectorySize(dirPath) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let total = 0;
+  for (const entry of entries) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      total += await getDirectorySize(entryPath);
+    } else if (entry.isFile()) {
+      try {
+        total += (await fs.promises.stat(entryPath)).size;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  }
+  return total;
+}
+
+class Metrics {
+  // sources: { getPoolStats(), countTempLinks(), directories: { nome: caminho } }
+  constructor(sources) {
+    this.registry = new promClient.Registry();
+    promClient.collectDefaultMetrics({ register: this.registry, prefix: PREFIX });
+
+    const register = [this.registry];
+
+    this.httpRequests = new promClient.Counter({
+      name: `${PREFIX}http_requests_total`,
+      help: 'Requisições HTTP atendidas, por método, rota e status',
+      labelNames: ['method', 'route', 'status'],
+      registers: register
+    });
+
+    this.httpDuration = new promClient.Histogram({
+      name: `${PREFIX}http_request_duration_seconds`,
+      help: 'Duração das requisições HTTP, por método, rota e status',
+      labelNames: ['method', 'route', 'status'],
+      buckets: DURATION_BUCKETS,
+      registers: register
+    });
+
+    this.transferBytes = new promClient.Counter({
+      name: `${PREFIX}transfer_bytes_total`,
+      help: 'Bytes enviados aos servidores (upload) e entregues aos clientes (download)',
+      labelNames: ['direction', 'server'],
+      registers: register
+    });
+
+    this.activeTransfers = new promClient.Gauge({
+      name: `${PREFIX}active_transfers`,
+      help: 'Transferências em andamento',
+      labelNames: ['direction'],
+      registers: register
+    });
+
+    // Os contadores dos pools são acumulados no próprio pool; aqui são apenas
+    // copiados a cada coleta
+    new promClient.Counter({
+      name: `${PREFIX}storage_connection_failures_total`,
+      help: 'Falhas ao abrir conexões com os servidores, por etapa (connect ou login)',
+      labelNames: ['server', 'stage'],
+      registers: register,
+      collect() {
+        this.reset();
+        sources.getPoolStats().forEach((stats) => {
+          this.inc({ server: stats.server, stage: 'connect' }, stats.connectErrors);
+          this.inc({ server: stats.server, stage: 'login' }, stats.loginErrors);
+        });
+      }
+    });
+
+    new promClient.Gauge({
+      name: `${PREFIX}storage_pool_connections`,
+      help: 'Conexões dos pools, por servidor e estado',
+      labelNames: ['server', 'state'],
+      registers: register,
+      collect() {
+        this.reset();
+        sources.getPoolStats().forEach((stats) => {
+          this.set({ server: stats.server, state: 'in_use' }, stats.inUse);
+          this.set({ server: stats.server, state: 'idle' }, stats.idle);
+          this.set({ server: stats.server, state: 'connecting' }, stats.connecting);
+        });
+      }
+    });
+
+    new promClient.Gauge({
+      name: `${PREFIX}storage_pool_waiting`,
+      help: 'Requisições aguardando uma conexão livre, por servidor',
+      labelNames: ['server'],
+      registers: register,
+      collect() {
+        this.reset();
+        sources.getPoolStats().forEach(stats => this.set({ server: stats.server }, stats.waiting));
+      }
+    });
+
+    new promClient.Gauge({
+      name: `${PREFIX}temp_links_active`,
+      help: 'Links temporários armazenados ainda válidos (links assinados não são contados)',
+      registers: register,
+      async collect() {
+        this.set(await sources.countTempLinks());
+      }
+    });
+
+    new promClient.Gauge({
+      name: `${PREFIX}disk_usage_bytes`,
+      help: 'Espaço ocupado pelos diretórios locais de arquivos temporários',
+      labelNames: ['directory'],
+      registers: register,
+      async collect() {
+        for (const [name, dirPath] of Object.entries(sources.directories)) {
+          this.set({ directory: name }, await getDirectorySize(dirPath));
+        }
+      }
+    });
+  }
+
+  // Middleware que conta as requisições e mede a duração. A rota é o padrão
+  // do Express (ex.: /api/temp-download/:linkId), para não criar uma série por
+  // URL; requisições sem rota correspondente ficam como "unmatched".
+  middleware() {
+    return (req, res, next) => {
+      const endTimer = this.httpDuration.startTimer();
+
+      res.once('close', () => {
+        const labels = {
+          method: req.method,
+          route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+          status: res.statusCode
+        };
+        this.httpRequests.inc(labels);
+        endTimer(labels);
+      });
+
+      next();
+    };
+  }
+
+  addTransferBytes(direction, server, bytes) {
+    if (bytes > 0) {
+      this.transferBytes.inc({ direction, server }, bytes);
+    }
+  }
+
+  // Marca o início de uma transferência; a função retornada marca o fim
+  startTransfer(direction) {
+    this.activeTransfers.inc({ direction });
+    let ended = false;
+    return () => {
+      if (ended) return;
+      ended = true;
+      this.activeTransfers.dec({ direction });
+    };
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  async render() {
+    return this.registry.metrics();
+  }
+}
+
+function createMetrics(sources) {
+  return new Metrics(sources);
+}
+
+module.exports = {
+  createMetrics,
+  getDirectorySize
+};
@@ -0,0 +1,127 @@
+// mime-sniff.js - Detecção do tipo de arquivo pelos primeiros bytes (magic bytes)
+//
+// O tipo informado pelo cliente (prefixo data URI, Content-Type da origem ou
+// extensão) não é confiável; aqui o tipo é obtido do próprio conteúdo.
+// Conteúdos sem assinatura conhecida são classificados como texto (UTF-8 sem
+// bytes de controle) ou application/octet-stream.
+
+const fs = require('fs');
+
+// Quantidade de bytes lidos do início do arquivo
+const SAMPLE_SIZE = 4100;
+
+// Assinaturas: bytes esperados (null = qualquer valor) a partir de offset e,
+// para assinaturas curtas, uma verificação adicional do cabeçalho (check)
+const SIGNATURES = [
+  { mime: 'application/pdf', extension: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { mime: 'image/png', extension: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: 'image/jpeg', extension: 'jpg', bytes: [0xff, 0xd8, 0xff] },
+  { mime: 'image/gif', extension: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mime: 'image/webp', extension: 'webp', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+  { mime: 'image/bmp', extension: 'bmp', bytes: [0x42, 0x4d], check: sample => [12, 40, 56, 108, 124].includes(sample.readUInt32LE(14)) },
+  { mime: 'image/tiff', extension: 'tif', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mime: 'image/tiff', extension: 'tif', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { mime: 'image/x-icon', extension: 'ico', bytes: [0x00, 0x00, 0x01, 0x00] },
+  { mime: 'audio/wav', extension: 'wav', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x41, 0x56, 0x45] },
+  { mime: 'video/x-msvideo', extension: 'avi', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x41, 0x56, 0x49, 0x20] },
+  { mime: 'audio/mpeg', extension: 'mp3', bytes: [0x49, 0x44, 0x33] },
+  { mime: 'audio/ogg', extension: 'ogg', bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { mime: 'audio/flac', extension: 'flac', bytes: [0x66, 0x4c, 0x61, 0x43] },
+  { mime: 'video/mp4', extension: 'mp4', offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] },
+  { mime: 'video/webm', extension: 'webm', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { mime: 'application/gzip', extension: 'gz', bytes: [0x1f, 0x8b] },
+  { mime: 'application/x-bzip2', extension: 'bz2', bytes: [0x42, 0x5a, 0x68] },
+  { mime: 'application/x-xz', extension: 'xz', bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { mime: 'application/x-7z-compressed', extension: '7z', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { mime: 'application/vnd.rar', extension: 'rar', bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] },
+  { mime: 'application/x-tar', extension: 'tar', offset: 257, bytes: [0x75, 0x73, 0x74, 0x61, 0x72] },
+  { mime: 'application/zip', extension: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mime: 'application/zip', extension: 'zip', bytes: [0x50, 0x4b, 0x05, 0x06] },
+  { mime: 'application/x-ole-storage', extension: 'doc', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  { mime: 'application/rtf', extension: 'rtf', bytes: [0x7b, 0x5c, 0x72, 0x74, 0x66] },
+  { mime: 'application/x-msdownload', extension: 'exe', bytes: [0x4d, 0x5a] },
+  { mime: 'application/x-elf', extension: 'elf', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { mime: 'application/x-sqlite3', extension: 'sqlite', bytes: [0x53, 0x51, 0x4c, 0x69, 0x74, 0x65, 0x20, 0x66] }
+];
+
+// Formatos baseados em ZIP, identificados pelos nomes das primeiras entradas
+const ZIP_FORMATS = [
+  { marker: 'mimetypeapplication/vnd.oasis.opendocument.text', mime: 'application/vnd.oasis.opendocument.text', extension: 'odt' },
+  { marker: 'mimetypeapplication/vnd.oasis.opendocument.spreadsheet', mime: 'application/vnd.oasis.opendocument.spreadsheet', extension: 'ods' },
+  { marker: 'mimetypeapplication/epub+zip', mime: 'application/epub+zip', extension: 'epub' },
+  { marker: 'word/', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  { marker: 'xl/', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  { marker: 'ppt/', mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extension: 'pptx' }
+];
+
+function matchesSignature(sample, { bytes, offset = 0, check }) {
+  if (sample.length < offset + bytes.length) return false;
+  if (!bytes.every((byte, index) => byte === null || sample[offset + index] === byte)) return false;
+  return !check || (sample.length >= 18 && check(sample));
+}
+
+// Classifica conteúdo sem assinatura binária: texto, XML, SVG, HTML ou JSON
+function detectText(sample) {
+  // Bytes de controle (exceto tab, quebras de linha, form feed e ESC) indicam binário
+  if (sample.some(byte => byte < 0x09 || (byte > 0x0d && byte < 0x20 && byte !== 0x1b))) {
+    return null;
+  }
+
+  // Descartar um caractere UTF-8 possivelmente cortado no fim da amostra
+  const text = sample.toString('utf8').replace(/\uFFFD$/, '');
+  if (text.includes('\uFFFD')) return null;
+
+  const start = text.replace(/^\uFEFF/, '').trimStart().substring(0, 512).toLowerCase();
+
+  if (start.startsWith('<!doctype html') || start.startsWith('<html')) {
+    return { mime: 'text/html', extension: 'html' };
+  }
+  if (start.startsWith('<svg') || (start.startsWith('<?xml') && start.includes('<svg'))) {
+    return { mime: 'image/svg+xml', extension: 'svg' };
+  }
+  if (start.startsWith('<?xml')) {
+    return { mime: 'application/xml', extension: 'xml' };
+  }
+  if (start.startsWith('{') || start.startsWith('[')) {
+    return { mime: 'application/json', extension: 'json' };
+  }
+  return { mime: 'text/plain', extension: 'txt' };
+}
+
+// Detecta o tipo de um buffer com o início do arquivo
+function detectMimeFromBuffer(sample) {
+  if (sample.length === 0) {
+    return { mime: 'application/x-empty', extension: null };
+  }
+
+  const match = SIGNATURES.find(signature => matchesSignature(sample, signature));
+  if (match) {
+    if (match.mime === 'application/zip') {
+      const content = sample.toString('latin1');
+      const zipFormat = ZIP_FORMATS.find(format => content.includes(format.marker));
+      if (zipFormat) {
+        return { mime: zipFormat.mime, extension: zipFormat.extension };
+      }
+    }
+    return { mime: match.mime, extension: match.extension };
+  }
+
+  return detectText(sample) || { mime: 'application/octet-stream', extension: null };
+}
+
+// Detecta o tipo de um arquivo local
+async function detectMimeType(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SAMPLE_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, SAMPLE_SIZE, 0);
+    return detectMimeFromBuffer(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  detectMimeType,
+  detectMimeFromBuffer
+};
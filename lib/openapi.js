@@ -0,0 +1,989 @@
+// openapi.js - Documento OpenAPI 3.0 da API
+//
+// Descreve as rotas, os parâmetros e os corpos aceitos e as respostas. O
+// documento é servido em /api/openapi.json (com a interface do Swagger UI em
+// /api/docs) e é também a fonte da validação das requisições: cada rota
+// informa o operationId da sua operação (ver request-validator.js). Os limites
+// configuráveis por variáveis de ambiente (tamanhos, quantidades) continuam
+// sendo conferidos pelas rotas.
+
+const { EVENT_TYPES } = require('./webhooks');
+const { OPERATIONS } = require('./api-key-store');
+const { SYNC_TYPES } = require('./sync-jobs');
+const { CONFLICT_POLICIES } = require('./upload-conflicts');
+const { ERROR_CODES } = require('./api-errors');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const param = name => ({ $ref: `#/components/parameters/${name}` });
+
+const pathParam = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string' } });
+const queryParam = (name, schema, description, required = false) => ({ name, in: 'query', required, description, schema });
+
+// Respostas de erro (todas no formato Error)
+const ERROR_RESPONSES = {
+  400: 'Requisição inválida (VALIDATION_ERROR, INVALID_PATH, UNKNOWN_SERVER...)',
+  401: 'Token de autenticação não fornecido',
+  403: 'Token inválido, chave sem permissão para a operação ou para o caminho',
+  404: 'Recurso não encontrado',
+  409: 'Conflito com o estado atual do recurso',
+  410: 'Recurso expirado ou esgotado',
+  413: 'Limite de tamanho ou de quantidade excedido',
+  415: 'Tipo de arquivo não permitido',
+  422: 'Conteúdo recusado (checksum ou verificação de malware)',
+  429: 'Limite de requisições excedido',
+  500: 'Erro interno',
+  502: 'Falha no servidor remoto ou na URL de origem',
+  503: 'Serviço temporariamente indisponível',
+  504: 'Tempo esgotado no servidor remoto ou na URL de origem'
+};
+
+function errors(...statuses) {
+  return Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/Error${status}` }]));
+}
+
+// Respostas de uma operação autenticada: as informadas, mais 401, 403, 429 e 500
+function responses(success, ...statuses) {
+  return { ...success, ...errors(400, 401, 403, 429, 500, ...statuses) };
+}
+
+const ok = (schema, description = 'Sucesso', status = 200) => ({
+  [status]: { description, content: { 'application/json': { schema } } }
+});
+
+const jsonBody = (schema, required = true) => ({
+  required,
+  content: { 'application/json': { schema } }
+});
+
+// Objeto com success: true e as propriedades informadas
+const success = (properties = {}, extra = {}) => ({
+  type: 'object',
+  properties: { success: { type: 'boolean', example: true }, ...properties },
+  ...extra
+});
+
+const fileStream = description => ({
+  200: { description, content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+  206: { description: 'Parte do arquivo (Range)', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+  416: { description: 'Intervalo não satisfatório' }
+});
+
+const limitParam = queryParam('limit', { type: 'integer', minimum: 1 }, 'Quantidade máxima de itens');
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['code', 'error'],
+    properties: {
+      code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Código estável do erro' },
+      error: { type: 'string', description: 'Mensagem em português ou inglês (?lang= ou Accept-Language)' },
+      details: { description: 'Informações adicionais; nos erros de validação, a lista de campos inválidos' },
+      offset: { type: 'integer', description: 'Próximo offset esperado (uploads em partes)' },
+      quarantineId: { type: 'string', description: 'Id do arquivo em quarentena (verificação de malware)' }
+    }
+  },
+  ValidationIssue: {
+    type: 'object',
+    properties: {
+      field: { type: 'string', example: 'body.fileName' },
+      message: { type: 'string', example: 'deve ter a propriedade obrigatória fileName' }
+    }
+  },
+  Checksum: {
+    type: 'string',
+    description: 'Checksum esperado do arquivo (sha256=<hex> ou md5=<hex>)',
+    example: 'sha256=9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'
+  },
+  ConflictPolicy: {
+    type: 'string',
+    enum: CONFLICT_POLICIES,
+    description: 'Comportamento quando o arquivo já existe (padrão: UPLOAD_CONFLICT_DEFAULT)'
+  },
+  UploadItem: {
+    type: 'object',
+    properties: {
+      urlFile: { type: 'string', description: 'URL http(s) do arquivo (ou base64File)' },
+      base64File: { type: 'string', description: 'Conteúdo em Base64, com ou sem o prefixo data URI (ou urlFile)' },
+      path: { type: 'string', description: 'Diretório de destino', example: '/notas/2025' },
+      fileName: { type: 'string', description: 'Nome do arquivo no destino', example: 'nota-18.pdf' },
+      checksum: ref('Checksum'),
+      sidecar: { type: 'boolean', description: 'Gravar o SHA-256 em <arquivo>.sha256' },
+      conflict: ref('ConflictPolicy')
+    }
+  },
+  UploadResult: {
+    type: 'object',
+    properties: {
+      remotePath: { type: 'string' },
+      size: { type: 'integer' },
+      contentType: { type: 'string', nullable: true },
+      declaredContentType: { type: 'string', nullable: true },
+      checksum: { type: 'object', properties: { sha256: { type: 'string' }, md5: { type: 'string' } } },
+      previousVersion: { type: 'string', nullable: true },
+      source: { type: 'string', enum: ['url', 'base64', 'multipart', 'chunked'] }
+    }
+  },
+  RemoteEntry: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      path: { type: 'string' },
+      size: { type: 'integer' },
+      kind: { type: 'string', enum: ['file', 'directory', 'symlink', 'unknown'] },
+      modifiedDate: { type: 'string', format: 'date-time', nullable: true },
+      permissions: { type: 'string', nullable: true },
+      isDirectory: { type: 'boolean' }
+    }
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      jobId: { type: 'string' },
+      state: { type: 'string', enum: ['queued', 'running', 'retrying', 'completed', 'failed'] },
+      attempts: { type: 'integer' },
+      result: { type: 'object', nullable: true },
+      error: { type: 'string', nullable: true },
+      errorCode: { type: 'string', nullable: true, description: 'Código do erro da última tentativa (ver Error)' }
+    }
+  },
+  TempLink: {
+    type: 'object',
+    properties: {
+      linkId: { type: 'string' },
+      keyId: { type: 'string', nullable: true, description: 'Chave de API que criou o link' },
+      server: { type: 'string' },
+      remotePath: { type: 'string' },
+      fileName: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      maxDownloads: { type: 'integer', nullable: true },
+      downloadCount: { type: 'integer' }
+    }
+  },
+  SyncJobDefinition: {
+    type: 'object',
+    required: ['type', 'remotePath'],
+    properties: {
+      name: { type: 'string' },
+      type: { type: 'string', enum: SYNC_TYPES },
+      server: { type: 'string' },
+      remotePath: { type: 'string' },
+      localPath: { type: 'string', description: 'Relativo a SYNC_LOCAL_ROOT (remote-to-local e local-to-remote)' },
+      urls: {
+        type: 'array',
+        description: 'URLs de origem (urls-to-remote)',
+        items: {
+          oneOf: [
+            { type: 'string' },
+            { type: 'object', required: ['url'], properties: { url: { type: 'string' }, fileName: { type: 'string' } } }
+          ]
+        }
+      },
+      schedule: { type: 'string', description: 'Expressão cron de 5 campos ou @hourly, @daily...', example: '0 3 * * *' },
+      enabled: { type: 'boolean' },
+      deleteExtraneous: { type: 'boolean' }
+    }
+  },
+  SyncJob: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      origin: { type: 'string', enum: ['config', 'api'] },
+      name: { type: 'string', nullable: true },
+      type: { type: 'string', enum: SYNC_TYPES },
+      server: { type: 'string' },
+      remotePath: { type: 'string' },
+      schedule: { type: 'string', nullable: true },
+      running: { type: 'boolean' },
+      nextRunAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+  },
+  SyncRun: {
+    type: 'object',
+    properties: {
+      runId: { type: 'string' },
+      jobId: { type: 'string' },
+      trigger: { type: 'string', enum: ['schedule', 'manual'] },
+      state: { type: 'string', enum: ['running', 'completed', 'partial', 'failed'] },
+      files: { type: 'object' },
+      bytesTransferred: { type: 'integer' },
+      errors: { type: 'array', items: { type: 'object' } },
+      error: { type: 'string', nullable: true },
+      startedAt: { type: 'string', format: 'date-time' },
+      finishedAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+  },
+  WebhookDefinition: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', description: 'URL http(s) que recebe os eventos' },
+      description: { type: 'string', nullable: true },
+      events: { type: 'array', minItems: 1, items: { type: 'string', enum: [...EVENT_TYPES, '*'] } },
+      server: { type: 'string', nullable: true },
+      paths: { type: 'array', minItems: 1, nullable: true, items: { type: 'string' } },
+      enabled: { type: 'boolean' }
+    }
+  },
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      url: { type: 'string' },
+      description: { type: 'string', nullable: true },
+      events: { type: 'array', items: { type: 'string' } },
+      server: { type: 'string', nullable: true },
+      paths: { type: 'array', items: { type: 'string' }, nullable: true },
+      enabled: { type: 'boolean' },
+      keyId: { type: 'string' },
+      secret: { type: 'string', description: 'Segredo das assinaturas HMAC (só na criação)' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      subscriptionId: { type: 'string' },
+      eventId: { type: 'string' },
+      event: { type: 'string', enum: EVENT_TYPES },
+      path: { type: 'string' },
+      state: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+      attempts: { type: 'integer' },
+      statusCode: { type: 'integer', nullable: true },
+      error: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      deliveredAt: { type: 'string', format: 'date-time', nullable: true },
+      nextAttemptAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+  },
+  Watch: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      server: { type: 'string' },
+      path: { type: 'string' },
+      recursive: { type: 'boolean' },
+      interval: { type: 'integer' },
+      keyId: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      lastScanAt: { type: 'string', format: 'date-time', nullable: true },
+      lastError: { type: 'string', nullable: true },
+      files: { type: 'integer', nullable: true }
+    }
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      operations: { type: 'array', items: { type: 'string', enum: OPERATIONS } },
+      pathPrefixes: { type: 'array', items: { type: 'string' } },
+      rootDir: { type: 'string' },
+      rateLimit: { type: 'integer', nullable: true },
+      expiresAt: { type: 'string', format: 'date-time', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      rotatedAt: { type: 'string', format: 'date-time', nullable: true },
+      revokedAt: { type: 'string', format: 'date-time', nullable: true },
+      active: { type: 'boolean' }
+    }
+  },
+  AuditEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      operation: { type: 'string' },
+      keyId: { type: 'string', nullable: true },
+      clientIp: { type: 'string', nullable: true },
+      server: { type: 'string', nullable: true },
+      path: { type: 'string', nullable: true },
+      size: { type: 'integer', nullable: true },
+      sha256: { type: 'string', nullable: true },
+      source: { type: 'string', nullable: true },
+      outcome: { type: 'string', enum: ['success', 'failure', 'aborted'] },
+      statusCode: { type: 'integer', nullable: true },
+      error: { type: 'string', nullable: true },
+      durationMs: { type: 'integer', nullable: true },
+      details: { type: 'object', nullable: true }
+    }
+  }
+};
+
+const PARAMETERS = {
+  Server: queryParam('server', { type: 'string' }, 'Nome do servidor (padrão: o primeiro configurado)'),
+  Path: queryParam('path', { type: 'string' }, 'Diretório remoto'),
+  FileName: queryParam('fileName', { type: 'string' }, 'Nome do arquivo (com path)'),
+  PathComplete: queryParam('pathComplete', { type: 'string' }, 'Caminho completo do arquivo (no lugar de path e fileName)')
+};
+
+// Parâmetros do arquivo remoto na query: pathComplete OU path e fileName
+const fileQuery = [param('Server'), param('Path'), param('FileName'), param('PathComplete')];
+
+// Propriedades do arquivo remoto no corpo: pathComplete OU path e fileName
+const fileBodyProperties = {
+  server: { type: 'string' },
+  path: { type: 'string' },
+  fileName: { type: 'string' },
+  pathComplete: { type: 'string' }
+};
+
+const PATHS = {
+  '/api/upload': {
+    post: {
+      operationId: 'uploadFile',
+      tags: ['Upload'],
+      summary: 'Envia um arquivo a partir de uma URL ou de Base64',
+      description: 'Informe urlFile OU base64File. Com async: true (apenas urlFile), a transferência vira um job e a resposta é 202.',
+      requestBody: jsonBody({
+        type: 'object',
+        allOf: [ref('UploadItem')],
+        required: ['path', 'fileName'],
+        properties: {
+          server: { type: 'string' },
+          async: { type: 'boolean', description: 'Transferir em segundo plano (apenas urlFile)' },
+          callbackUrl: { type: 'string', description: 'URL notificada com um webhook assinado ao fim do job' }
+        }
+      }),
+      responses: responses({
+        ...ok(success({ message: { type: 'string' }, details: ref('UploadResult') })),
+        ...ok(success({ jobId: { type: 'string' }, statusUrl: { type: 'string' } }), 'Job criado', 202)
+      }, 409, 413, 415, 422, 502, 503, 504)
+    }
+  },
+  '/api/upload/batch': {
+    post: {
+      operationId: 'uploadBatch',
+      tags: ['Upload'],
+      summary: 'Envia vários arquivos (URL ou Base64) em uma requisição',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['items'],
+        properties: {
+          server: { type: 'string' },
+          conflict: ref('ConflictPolicy'),
+          items: { type: 'array', minItems: 1, items: ref('UploadItem') }
+        }
+      }),
+      responses: responses({
+        ...ok(success({ results: { type: 'array', items: { type: 'object' } } }), 'Todos os itens foram enviados'),
+        207: { description: 'Algum item falhou (veja results)', content: { 'application/json': { schema: success({ results: { type: 'array', items: { type: 'object' } } }) } } }
+      })
+    }
+  },
+  '/api/upload/direct': {
+    post: {
+      operationId: 'uploadMultipart',
+      tags: ['Upload'],
+      summary: 'Envia um arquivo por multipart/form-data',
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['file', 'path'],
+              properties: {
+                file: { type: 'string', format: 'binary' },
+                path: { type: 'string' },
+                fileName: { type: 'string', description: 'Padrão: o nome original do arquivo' },
+                server: { type: 'string' },
+                checksum: ref('Checksum'),
+                sidecar: { type: 'boolean' },
+                conflict: ref('ConflictPolicy')
+              }
+            }
+          }
+        }
+      },
+      responses: responses(ok(success({ message: { type: 'string' }, details: ref('UploadResult') })), 409, 413, 415, 422, 502, 503)
+    }
+  },
+  '/api/uploads': {
+    post: {
+      operationId: 'createUploadSession',
+      tags: ['Upload em partes'],
+      summary: 'Inicia uma sessão de upload em partes',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['path', 'fileName'],
+        properties: {
+          server: { type: 'string' },
+          path: { type: 'string' },
+          fileName: { type: 'string' },
+          size: { type: 'integer', minimum: 0, nullable: true, description: 'Tamanho total (ou informado no Content-Range das partes)' },
+          checksum: ref('Checksum'),
+          sidecar: { type: 'boolean' },
+          conflict: ref('ConflictPolicy')
+        }
+      }),
+      responses: responses(ok(success({ uploadId: { type: 'string' }, offset: { type: 'integer' } }), 'Sessão criada', 201))
+    }
+  },
+  '/api/uploads/{uploadId}': {
+    parameters: [pathParam('uploadId', 'Id da sessão de upload')],
+    get: {
+      operationId: 'getUploadSession',
+      tags: ['Upload em partes'],
+      summary: 'Consulta o offset de uma sessão de upload',
+      responses: responses(ok(success({ uploadId: { type: 'string' }, offset: { type: 'integer' }, size: { type: 'integer' } })), 404)
+    },
+    put: {
+      operationId: 'uploadChunk',
+      tags: ['Upload em partes'],
+      summary: 'Envia uma parte do arquivo (Content-Range: bytes início-fim/total)',
+      parameters: [
+        { name: 'Content-Range', in: 'header', required: true, schema: { type: 'string' }, example: 'bytes 0-5242879/20000000' },
+        { name: 'X-Chunk-Checksum', in: 'header', schema: { type: 'string' }, description: 'Checksum da parte (sha256=<hex> ou md5=<hex>)' }
+      ],
+      requestBody: { required: true, content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+      responses: responses(ok(success({ offset: { type: 'integer' } })), 404, 409, 413, 422)
+    },
+    delete: {
+      operationId: 'cancelUploadSession',
+      tags: ['Upload em partes'],
+      summary: 'Cancela uma sessão de upload',
+      responses: responses(ok(success({ message: { type: 'string' } })), 404)
+    }
+  },
+  '/api/uploads/{uploadId}/commit': {
+    parameters: [pathParam('uploadId', 'Id da sessão de upload')],
+    post: {
+      operationId: 'commitUploadSession',
+      tags: ['Upload em partes'],
+      summary: 'Conclui a sessão e envia o arquivo ao servidor',
+      requestBody: jsonBody({ type: 'object', properties: { conflict: ref('ConflictPolicy') } }, false),
+      responses: responses(ok(success({ message: { type: 'string' }, details: ref('UploadResult') })), 404, 409, 415, 422, 502, 503)
+    }
+  },
+  '/api/jobs/{jobId}': {
+    parameters: [pathParam('jobId', 'Id do job')],
+    get: {
+      operationId: 'getJob',
+      tags: ['Upload'],
+      summary: 'Consulta um job de upload assíncrono',
+      responses: responses(ok({ allOf: [success(), ref('Job')] }), 404)
+    }
+  },
+  '/api/download': {
+    get: {
+      operationId: 'downloadFile',
+      tags: ['Download'],
+      summary: 'Baixa um arquivo (com suporte a Range)',
+      parameters: fileQuery,
+      responses: responses(fileStream('Conteúdo do arquivo'), 404)
+    }
+  },
+  '/api/download/archive': {
+    get: {
+      operationId: 'downloadArchive',
+      tags: ['Download'],
+      summary: 'Baixa um diretório ou uma lista de arquivos compactados',
+      parameters: [
+        param('Server'),
+        queryParam('path', { type: 'string' }, 'Diretório (ou files)'),
+        queryParam('files', { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] }, 'Arquivos (caminhos completos; repita o parâmetro)'),
+        queryParam('format', { type: 'string', enum: ['zip', 'tar.gz'], default: 'zip' }, 'Formato do pacote'),
+        queryParam('name', { type: 'string' }, 'Nome do pacote, sem extensão')
+      ],
+      responses: responses({
+        200: { description: 'Pacote compactado', content: { 'application/zip': { schema: { type: 'string', format: 'binary' } }, 'application/gzip': { schema: { type: 'string', format: 'binary' } } } }
+      }, 404, 413)
+    }
+  },
+  '/api/create-temp-link': {
+    post: {
+      operationId: 'createTempLink',
+      tags: ['Links temporários'],
+      summary: 'Cria um link de download sem autenticação',
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          ...fileBodyProperties,
+          expirationMinutes: { type: 'number', minimum: 0, description: 'Padrão: 120' },
+          maxDownloads: { type: 'integer', minimum: 1, nullable: true, description: 'Apenas links stored' },
+          mode: { type: 'string', enum: ['stored', 'signed'] },
+          allowedIp: {
+            description: 'IPs ou CIDRs permitidos (apenas links signed)',
+            oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }]
+          },
+          downloadFileName: { type: 'string', description: 'Nome do arquivo no download (apenas links signed)' }
+        }
+      }),
+      responses: responses(ok(success({
+        mode: { type: 'string', enum: ['stored', 'signed'] },
+        downloadUrl: { type: 'string' },
+        expiresAt: { type: 'string', format: 'date-time' },
+        maxDownloads: { type: 'integer', nullable: true },
+        linkId: { type: 'string', nullable: true }
+      })))
+    }
+  },
+  '/api/temp-links': {
+    get: {
+      operationId: 'listTempLinks',
+      tags: ['Links temporários'],
+      summary: 'Lista os links temporários ativos',
+      responses: responses(ok(success({ links: { type: 'array', items: ref('TempLink') } })))
+    }
+  },
+  '/api/temp-link/{linkId}': {
+    parameters: [pathParam('linkId', 'Id do link')],
+    delete: {
+      operationId: 'revokeTempLink',
+      tags: ['Links temporários'],
+      summary: 'Revoga um link temporário',
+      responses: responses(ok(success({ message: { type: 'string' } })), 404)
+    }
+  },
+  '/api/temp-download/{linkId}': {
+    parameters: [pathParam('linkId', 'Id do link ou token assinado')],
+    get: {
+      operationId: 'downloadTempLink',
+      tags: ['Links temporários'],
+      summary: 'Baixa o arquivo de um link temporário (sem autenticação)',
+      security: [],
+      responses: { ...fileStream('Conteúdo do arquivo'), ...errors(403, 404, 410, 500) }
+    }
+  },
+  '/api/list': {
+    get: {
+      operationId: 'listFiles',
+      tags: ['Arquivos'],
+      summary: 'Lista um diretório, com paginação, filtros e ordenação',
+      parameters: [
+        param('Server'),
+        queryParam('path', { type: 'string' }, 'Diretório remoto', true),
+        limitParam,
+        queryParam('cursor', { type: 'string' }, 'Cursor da próxima página (nextCursor)'),
+        queryParam('glob', { type: 'string' }, 'Filtro do nome (glob)'),
+        queryParam('regex', { type: 'string' }, 'Filtro do nome (expressão regular)'),
+        queryParam('type', { type: 'string' }, 'file, directory e/ou symlink, separados por vírgula'),
+        queryParam('sort', { type: 'string', enum: ['name', 'size', 'modified', 'type'] }, 'Campo da ordenação'),
+        queryParam('order', { type: 'string', enum: ['asc', 'desc'] }, 'Direção da ordenação'),
+        queryParam('recursive', { type: 'boolean' }, 'Incluir os subdiretórios'),
+        queryParam('depth', { type: 'integer', minimum: 1 }, 'Profundidade máxima (com recursive=true)')
+      ],
+      responses: responses(ok(success({
+        server: { type: 'string' },
+        path: { type: 'string' },
+        total: { type: 'integer' },
+        count: { type: 'integer' },
+        nextCursor: { type: 'string', nullable: true },
+        files: { type: 'array', items: ref('RemoteEntry') }
+      })), 404, 413)
+    }
+  },
+  '/api/search': {
+    get: {
+      operationId: 'searchFiles',
+      tags: ['Arquivos'],
+      summary: 'Busca arquivos em uma subárvore (NDJSON)',
+      parameters: [
+        param('Server'),
+        queryParam('path', { type: 'string' }, 'Diretório inicial', true),
+        queryParam('glob', { type: 'string' }, 'Filtro do nome (glob)'),
+        queryParam('regex', { type: 'string' }, 'Filtro do nome (expressão regular)'),
+        queryParam('type', { type: 'string' }, 'file, directory e/ou symlink, separados por vírgula'),
+        queryParam('minSize', { type: 'integer', minimum: 0 }, 'Tamanho mínimo (bytes)'),
+        queryParam('maxSize', { type: 'integer', minimum: 0 }, 'Tamanho máximo (bytes)'),
+        queryParam('modifiedAfter', { type: 'string' }, 'Modificados depois da data (ISO 8601)'),
+        queryParam('modifiedBefore', { type: 'string' }, 'Modificados antes da data (ISO 8601)'),
+        queryParam('depth', { type: 'integer', minimum: 1 }, 'Profundidade máxima'),
+        queryParam('maxResults', { type: 'integer', minimum: 1 }, 'Máximo de resultados'),
+        queryParam('timeout', { type: 'integer', minimum: 1 }, 'Tempo máximo da busca (segundos)')
+      ],
+      responses: responses({
+        200: { description: 'Um objeto JSON por linha: os resultados e, ao final, o resumo', content: { 'application/x-ndjson': { schema: { type: 'string' } } } }
+      }, 404)
+    }
+  },
+  '/api/stat': {
+    get: {
+      operationId: 'statFile',
+      tags: ['Arquivos'],
+      summary: 'Consulta tamanho e data de modificação de um arquivo ou diretório',
+      parameters: fileQuery,
+      responses: responses(ok({ allOf: [success({ server: { type: 'string' } }), ref('RemoteEntry')] }), 404)
+    }
+  },
+  '/api/file': {
+    delete: {
+      operationId: 'deleteFile',
+      tags: ['Arquivos'],
+      summary: 'Remove um arquivo',
+      parameters: fileQuery,
+      responses: responses(ok(success({ message: { type: 'string' }, path: { type: 'string' } })), 404, 409)
+    }
+  },
+  '/api/mkdir': {
+    post: {
+      operationId: 'createDirectory',
+      tags: ['Arquivos'],
+      summary: 'Cria um diretório (e os intermediários)',
+      requestBody: jsonBody({ type: 'object', required: ['path'], properties: { server: { type: 'string' }, path: { type: 'string' } } }),
+      responses: responses(ok(success({ message: { type: 'string' }, path: { type: 'string' } }), 'Diretório criado', 201), 409)
+    }
+  },
+  '/api/rmdir': {
+    delete: {
+      operationId: 'removeDirectory',
+      tags: ['Arquivos'],
+      summary: 'Remove um diretório',
+      parameters: [
+        param('Server'),
+        queryParam('path', { type: 'string' }, 'Diretório remoto', true),
+        queryParam('recursive', { type: 'boolean' }, 'Remover também o conteúdo')
+      ],
+      responses: responses(ok(success({ message: { type: 'string' }, path: { type: 'string' } })), 404, 409)
+    }
+  },
+  '/api/rename': {
+    post: {
+      operationId: 'renameFile',
+      tags: ['Arquivos'],
+      summary: 'Move ou renomeia um arquivo ou diretório',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['from', 'to'],
+        properties: { server: { type: 'string' }, from: { type: 'string' }, to: { type: 'string' }, overwrite: { type: 'boolean' } }
+      }),
+      responses: responses(ok(success({ from: { type: 'string' }, to: { type: 'string' } })), 404, 409)
+    }
+  },
+  '/api/copy': {
+    post: {
+      operationId: 'copyFile',
+      tags: ['Arquivos'],
+      summary: 'Copia um arquivo',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['from', 'to'],
+        properties: { server: { type: 'string' }, from: { type: 'string' }, to: { type: 'string' }, overwrite: { type: 'boolean' } }
+      }),
+      responses: responses(ok(success({ from: { type: 'string' }, to: { type: 'string' } })), 404, 409, 502)
+    }
+  },
+  '/api/versions': {
+    get: {
+      operationId: 'listVersions',
+      tags: ['Versões'],
+      summary: 'Lista as versões anteriores de um arquivo',
+      parameters: fileQuery,
+      responses: responses(ok(success({ path: { type: 'string' }, versions: { type: 'array', items: { type: 'object' } } })))
+    }
+  },
+  '/api/versions/restore': {
+    post: {
+      operationId: 'restoreVersion',
+      tags: ['Versões'],
+      summary: 'Restaura uma versão anterior de um arquivo',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['versionId'],
+        properties: { ...fileBodyProperties, versionId: { type: 'string' } }
+      }),
+      responses: responses(ok(success({ path: { type: 'string' }, restored: { type: 'string' } })), 404, 409)
+    }
+  },
+  '/api/sync-jobs': {
+    get: {
+      operationId: 'listSyncJobs',
+      tags: ['Sincronizações'],
+      summary: 'Lista as sincronizações agendadas',
+      responses: responses(ok(success({ count: { type: 'integer' }, jobs: { type: 'array', items: ref('SyncJob') } })))
+    },
+    post: {
+      operationId: 'createSyncJob',
+      tags: ['Sincronizações'],
+      summary: 'Cria uma sincronização',
+      requestBody: jsonBody(ref('SyncJobDefinition')),
+      responses: responses(ok(success({ job: ref('SyncJob') }), 'Sincronização criada', 201))
+    }
+  },
+  '/api/sync-jobs/{jobId}': {
+    parameters: [pathParam('jobId', 'Id da sincronização')],
+    get: {
+      operationId: 'getSyncJob',
+      tags: ['Sincronizações'],
+      summary: 'Consulta uma sincronização e a última execução',
+      responses: responses(ok(success({ job: ref('SyncJob'), lastRun: { allOf: [ref('SyncRun')], nullable: true } })), 404)
+    },
+    delete: {
+      operationId: 'deleteSyncJob',
+      tags: ['Sincronizações'],
+      summary: 'Remove uma sincronização criada pela API',
+      responses: responses(ok(success({ message: { type: 'string' }, jobId: { type: 'string' } })), 404, 409)
+    }
+  },
+  '/api/sync-jobs/{jobId}/run': {
+    parameters: [pathParam('jobId', 'Id da sincronização')],
+    post: {
+      operationId: 'runSyncJob',
+      tags: ['Sincronizações'],
+      summary: 'Executa uma sincronização agora',
+      responses: responses(ok(success({ message: { type: 'string' }, statusUrl: { type: 'string' }, run: ref('SyncRun') }), 'Execução iniciada', 202), 404, 409)
+    }
+  },
+  '/api/sync-jobs/{jobId}/runs': {
+    parameters: [pathParam('jobId', 'Id da sincronização')],
+    get: {
+      operationId: 'listSyncRuns',
+      tags: ['Sincronizações'],
+      summary: 'Histórico das execuções de uma sincronização',
+      parameters: [limitParam],
+      responses: responses(ok(success({ jobId: { type: 'string' }, count: { type: 'integer' }, runs: { type: 'array', items: ref('SyncRun') } })), 404)
+    }
+  },
+  '/api/webhooks': {
+    get: {
+      operationId: 'listWebhooks',
+      tags: ['Webhooks'],
+      summary: 'Lista as assinaturas de webhooks',
+      responses: responses(ok(success({ count: { type: 'integer' }, webhooks: { type: 'array', items: ref('Webhook') } })))
+    },
+    post: {
+      operationId: 'createWebhook',
+      tags: ['Webhooks'],
+      summary: 'Cria uma assinatura de webhook',
+      requestBody: jsonBody({
+        type: 'object',
+        allOf: [ref('WebhookDefinition')],
+        required: ['url'],
+        properties: { secret: { type: 'string', minLength: 16, description: 'Padrão: gerado pela API' } }
+      }),
+      responses: responses(ok(success({ webhook: ref('Webhook') }), 'Assinatura criada', 201))
+    }
+  },
+  '/api/webhooks/{webhookId}': {
+    parameters: [pathParam('webhookId', 'Id da assinatura')],
+    get: {
+      operationId: 'getWebhook',
+      tags: ['Webhooks'],
+      summary: 'Consulta uma assinatura de webhook',
+      responses: responses(ok(success({ webhook: ref('Webhook') })), 404)
+    },
+    patch: {
+      operationId: 'updateWebhook',
+      tags: ['Webhooks'],
+      summary: 'Altera uma assinatura de webhook',
+      requestBody: jsonBody(ref('WebhookDefinition')),
+      responses: responses(ok(success({ webhook: ref('Webhook') })), 404)
+    },
+    delete: {
+      operationId: 'deleteWebhook',
+      tags: ['Webhooks'],
+      summary: 'Remove uma assinatura de webhook',
+      responses: responses(ok(success({ message: { type: 'string' }, webhookId: { type: 'string' } })), 404)
+    }
+  },
+  '/api/webhooks/{webhookId}/deliveries': {
+    parameters: [pathParam('webhookId', 'Id da assinatura')],
+    get: {
+      operationId: 'listWebhookDeliveries',
+      tags: ['Webhooks'],
+      summary: 'Últimas entregas de uma assinatura',
+      parameters: [limitParam],
+      responses: responses(ok(success({ webhookId: { type: 'string' }, count: { type: 'integer' }, deliveries: { type: 'array', items: ref('WebhookDelivery') } })), 404)
+    }
+  },
+  '/api/watches': {
+    get: {
+      operationId: 'listWatches',
+      tags: ['Webhooks'],
+      summary: 'Lista os diretórios monitorados',
+      responses: responses(ok(success({ count: { type: 'integer' }, watches: { type: 'array', items: ref('Watch') } })))
+    },
+    post: {
+      operationId: 'createWatch',
+      tags: ['Webhooks'],
+      summary: 'Monitora um diretório remoto',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['server', 'path'],
+        properties: {
+          server: { type: 'string' },
+          path: { type: 'string' },
+          recursive: { type: 'boolean' },
+          interval: { type: 'integer', minimum: 1, description: 'Segundos entre as listagens (mínimo: WATCH_MIN_INTERVAL)' }
+        }
+      }),
+      responses: responses(ok(success({ watch: ref('Watch') }), 'Monitoramento criado', 201))
+    }
+  },
+  '/api/watches/{watchId}': {
+    parameters: [pathParam('watchId', 'Id do monitoramento')],
+    get: {
+      operationId: 'getWatch',
+      tags: ['Webhooks'],
+      summary: 'Consulta um diretório monitorado',
+      responses: responses(ok(success({ watch: ref('Watch') })), 404)
+    },
+    delete: {
+      operationId: 'deleteWatch',
+      tags: ['Webhooks'],
+      summary: 'Deixa de monitorar um diretório',
+      responses: responses(ok(success({ message: { type: 'string' }, watchId: { type: 'string' } })), 404)
+    }
+  },
+  '/api/servers': {
+    get: {
+      operationId: 'listServers',
+      tags: ['Servidores'],
+      summary: 'Lista os servidores configurados',
+      parameters: [queryParam('check', { type: 'boolean', default: true }, 'Verificar a conexão com cada servidor')],
+      responses: responses(ok(success({ servers: { type: 'array', items: { type: 'object' } } })))
+    }
+  },
+  '/api/pool': {
+    get: {
+      operationId: 'getPoolStats',
+      tags: ['Servidores'],
+      summary: 'Estado do pool de conexões',
+      responses: responses(ok(success({ pools: { type: 'array', items: { type: 'object' } } })))
+    }
+  },
+  '/api/keys': {
+    get: {
+      operationId: 'listApiKeys',
+      tags: ['Chaves de API'],
+      summary: 'Lista as chaves de API',
+      responses: responses(ok(success({ keys: { type: 'array', items: ref('ApiKey') } })))
+    },
+    post: {
+      operationId: 'createApiKey',
+      tags: ['Chaves de API'],
+      summary: 'Cria uma chave de API (o segredo só é retornado aqui)',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['name', 'operations'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          operations: { type: 'array', minItems: 1, items: { type: 'string', enum: OPERATIONS } },
+          pathPrefixes: { type: 'array', minItems: 1, items: { type: 'string' } },
+          rootDir: { type: 'string' },
+          expiresAt: { type: 'string', nullable: true, description: 'Data futura (ISO 8601)' },
+          rateLimit: { type: 'integer', minimum: 1, nullable: true, description: 'Requisições por minuto' }
+        }
+      }),
+      responses: responses(ok({ allOf: [success({ key: { type: 'string' } }), ref('ApiKey')] }, 'Chave criada', 201))
+    }
+  },
+  '/api/keys/{keyId}/rotate': {
+    parameters: [pathParam('keyId', 'Id da chave')],
+    post: {
+      operationId: 'rotateApiKey',
+      tags: ['Chaves de API'],
+      summary: 'Gera um novo segredo para a chave',
+      responses: responses(ok({ allOf: [success({ key: { type: 'string' } }), ref('ApiKey')] }), 404)
+    }
+  },
+  '/api/keys/{keyId}': {
+    parameters: [pathParam('keyId', 'Id da chave')],
+    delete: {
+      operationId: 'revokeApiKey',
+      tags: ['Chaves de API'],
+      summary: 'Revoga uma chave de API',
+      responses: responses(ok({ allOf: [success({ message: { type: 'string' } }), ref('ApiKey')] }), 404)
+    }
+  },
+  '/api/audit': {
+    get: {
+      operationId: 'listAuditEntries',
+      tags: ['Auditoria'],
+      summary: 'Consulta a trilha de auditoria',
+      parameters: [
+        queryParam('operation', { type: 'string' }, 'Operações, separadas por vírgula'),
+        queryParam('keyId', { type: 'string' }, 'Id da chave de API'),
+        queryParam('server', { type: 'string' }, 'Servidor'),
+        queryParam('path', { type: 'string' }, 'Caminho (inclui os registros dentro dele)'),
+        queryParam('outcome', { type: 'string' }, 'success, failure e/ou aborted, separados por vírgula'),
+        queryParam('from', { type: 'string' }, 'Registros a partir da data (ISO 8601)'),
+        queryParam('to', { type: 'string' }, 'Registros até a data (ISO 8601)'),
+        limitParam,
+        queryParam('offset', { type: 'integer', minimum: 0 }, 'Registros a pular')
+      ],
+      responses: responses(ok(success({
+        total: { type: 'integer', nullable: true, description: 'null com AUDIT_LOG=file' },
+        limit: { type: 'integer' },
+        offset: { type: 'integer' },
+        hasMore: { type: 'boolean' },
+        entries: { type: 'array', items: ref('AuditEntry') }
+      })))
+    }
+  },
+  '/api/openapi.json': {
+    get: {
+      operationId: 'getOpenApiDocument',
+      tags: ['Monitoramento'],
+      summary: 'Este documento OpenAPI',
+      security: [],
+      responses: ok({ type: 'object' }, 'Documento OpenAPI 3.0')
+    }
+  },
+  '/metrics': {
+    get: {
+      operationId: 'getMetrics',
+      tags: ['Monitoramento'],
+      summary: 'Métricas no formato do Prometheus',
+      security: [{ metricsToken: [] }],
+      responses: {
+        200: { description: 'Métricas', content: { 'text/plain': { schema: { type: 'string' } } } },
+        ...errors(401, 500)
+      }
+    }
+  },
+  '/healthz': {
+    get: {
+      operationId: 'getHealth',
+      tags: ['Monitoramento'],
+      summary: 'O processo está no ar',
+      security: [],
+      responses: ok({ type: 'object', properties: { status: { type: 'string', example: 'ok' } } })
+    }
+  },
+  '/readyz': {
+    get: {
+      operationId: 'getReadiness',
+      tags: ['Monitoramento'],
+      summary: 'Servidores e diretórios locais prontos para uso',
+      security: [],
+      responses: {
+        ...ok({ type: 'object', properties: { status: { type: 'string', example: 'ready' } } }),
+        503: { description: 'Algum servidor ou diretório indisponível', content: { 'application/json': { schema: { type: 'object' } } } }
+      }
+    }
+  }
+};
+
+// Monta o documento. version é a versão da API (do package.json).
+function buildOpenApiDocument({ version }) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Secure FTP API',
+      version,
+      description: 'API para transferência de arquivos entre sistemas e servidores FTP/SFTP. '
+        + 'As respostas de erro têm o formato Error: code (estável, para tratamento pelos clientes), '
+        + 'error (mensagem) e details. A mensagem é em português ou, com ?lang=en ou Accept-Language: en, em inglês.'
+    },
+    security: [{ bearerAuth: [] }],
+    paths: PATHS,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API_TOKEN ou chave de API (ak_...)' },
+        metricsToken: { type: 'http', scheme: 'bearer', description: 'METRICS_TOKEN' }
+      },
+      parameters: PARAMETERS,
+      schemas: SCHEMAS,
+      responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([status, description]) => [
+        `Error${status}`,
+        { description, content: { 'application/json': { schema: ref('Error') } } }
+      ]))
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
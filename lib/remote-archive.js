@@ -0,0 +1,98 @@
+// remote-archive.js - Download de vários arquivos remotos em um único ZIP ou tar.gz
+//
+// O arquivo compactado é gerado em streaming: cada arquivo remoto é baixado
+// pela mesma conexão, em sequência, diretamente para o compactador, sem
+// gravar o pacote inteiro em memória ou em disco.
+
+const path = require('path');
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const { FileType } = require('./storage');
+const { createApiError } = require('./api-errors');
+
+const ARCHIVE_FORMATS = {
+  zip: { extension: 'zip', contentType: 'application/zip', create: () => archiver('zip', { zlib: { level: 6 } }) },
+  'tar.gz': { extension: 'tar.gz', contentType: 'application/gzip', create: () => archiver('tar', { gzip: true }) }
+};
+
+// Lista recursivamente os arquivos de um diretório remoto. name é o caminho
+// relativo ao diretório, usado como nome da entrada no arquivo compactado.
+async function listFilesRecursive(client, dir, maxFiles, prefix = '', files = []) {
+  for (const item of await client.list(dir)) {
+    if (item.name === '.' || item.name === '..') continue;
+
+    const fullPath = path.posix.join(dir, item.name);
+    const name = prefix ? `${prefix}/${item.name}` : item.name;
+
+    if (item.type === FileType.Directory) {
+      await listFilesRecursive(client, fullPath, maxFiles, name, files);
+    } else if (item.type === FileType.File) {
+      if (files.length >= maxFiles) {
+        throw createApiError(413, `O download compactado é limitado a ${maxFiles} arquivos`);
+      }
+      files.push({ fullPath, name, size: item.size, modifiedAt: item.modifiedAt });
+    }
+  }
+
+  return files;
+}
+
+// Escreve o arquivo compactado com as entradas em output (ex.: a resposta HTTP).
+// entries: [{ fullPath, name, size, modifiedAt }]. Retorna o tamanho gerado.
+async function writeArchive(client, entries, format, output) {
+  const archive = ARCHIVE_FORMATS[format].create();
+  let current = null;
+  let failure = null;
+
+  // Interromper o download em andamento se o compactador falhar ou se o
+  // cliente desconectar antes do fim
+  const fail = (error) => {
+    failure = failure || error;
+    if (current) current.destroy(failure);
+  };
+  archive.on('error', fail);
+  archive.on('warning', fail);
+  output.on('close', () => {
+    if (!output.writableFinished) fail(createApiError(499, 'Conexão encerrada pelo cliente'));
+  });
+
+  const finished = new Promise((resolve) => {
+    output.on('finish', resolve);
+    output.on('close', resolve);
+  });
+  archive.pipe(output);
+
+  try {
+    for (const entry of entries) {
+      if (failure) throw failure;
+      current = new PassThrough();
+
+      // Com o tamanho informado, o tar também grava a entrada em streaming
+      archive.append(current, {
+        name: entry.name,
+        stats: {
+          size: entry.size,
+          mode: 0o100644,
+          mtime: entry.modifiedAt || new Date()
+        }
+      });
+      await client.downloadTo(current, entry.fullPath);
+    }
+    current = null;
+
+    if (failure) throw failure;
+    await archive.finalize();
+    await finished;
+    if (failure) throw failure;
+    return archive.pointer();
+  } catch (error) {
+    archive.abort();
+    throw failure || error;
+  }
+}
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  listFilesRecursive,
+  writeArchive
+};
@@ -0,0 +1,532 @@
+// remote-listing.js - Listagem e busca em diretórios remotos
+//
+// O FTP não pagina nem filtra listagens no servidor: o diretório (ou a árvore,
+// no modo recursivo) é lido inteiro, limitado a LIST_MAX_ENTRIES itens, e os
+// filtros, a ordenação e a paginação são aplicados aqui. O cursor guarda a
+// chave de ordenação do último item da página, de modo que inclusões e
+// remoções entre as páginas não fazem itens se repetirem ou serem pulados.
+//
+// As expressões do filtro por nome (glob ou regex) rodam no motor de
+// backtracking do V8: uma expressão como ^(a+)+$ pode levar segundos em um
+// nome curto e travaria o event loop. Por isso a regex não pode ter
+// quantificadores aninhados, e toda avaliação do filtro roda em um contexto
+// do vm com tempo limite (NAME_FILTER_TIMEOUT).
+//
+// A busca (searchTree) percorre a árvore e entrega cada arquivo encontrado
+// assim que o diretório dele é lido, sem esperar o fim da varredura.
+
+const path = require('path');
+const vm = require('vm');
+const { FileType } = require('./storage');
+const { createApiError } = require('./api-errors');
+
+// Máximo de itens lidos por listagem (soma de todos os níveis no modo recursivo)
+const LIST_MAX_ENTRIES = parseInt(process.env.LIST_MAX_ENTRIES) || 50000;
+// Profundidade máxima do modo recursivo (1 = apenas o diretório informado)
+const LIST_MAX_DEPTH = parseInt(process.env.LIST_MAX_DEPTH) || 20;
+const LIST_DEFAULT_DEPTH = 5;
+// Tamanho máximo de uma página
+const LIST_MAX_PAGE_SIZE = 1000;
+// Tamanho máximo da expressão regular do filtro (evita expressões abusivas)
+const REGEX_MAX_LENGTH = 200;
+// Tempo máximo (ms) de cada avaliação do filtro por nome
+const NAME_FILTER_TIMEOUT = parseInt(process.env.NAME_FILTER_TIMEOUT) || 200;
+// Busca: profundidade padrão, máximo de resultados e tempo máximo (ms)
+const SEARCH_DEFAULT_DEPTH = 10;
+const SEARCH_MAX_RESULTS = parseInt(process.env.SEARCH_MAX_RESULTS) || 1000;
+const SEARCH_TIMEOUT = parseInt(process.env.SEARCH_TIMEOUT) || 30 * 1000;
+
+const SORT_FIELDS = ['name', 'size', 'modified'];
+
+// Nomes dos tipos nos filtros e no campo kind
+const KIND_NAMES = {
+  [FileType.File]: 'file',
+  [FileType.Directory]: 'directory',
+  [FileType.SymbolicLink]: 'symlink',
+  [FileType.Unknown]: 'unknown'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Converte um padrão glob (*, ? e [abc]) em expressão regular para o nome
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+        continue;
+      }
+      const set = glob.substring(i + 1, end).replace(/\\/g, '\\\\');
+      source += set.startsWith('!') ? `[^${set.substring(1)}]` : `[${set}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Indica se a expressão tem um quantificador aplicado a um grupo que já
+// contém outro (ex.: (a+)+, (a*b?)*, ((ab)+){2}), a principal causa de
+// backtracking exponencial
+function hasNestedQuantifier(source) {
+  // Para cada grupo aberto: se contém algum quantificador
+  const groups = [false];
+  // O grupo recém-fechado continha quantificador (e o próximo token o quantifica)
+  let closedQuantified = false;
+  let previousWasQuantifier = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    let isQuantifier = false;
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Classe de caracteres: quantificadores dentro dela são literais
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push(false);
+      // (?:, (?=, (?!, (?<nome> etc.: o ? não é quantificador
+      if (source[i + 1] === '?') i++;
+    } else if (char === ')') {
+      const quantified = groups.length > 1 ? groups.pop() : false;
+      if (quantified) groups[groups.length - 1] = true;
+      closedQuantified = quantified;
+      previousWasQuantifier = false;
+      continue;
+    } else if (char === '*' || char === '+' || char === '?' || (char === '{' && /^\{\d+(,\d*)?\}/.test(source.substring(i)))) {
+      // ? logo após um quantificador o torna não guloso
+      if (!(char === '?' && previousWasQuantifier)) {
+        if (closedQuantified) return true;
+        groups[groups.length - 1] = true;
+        isQuantifier = true;
+      }
+      if (char === '{') i = source.indexOf('}', i);
+    }
+
+    closedQuantified = false;
+    previousWasQuantifier = isQuantifier;
+  }
+
+  return false;
+}
+
+// Filtro por nome com tempo limite. matches(names) avalia a expressão em
+// todos os nomes de uma vez (um único contexto do vm por lote) e retorna a
+// lista de resultados; test(name) avalia um nome. Se a avaliação exceder
+// timeout ms, lança um erro 400.
+function createNameFilter(pattern, field) {
+  const context = vm.createContext({ pattern, names: [] });
+  const script = new vm.Script('names.map(name => pattern.test(name))');
+
+  const matches = (names, timeout = NAME_FILTER_TIMEOUT) => {
+    context.names = names;
+    try {
+      return script.runInContext(context, { timeout });
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        throw createApiError(400, `${field} excedeu o tempo máximo de avaliação (${timeout}ms). Use uma expressão mais simples`);
+      }
+      throw error;
+    } finally {
+      context.names = [];
+    }
+  };
+
+  return {
+    field,
+    matches,
+    test: (name, timeout) => matches([name], timeout)[0]
+  };
+}
+
+// Codifica/decodifica o cursor de paginação (base64url de JSON)
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (cursor && typeof cursor.p === 'string') return cursor;
+  } catch (error) {
+    // Tratado abaixo
+  }
+  throw createApiError(400, 'cursor inválido');
+}
+
+function parseInteger(value, field, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw createApiError(400, `${field} deve ser um número inteiro entre ${min} e ${max}`);
+  }
+  return number;
+}
+
+function parseDate(value, field) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw createApiError(400, `${field} deve ser uma data ISO 8601 válida`);
+  }
+  return time;
+}
+
+// Filtro pelo nome: glob (sem diferenciar maiúsculas) OU expressão regular
+function parseNameFilter(query) {
+  if (query.glob && query.regex) {
+    throw createApiError(400, 'Use glob OU regex, não ambos');
+  }
+  if (query.glob) {
+    return createNameFilter(globToRegExp(String(query.glob)), 'glob');
+  }
+  if (query.regex) {
+    const source = String(query.regex);
+    if (source.length > REGEX_MAX_LENGTH) {
+      throw createApiError(400, `regex deve ter no máximo ${REGEX_MAX_LENGTH} caracteres`);
+    }
+    if (hasNestedQuantifier(source)) {
+      throw createApiError(400, 'regex não pode ter quantificadores aninhados, como (a+)+');
+    }
+
+    let pattern;
+    try {
+      pattern = new RegExp(source);
+    } catch (error) {
+      throw createApiError(400, `regex inválida: ${error.message}`);
+    }
+    return createNameFilter(pattern, 'regex');
+  }
+  return null;
+}
+
+// Filtro pelo tipo: file, directory e/ou symlink separados por vírgula
+function parseKinds(value) {
+  if (!value) return null;
+
+  const allowed = Object.values(KIND_NAMES).filter(kind => kind !== 'unknown');
+  const kinds = String(value).split(',').map(kind => kind.trim()).filter(Boolean);
+  const invalid = kinds.find(kind => !allowed.includes(kind));
+  if (invalid) {
+    throw createApiError(400, `type inválido: ${invalid}. Use ${allowed.join(', ')}`);
+  }
+  return kinds;
+}
+
+// Valida e normaliza os parâmetros da listagem (query string do /api/list)
+function parseListOptions(query) {
+  const options = {
+    limit: query.limit !== undefined ? parseInteger(query.limit, 'limit', 1, LIST_MAX_PAGE_SIZE) : null,
+    cursor: null,
+    nameFilter: parseNameFilter(query),
+    kinds: parseKinds(query.type),
+    sort: query.sort || 'name',
+    order: query.order || 'asc',
+    recursive: query.recursive === 'true',
+    depth: 1
+  };
+
+  if (!SORT_FIELDS.includes(options.sort)) {
+    throw createApiError(400, `sort deve ser ${SORT_FIELDS.join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(options.order)) {
+    throw createApiError(400, 'order deve ser asc ou desc');
+  }
+
+  if (options.recursive) {
+    options.depth = query.depth !== undefined ? parseInteger(query.depth, 'depth', 1, LIST_MAX_DEPTH) : Math.min(LIST_DEFAULT_DEPTH, LIST_MAX_DEPTH);
+  } else if (query.depth !== undefined) {
+    throw createApiError(400, 'depth só pode ser usado com recursive=true');
+  }
+
+  if (query.cursor) {
+    options.cursor = decodeCursor(query.cursor);
+    if (options.cursor.s !== options.sort || options.cursor.o !== options.order) {
+      throw createApiError(400, 'O cursor foi gerado com outra ordenação (sort/order)');
+    }
+  }
+
+  return options;
+}
+
+// Valida e normaliza os critérios da busca (query string do /api/search)
+function parseSearchOptions(query) {
+  const options = {
+    nameFilter: parseNameFilter(query),
+    kinds: parseKinds(query.type) || ['file'],
+    minSize: query.minSize !== undefined ? parseInteger(query.minSize, 'minSize', 0, Number.MAX_SAFE_INTEGER) : null,
+    maxSize: query.maxSize !== undefined ? parseInteger(query.maxSize, 'maxSize', 0, Number.MAX_SAFE_INTEGER) : null,
+    modifiedAfter: query.modifiedAfter ? parseDate(query.modifiedAfter, 'modifiedAfter') : null,
+    modifiedBefore: query.modifiedBefore ? parseDate(query.modifiedBefore, 'modifiedBefore') : null,
+    depth: query.depth !== undefined
+      ? parseInteger(query.depth, 'depth', 1, LIST_MAX_DEPTH)
+      : Math.min(SEARCH_DEFAULT_DEPTH, LIST_MAX_DEPTH),
+    maxResults: query.maxResults !== undefined
+      ? parseInteger(query.maxResults, 'maxResults', 1, SEARCH_MAX_RESULTS)
+      : SEARCH_MAX_RESULTS,
+    timeout: query.timeout !== undefined
+      ? parseInteger(query.timeout, 'timeout', 1, SEARCH_TIMEOUT)
+      : SEARCH_TIMEOUT
+  };
+
+  if (options.minSize !== null && options.maxSize !== null && options.minSize > options.maxSize) {
+    throw createApiError(400, 'minSize deve ser menor ou igual a maxSize');
+  }
+  if (options.modifiedAfter !== null && options.modifiedBefore !== null && options.modifiedAfter > options.modifiedBefore) {
+    throw createApiError(400, 'modifiedAfter deve ser anterior a modifiedBefore');
+  }
+
+  return options;
+}
+
+// Permissões no formato do ls (rwxr-xr-x). O basic-ftp informa cada grupo
+// como bits (4=r, 2=w, 1=x); o SFTP, como texto com as letras presentes.
+function formatPermissions(permissions) {
+  if (!permissions) return null;
+
+  const toBits = value => (typeof value === 'number'
+    ? value
+    : (String(value || '').includes('r') ? 4 : 0) + (String(value || '').includes('w') ? 2 : 0) + (String(value || '').includes('x') ? 1 : 0));
+  const toText = bits => `${bits & 4 ? 'r' : '-'}${bits & 2 ? 'w' : '-'}${bits & 1 ? 'x' : '-'}`;
+
+  const others = permissions.world !== undefined ? permissions.world : permissions.other;
+  return [permissions.user, permissions.group, others].map(value => toText(toBits(value))).join('');
+}
+
+// Data de modificação em ISO 8601. Sem a data já interpretada (MLSD/SFTP),
+// interpreta o texto da listagem Unix ("Mar 10 14:22" ou "Mar 10 2024") ou
+// DOS ("03-10-25 02:22PM"). Essas listagens não informam o fuso horário: a
+// hora é tratada como UTC.
+function normalizeModifiedDate(entry, now = new Date()) {
+  if (entry.modifiedAt instanceof Date && !Number.isNaN(entry.modifiedAt.getTime())) {
+    return entry.modifiedAt.toISOString();
+  }
+
+  const raw = String(entry.rawModifiedAt || '').trim();
+
+  const unix = /^([a-z]{3})\s+(\d{1,2})\s+(?:(\d{1,2}):(\d{2})|(\d{4}))$/i.exec(raw);
+  if (unix) {
+    const month = MONTHS.indexOf(unix[1].toLowerCase());
+    if (month === -1) return null;
+    const day = Number(unix[2]);
+
+    if (unix[5]) {
+      return new Date(Date.UTC(Number(unix[5]), month, day)).toISOString();
+    }
+
+    // Sem o ano, a data é dos últimos 6 meses: ano atual, ou o anterior se
+    // a data ficaria no futuro
+    let date = new Date(Date.UTC(now.getUTCFullYear(), month, day, Number(unix[3]), Number(unix[4])));
+    if (date.getTime() > now.getTime() + 24 * 60 * 60 * 1000) {
+      date = new Date(Date.UTC(now.getUTCFullYear() - 1, month, day, Number(unix[3]), Number(unix[4])));
+    }
+    return date.toISOString();
+  }
+
+  const dos = /^(\d{2})-(\d{2})-(\d{2}|\d{4})\s+(\d{1,2}):(\d{2})\s*(AM|PM)?$/i.exec(raw);
+  if (dos) {
+    let year = Number(dos[3]);
+    if (dos[3].length === 2) year += year < 70 ? 2000 : 1900;
+    let hours = Number(dos[4]);
+    if (dos[6]) {
+      hours = (hours % 12) + (dos[6].toUpperCase() === 'PM' ? 12 : 0);
+    }
+    return new Date(Date.UTC(year, Number(dos[1]) - 1, Number(dos[2]), hours, Number(dos[5]))).toISOString();
+  }
+
+  return null;
+}
+
+// Formata uma entrada do backend no formato do /api/list. Os campos idType e
+// type (pasta/arquivo) são mantidos por compatibilidade; kind é o tipo em inglês.
+function formatListEntry(entry, relativePath = entry.name) {
+  return {
+    name: entry.name,
+    path: relativePath,
+    size: entry.size,
+    idType: entry.type, // 1=arquivo, 2=diretório, 3=link simbólico
+    type: entry.type === FileType.Directory ? 'pasta' : 'arquivo',
+    kind: KIND_NAMES[entry.type] || 'unknown',
+    modifiedDate: normalizeModifiedDate(entry),
+    permissions: formatPermissions(entry.permissions),
+    linkTarget: entry.type === FileType.SymbolicLink ? (entry.link || null) : undefined,
+    isDirectory: entry.type === FileType.Directory
+  };
+}
+
+// Percorre o diretório e os subdiretórios (até depth níveis), em
+// profundidade, entregando { entry, relativePath }. Links simbólicos não são
+// seguidos, para evitar ciclos. Com onDirError, a falha ao listar um
+// subdiretório é informada a ela e o subdiretório é ignorado; stats.directories
+// conta os diretórios lidos.
+async function* walkTree(client, dirFullPath, depth, { prefix = '', onDirError = null, stats = {} } = {}) {
+  let list;
+  try {
+    list = await client.list(dirFullPath);
+  } catch (error) {
+    if (!prefix || !onDirError) throw error;
+    onDirError(prefix, error);
+    return;
+  }
+  stats.directories = (stats.directories || 0) + 1;
+
+  for (const entry of list) {
+    if (entry.name === '.' || entry.name === '..') continue;
+
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    yield { entry, relativePath };
+
+    if (entry.type === FileType.Directory && depth > 1) {
+      yield* walkTree(client, path.posix.join(dirFullPath, entry.name), depth - 1, { prefix: relativePath, onDirError, stats });
+    }
+  }
+}
+
+// Lê o diretório (e os subdiretórios, até depth níveis) inteiro
+async function readTree(client, dirFullPath, depth) {
+  const entries = [];
+
+  for await (const { entry, relativePath } of walkTree(client, dirFullPath, depth)) {
+    if (entries.length >= LIST_MAX_ENTRIES) {
+      throw createApiError(413, `A listagem excede o limite de ${LIST_MAX_ENTRIES} itens. Use um diretório mais específico ou reduza depth`);
+    }
+    entries.push(formatListEntry(entry, relativePath));
+  }
+
+  return entries;
+}
+
+// Chave de ordenação de uma entrada; o caminho desempata itens iguais
+function sortKey(entry, sort) {
+  switch (sort) {
+    case 'size':
+      return Number.isFinite(entry.size) ? entry.size : -1;
+    case 'modified':
+      return entry.modifiedDate || '';
+    default:
+      return entry.name.toLowerCase();
+  }
+}
+
+function compareKeys(a, b) {
+  if (a.k < b.k) return -1;
+  if (a.k > b.k) return 1;
+  if (a.p < b.p) return -1;
+  if (a.p > b.p) return 1;
+  return 0;
+}
+
+// Lista o diretório remoto e aplica filtros, ordenação e paginação.
+// Retorna { total, files, nextCursor }.
+async function listDirectory(client, dirFullPath, options) {
+  const entries = await readTree(client, dirFullPath, options.depth);
+
+  const nameMatches = options.nameFilter ? options.nameFilter.matches(entries.map(entry => entry.name)) : null;
+  const filtered = entries.filter((entry, index) => (!nameMatches || nameMatches[index])
+    && (!options.kinds || options.kinds.includes(entry.kind)));
+
+  const direction = options.order === 'desc' ? -1 : 1;
+  const keyed = filtered.map(entry => ({ entry, key: { k: sortKey(entry, options.sort), p: entry.path } }));
+  keyed.sort((a, b) => direction * compareKeys(a.key, b.key));
+
+  let start = 0;
+  if (options.cursor) {
+    start = keyed.findIndex(item => direction * compareKeys(item.key, options.cursor) > 0);
+    if (start === -1) start = keyed.length;
+  }
+
+  const end = options.limit ? start + options.limit : keyed.length;
+  const page = keyed.slice(start, end);
+  const last = page[page.length - 1];
+
+  return {
+    total: filtered.length,
+    files: page.map(item => item.entry),
+    nextCursor: end < keyed.length && last
+      ? encodeCursor({ ...last.key, s: options.sort, o: options.order })
+      : null
+  };
+}
+
+// Busca na árvore do diretório os itens que atendem aos critérios
+// (parseSearchOptions), chamando onMatch(entry) para cada um assim que é
+// encontrado; onMatch pode ser assíncrona (ex.: aguardar o envio). basePath é
+// o caminho virtual do diretório, usado no path dos resultados. A busca para
+// em options.maxResults itens, ao fim de options.timeout ms (verificado entre
+// os itens e também limitando a avaliação do filtro por nome) ou quando
+// shouldStop() retornar true.
+// Retorna { matches, directories, errors, truncated, timedOut }.
+async function searchTree(client, dirFullPath, basePath, options, onMatch, shouldStop = () => false) {
+  const deadline = Date.now() + options.timeout;
+  const stats = { directories: 0 };
+  const result = { matches: 0, directories: 0, errors: [], truncated: false, timedOut: false };
+
+  const onDirError = (relativePath, error) => {
+    result.errors.push({ path: path.posix.join(basePath, relativePath), error: error.message });
+  };
+
+  for await (const { entry, relativePath } of walkTree(client, dirFullPath, options.depth, { onDirError, stats })) {
+    if (shouldStop()) break;
+    if (Date.now() > deadline) {
+      result.timedOut = true;
+      break;
+    }
+
+    const item = formatListEntry(entry, path.posix.join(basePath, relativePath));
+    const modified = item.modifiedDate ? Date.parse(item.modifiedDate) : null;
+
+    if (options.nameFilter) {
+      // A avaliação do filtro não pode passar do fim da busca
+      const remaining = deadline - Date.now();
+      const timeout = Math.max(1, Math.min(NAME_FILTER_TIMEOUT, remaining));
+      let matched;
+      try {
+        matched = options.nameFilter.test(item.name, timeout);
+      } catch (error) {
+        if (error.statusCode === 400 && timeout < NAME_FILTER_TIMEOUT) {
+          result.timedOut = true;
+          break;
+        }
+        throw error;
+      }
+      if (!matched) continue;
+    }
+    if (!options.kinds.includes(item.kind)) continue;
+    if (options.minSize !== null && !(item.size >= options.minSize)) continue;
+    if (options.maxSize !== null && !(item.size <= options.maxSize)) continue;
+    if (options.modifiedAfter !== null && (modified === null || modified < options.modifiedAfter)) continue;
+    if (options.modifiedBefore !== null && (modified === null || modified > options.modifiedBefore)) continue;
+
+    if (result.matches >= options.maxResults) {
+      result.truncated = true;
+      break;
+    }
+    result.matches++;
+    await onMatch(item);
+  }
+
+  result.directories = stats.directories;
+  return result;
+}
+
+module.exports = {
+  parseListOptions,
+  parseSearchOptions,
+  listDirectory,
+  searchTree,
+  walkTree,
+  formatListEntry,
+  formatPermissions,
+  normalizeModifiedDate,
+  globToRegExp,
+  hasNestedQuantifier
+};
@@ -0,0 +1,97 @@
+// remote-path.js - Normalização e validação dos caminhos remotos informados pelo cliente
+//
+// Os caminhos recebidos nas rotas são tratados como caminhos "virtuais",
+// sempre relativos à raiz permitida (chroot). A raiz é formada pelo diretório
+// raiz do servidor (perfil) e pelo diretório base do token. Caminhos com "..",
+// barras invertidas, caracteres de controle ou bytes NUL são rejeitados com
+// erro 400, em vez de serem corrigidos silenciosamente.
+
+const path = require('path');
+const { createApiError } = require('./api-errors');
+
+// Caracteres de controle ASCII (inclui NUL e DEL)
+const CONTROL_CHARS = /[\x00-\x1f\x7f]/;
+
+// Cria um erro de validação com o status HTTP que a rota deve retornar
+function createPathError(message, field) {
+  return createApiError(400, message, 'INVALID_PATH', { field });
+}
+
+// Normaliza um caminho de diretório ou arquivo para o formato /a/b (sem barra final).
+// Vazio ou "/" representam a raiz.
+function normalizeRemotePath(value, field = 'path') {
+  if (value === undefined || value === null) {
+    value = '';
+  }
+  if (typeof value !== 'string') {
+    throw createPathError(`Caminho inválido em ${field}: deve ser um texto`, field);
+  }
+  if (CONTROL_CHARS.test(value)) {
+    throw createPathError(`Caminho inválido em ${field}: não pode conter caracteres de controle`, field);
+  }
+  if (value.includes('\\')) {
+    throw createPathError(`Caminho inválido em ${field}: use "/" como separador`, field);
+  }
+
+  const segments = value.split('/').filter(segment => segment !== '' && segment !== '.');
+  if (segments.includes('..')) {
+    throw createPathError(`Caminho inválido em ${field}: não pode conter ".."`, field);
+  }
+
+  return `/${segments.join('/')}`;
+}
+
+// Valida um nome de arquivo (sem caracteres de caminho)
+function validateFileName(value, field = 'fileName') {
+  if (typeof value !== 'string' || value === '' || value === '.' || value === '..'
+    || value.includes('/') || value.includes('\\')) {
+    throw createPathError('Nome de arquivo inválido. Não pode conter caracteres de caminho', field);
+  }
+  if (CONTROL_CHARS.test(value)) {
+    throw createPathError('Nome de arquivo inválido. Não pode conter caracteres de controle', field);
+  }
+  return value;
+}
+
+// Obtém diretório e nome de um arquivo a partir de pathComplete OU de path e
+// fileName. completeField é o nome do parâmetro usado nas mensagens de erro.
+function parseFilePath({ path: remotePath, fileName, pathComplete }, completeField = 'pathComplete') {
+  if (!pathComplete && (!remotePath || !fileName)) {
+    throw createPathError('Parâmetros incompletos. Forneça pathComplete OU ambos path e fileName', completeField);
+  }
+
+  if (pathComplete) {
+    const normalized = normalizeRemotePath(pathComplete, completeField);
+    if (normalized === '/') {
+      throw createPathError('Nome de arquivo inválido. Não pode conter caracteres de caminho', completeField);
+    }
+    return {
+      dir: path.posix.dirname(normalized),
+      name: path.posix.basename(normalized),
+      path: normalized
+    };
+  }
+
+  const dir = normalizeRemotePath(remotePath, 'path');
+  const name = validateFileName(fileName);
+  return { dir, name, path: path.posix.join(dir, name) };
+}
+
+// Raiz efetiva (chroot) no servidor: raiz do perfil + diretório base do token
+function getRemoteRoot(server, rootDir) {
+  return path.posix.join('/', server.root || '', rootDir || '');
+}
+
+// Converte um caminho virtual já normalizado no caminho real dentro da raiz
+function toServerPath(root, virtualPath) {
+  return path.posix.join(root, virtualPath);
+}
+
+module.exports = {
+  normalizeRemotePath,
+  validateFileName,
+  parseFilePath,
+  getRemoteRoot,
+  toServerPath,
+  createPathError
+};
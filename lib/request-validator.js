@@ -0,0 +1,167 @@
+// request-validator.js - Validação das requisições pelo documento OpenAPI
+//
+// Cada rota usa o middleware da sua operação (pelo operationId), que confere
+// os parâmetros de path e de query e o corpo JSON, urlencoded ou multipart com
+// os schemas do documento (ver openapi.js). Os valores são convertidos para o
+// tipo do schema apenas para a validação: a requisição não é alterada, e as
+// rotas continuam recebendo, por exemplo, "true" na query.
+//
+// Uma requisição inválida gera um erro 400 VALIDATION_ERROR com a lista dos
+// campos inválidos em details ([{ field, message }]), no idioma da requisição.
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const localize = require('ajv-i18n');
+const { createApiError, resolveLanguage } = require('./api-errors');
+
+// Id do schema com os componentes do documento, usado nas referências
+const SCHEMAS_ID = 'openapi-components';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Cria o erro de validação, com a mensagem e os campos no idioma informado
+function createValidationError(details, language) {
+  const summary = details.map(detail => `${detail.field} ${detail.message}`).join('; ');
+  const message = language === 'en' ? `Invalid request: ${summary}` : `Requisição inválida: ${summary}`;
+
+  return createApiError(400, message, 'VALIDATION_ERROR', { details, messages: { [language]: message } });
+}
+
+// Converte as referências do OpenAPI (#/components/schemas/X) para o schema
+// dos componentes registrado no Ajv
+function toAjvSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toAjvSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    converted[key] = key === '$ref' && typeof value === 'string'
+      ? value.replace('#/components/schemas/', `${SCHEMAS_ID}#/$defs/`)
+      : toAjvSchema(value);
+  }
+  return converted;
+}
+
+// Caminho de um campo a partir do instancePath do Ajv (ex.: body.items[0].path)
+function formatField(location, instancePath, property) {
+  const segments = instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (property !== undefined) {
+    segments.push(property);
+  }
+
+  return segments.reduce((field, segment) => (/^\d+$/.test(segment) ? `${field}[${segment}]` : `${field}.${segment}`), location);
+}
+
+class RequestValidator {
+  constructor(document) {
+    this.document = document;
+    this.ajv = new Ajv({ allErrors: true, coerceTypes: true });
+    addFormats(this.ajv);
+    this.ajv.addFormat('binary', true);
+    this.ajv.addVocabulary(['example']);
+    this.ajv.addSchema({ $id: SCHEMAS_ID, $defs: toAjvSchema(document.components.schemas) });
+
+    // operationId -> { operation, parameters (os do path e os da operação) }
+    this.operations = new Map();
+    for (const pathItem of Object.values(document.paths)) {
+      for (const method of HTTP_METHODS) {
+        const operation = pathItem[method];
+        if (operation) {
+          this.operations.set(operation.operationId, {
+            operation,
+            parameters: [...(pathItem.parameters || []), ...(operation.parameters || [])].map(param => this._resolveParameter(param))
+          });
+        }
+      }
+    }
+  }
+
+  _resolveParameter(param) {
+    if (!param.$ref) return param;
+    return this.document.components.parameters[param.$ref.replace('#/components/parameters/', '')];
+  }
+
+  // Schema de objeto com os parâmetros de um local (path ou query)
+  _parametersSchema(parameters, location) {
+    const selected = parameters.filter(param => param.in === location);
+    if (selected.length === 0) return null;
+
+    return {
+      type: 'object',
+      properties: Object.fromEntries(selected.map(param => [param.name, toAjvSchema(param.schema)])),
+      required: selected.filter(param => param.required).map(param => param.name)
+    };
+  }
+
+  // Schema do corpo (JSON ou multipart). Corpos binários não são validados.
+  _bodySchema(operation) {
+    if (!operation.requestBody) return null;
+
+    const { content } = operation.requestBody;
+    const media = content['application/json'] || content['multipart/form-data'];
+    return media ? toAjvSchema(media.schema) : null;
+  }
+
+  // Middleware que valida a requisição da operação. Uma operação inexistente
+  // no documento é um erro de programação, apontado já no registro da rota.
+  middleware(operationId) {
+    const entry = this.operations.get(operationId);
+    if (!entry) {
+      throw new Error(`Operação não encontrada no documento OpenAPI: ${operationId}`);
+    }
+
+    const checks = [
+      ['path', this._parametersSchema(entry.parameters, 'path'), req => req.params],
+      ['query', this._parametersSchema(entry.parameters, 'query'), req => req.query],
+      // O arquivo do multipart (req.file) conta como um campo do corpo
+      ['body', this._bodySchema(entry.operation), req => ({ ...req.body, ...(req.file ? { [req.file.fieldname]: req.file.originalname } : {}) })]
+    ]
+      .filter(([, schema]) => schema)
+      .map(([location, schema, select]) => ({ location, validate: this.ajv.compile(schema), select }));
+
+    return (req, res, next) => {
+      const failures = [];
+      for (const { location, validate, select } of checks) {
+        // Cópia: a conversão de tipos do Ajv não deve alterar a requisição
+        const data = structuredClone(select(req) || {});
+        if (!validate(data)) {
+          failures.push(...validate.errors.map(error => ({ location, error })));
+        }
+      }
+
+      if (failures.length === 0) {
+        return next();
+      }
+
+      const language = resolveLanguage(req);
+      const errors = failures.map(failure => ({ ...failure.error }));
+      localize[language](errors);
+
+      const details = errors.map((error, index) => {
+        let message = error.message;
+        if (error.keyword === 'enum') {
+          message += `: ${error.params.allowedValues.join(', ')}`;
+        }
+        return {
+          field: formatField(failures[index].location, error.instancePath, error.params.missingProperty),
+          message
+        };
+      });
+      next(createValidationError(details, language));
+    };
+  }
+}
+
+// Cria o validador das operações do documento OpenAPI informado
+function createRequestValidator(document) {
+  return new RequestValidator(document);
+}
+
+module.exports = {
+  createRequestValidator,
+  RequestValidator
+};
@@ -0,0 +1,80 @@
+// clamd-scanner.js - Verificação de malware pelo daemon do ClamAV (clamd)
+//
+// Usa o comando INSTREAM: o arquivo é enviado em blocos prefixados pelo
+// tamanho (4 bytes, big-endian) e terminado por um bloco de tamanho zero.
+// A conexão pode ser por socket Unix (socketPath) ou TCP (host e port).
+
+const fs = require('fs');
+const net = require('net');
+const { once } = require('events');
+
+const CHUNK_SIZE = 64 * 1024;
+
+class ClamdScanner {
+  constructor({ socketPath, host = '127.0.0.1', port = 3310, timeout = 60 * 1000 }) {
+    this.name = 'clamd';
+    this.socketPath = socketPath || null;
+    this.host = host;
+    this.port = port;
+    this.timeout = timeout;
+  }
+
+  _connect() {
+    return new Promise((resolve, reject) => {
+      const socket = this.socketPath
+        ? net.createConnection(this.socketPath)
+        : net.createConnection(this.port, this.host);
+
+      socket.setTimeout(this.timeout, () => socket.destroy(new Error('Tempo esgotado na comunicação com o clamd')));
+      socket.once('connect', () => resolve(socket));
+      socket.once('error', reject);
+    });
+  }
+
+  // Retorna { clean, signature }. Lança erro se o clamd não responder.
+  async scan(filePath) {
+    const socket = await this._connect();
+    let response = '';
+
+    const finished = new Promise((resolve, reject) => {
+      socket.on('data', (data) => {
+        response += data.toString('utf8');
+      });
+      socket.once('error', reject);
+      socket.once('close', resolve);
+    });
+    // Evitar rejeição não tratada se o envio falhar antes de aguardar a resposta
+    finished.catch(() => {});
+
+    try {
+      socket.write('zINSTREAM\0');
+
+      for await (const chunk of fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE })) {
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length);
+        if (!socket.write(Buffer.concat([size, chunk]))) {
+          await once(socket, 'drain');
+        }
+      }
+      // Fim do arquivo; o clamd responde e encerra a conexão
+      socket.write(Buffer.alloc(4));
+
+      await finished;
+    } finally {
+      socket.destroy();
+    }
+
+    const result = response.replace(/\0/g, '').trim();
+    const found = /^stream: (.+) FOUND$/.exec(result);
+
+    if (found) {
+      return { clean: false, signature: found[1] };
+    }
+    if (result === 'stream: OK') {
+      return { clean: true, signature: null };
+    }
+    throw new Error(`Resposta inesperada do clamd: ${result || '(vazia)'}`);
+  }
+}
+
+module.exports = { ClamdScanner };
@@ -0,0 +1,31 @@
+// scanners/index.js - Verificadores de malware dos arquivos enviados
+//
+// Todo verificador implementa a mesma interface:
+//   name, scan(filePath) -> { clean, signature }
+// scan() lança erro quando a verificação não pôde ser feita (ex.: serviço
+// fora do ar); o tratamento (recusar ou aceitar o arquivo) fica a cargo de
+// quem chama. Novos verificadores podem ser adicionados em createScanner().
+
+const { ClamdScanner } = require('./clamd-scanner');
+
+// Cria o verificador configurado em CONTENT_SCANNER, ou null se desativado
+function createScanner(type = process.env.CONTENT_SCANNER) {
+  switch ((type || 'none').toLowerCase()) {
+    case 'none':
+      return null;
+    case 'clamd':
+      return new ClamdScanner({
+        socketPath: process.env.CLAMD_SOCKET,
+        host: process.env.CLAMD_HOST || '127.0.0.1',
+        port: parseInt(process.env.CLAMD_PORT) || 3310,
+        timeout: parseInt(process.env.CLAMD_TIMEOUT) || 60 * 1000
+      });
+    default:
+      throw new Error(`Verificador de malware não suportado: ${type}`);
+  }
+}
+
+module.exports = {
+  createScanner,
+  ClamdScanner
+};
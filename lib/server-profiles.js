@@ -0,0 +1,144 @@
+// server-profiles.js - Registro de perfis de servidores FTP/FTPS/SFTP nomeados
+//
+// Os perfis são carregados de um arquivo JSON (SERVERS_CONFIG, padrão
+// servers.json na raiz do projeto). Valores no formato ${VARIAVEL} são
+// substituídos pelas variáveis de ambiente, para que senhas não precisem
+// ficar no arquivo. Sem arquivo de configuração, é criado um perfil "default"
+// a partir das variáveis FTP_HOST/FTP_USER/FTP_PASSWORD, como antes.
+
+const fs = require('fs');
+const path = require('path');
+
+const SUPPORTED_PROTOCOLS = ['ftp', 'ftps', 'ftps-implicit', 'sftp'];
+
+// Porta padrão de cada protocolo
+const DEFAULT_PORTS = {
+  ftp: 21,
+  ftps: 21,
+  'ftps-implicit': 990,
+  sftp: 22
+};
+
+// Substitui referências ${VARIAVEL} pelas variáveis de ambiente
+function interpolateEnv(value) {
+  if (typeof value !== 'string') return value;
+
+  return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (match, name) => {
+    if (process.env[name] === undefined) {
+      throw new Error(`Variável de ambiente não definida: ${name}`);
+    }
+    return process.env[name];
+  });
+}
+
+// Valida e normaliza a configuração de um perfil
+function normalizeProfile(name, config) {
+  if (!/^[a-z0-9_-]+$/i.test(name)) {
+    throw new Error(`Nome de servidor inválido: ${name}`);
+  }
+
+  const protocol = (config.protocol || 'ftp').toLowerCase();
+  if (!SUPPORTED_PROTOCOLS.includes(protocol)) {
+    throw new Error(`Protocolo não suportado no servidor ${name}: ${protocol}`);
+  }
+
+  const host = interpolateEnv(config.host);
+  if (!host) {
+    throw new Error(`Servidor ${name} sem host configurado`);
+  }
+
+  return {
+    name,
+    description: config.description || null,
+    host,
+    port: parseInt(interpolateEnv(config.port)) || DEFAULT_PORTS[protocol],
+    user: interpolateEnv(config.user),
+    password: interpolateEnv(config.password),
+    privateKey: interpolateEnv(config.privateKey) || null,
+    privateKeyPath: interpolateEnv(config.privateKeyPath) || null,
+    passphrase: interpolateEnv(config.passphrase) || null,
+    hostFingerprint: config.hostFingerprint || null,
+    protocol,
+    tls: config.tls || {},
+    root: config.root ? path.posix.normalize(`/${config.root}`) : null,
+    timeout: parseInt(config.timeout) || 30000,
+    pool: config.pool || {},
+    // Uploads com nome temporário e rename (null = UPLOAD_ATOMIC)
+    atomicUploads: typeof config.atomicUploads === 'boolean' ? config.atomicUploads : null
+  };
+}
+
+class ServerRegistry {
+  constructor(profiles, defaultName) {
+    this.profiles = profiles;
+    this.defaultName = defaultName;
+
+    if (!Object.hasOwn(this.profiles, defaultName)) {
+      throw new Error(`Servidor padrão não encontrado na configuração: ${defaultName}`);
+    }
+  }
+
+  // Retorna o perfil pelo nome (ou o padrão, se nenhum nome for informado).
+  // Só os perfis configurados: nomes como constructor ou __proto__ não
+  // podem resolver para propriedades herdadas do objeto.
+  get(name) {
+    const key = name || this.defaultName;
+    return Object.hasOwn(this.profiles, key) ? this.profiles[key] : null;
+  }
+
+  list() {
+    return Object.values(this.profiles);
+  }
+}
+
+// Perfil único a partir das variáveis de ambiente (compatibilidade)
+function profileFromEnv() {
+  const protocol = { FTPS: 'ftps', SFTP: 'sftp' }[process.env.FTP_TYPE] || 'ftp';
+
+  return {
+    name: 'default',
+    description: null,
+    host: process.env.FTP_HOST,
+    port: parseInt(process.env.FTP_PORT) || DEFAULT_PORTS[protocol],
+    user: process.env.FTP_USER,
+    password: process.env.FTP_PASSWORD,
+    privateKey: null,
+    privateKeyPath: process.env.FTP_PRIVATE_KEY_PATH || null,
+    passphrase: process.env.FTP_PASSPHRASE || null,
+    hostFingerprint: process.env.FTP_HOST_FINGERPRINT || null,
+    protocol,
+    tls: { rejectUnauthorized: false }, // Para servidores com certificados auto-assinados
+    root: null,
+    timeout: 30000,
+    pool: {},
+    atomicUploads: null
+  };
+}
+
+// Carrega o registro de servidores a partir do arquivo de configuração
+function loadServerProfiles(configPath = process.env.SERVERS_CONFIG || path.join(__dirname, '..', 'servers.json')) {
+  if (!fs.existsSync(configPath)) {
+    return new ServerRegistry({ default: profileFromEnv() }, 'default');
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const entries = Object.entries(config.servers || {});
+
+  if (entries.length === 0) {
+    throw new Error(`Nenhum servidor configurado em ${configPath}`);
+  }
+
+  const profiles = {};
+  for (const [name, profileConfig] of entries) {
+    profiles[name] = normalizeProfile(name, profileConfig);
+  }
+
+  return new ServerRegistry(profiles, config.default || entries[0][0]);
+}
+
+module.exports = {
+  loadServerProfiles,
+  normalizeProfile,
+  ServerRegistry,
+  SUPPORTED_PROTOCOLS
+};
@@ -0,0 +1,164 @@
+// signed-links.js - Links temporários assinados (JWT HS256), sem estado no servidor
+//
+// O caminho do arquivo, a validade, os IPs/CIDRs permitidos e o nome para
+// download ficam no próprio token, assinado com HMAC-SHA256. O cabeçalho do
+// token informa o id da chave (kid), permitindo a rotação: novos links são
+// assinados com a primeira chave configurada e as demais continuam aceitas
+// até serem removidas da configuração.
+
+const crypto = require('crypto');
+const net = require('net');
+const { createApiError } = require('./api-errors');
+
+const MIN_SECRET_LENGTH = 32;
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+// Interpreta a lista de chaves no formato "kid:segredo,kid:segredo"
+function parseSigningKeys(value) {
+  const keys = new Map();
+
+  for (const entry of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const separatorIndex = entry.indexOf(':');
+    const kid = entry.substring(0, separatorIndex);
+    const secret = entry.substring(separatorIndex + 1);
+
+    if (separatorIndex <= 0 || !/^[a-z0-9._-]+$/i.test(kid)) {
+      throw new Error('TEMP_LINK_SIGNING_KEYS inválido. Use o formato kid:segredo,kid:segredo');
+    }
+    if (secret.length < MIN_SECRET_LENGTH) {
+      throw new Error(`Segredo da chave de assinatura ${kid} deve ter ao menos ${MIN_SECRET_LENGTH} caracteres`);
+    }
+    keys.set(kid, secret);
+  }
+
+  return keys;
+}
+
+// Remove o prefixo de endereços IPv4 mapeados em IPv6 (::ffff:127.0.0.1)
+function normalizeIp(ip) {
+  return (ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+}
+
+// Valida a lista de IPs/CIDRs permitidos (texto ou lista). Retorna null se vazia.
+function normalizeAllowedIps(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  const normalized = entries.map(entry => String(entry).trim()).filter(Boolean);
+
+  for (const entry of normalized) {
+    const [address, prefix] = entry.split('/');
+    const family = net.isIP(address);
+    const maxPrefix = family === 6 ? 128 : 32;
+
+    if (!family || (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+      throw createApiError(400, `IP ou CIDR inválido em allowedIp: ${entry}`);
+    }
+  }
+
+  return normalized.length > 0 ? normalized : null;
+}
+
+// Verifica se o IP está em algum dos IPs/CIDRs permitidos
+function isIpAllowed(ip, allowed) {
+  if (!allowed) return true;
+
+  const address = normalizeIp(ip);
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  const list = new net.BlockList();
+  for (const entry of allowed) {
+    const [network, prefix] = entry.split('/');
+    const type = net.isIP(network) === 6 ? 'ipv6' : 'ipv4';
+    if (prefix === undefined) {
+      list.addAddress(network, type);
+    } else {
+      list.addSubnet(network, Number(prefix), type);
+    }
+  }
+
+  return list.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+class LinkSigner {
+  constructor(keys) {
+    this.keys = keys;
+    this.activeKid = keys.keys().next().value || null;
+  }
+
+  get enabled() {
+    return this.activeKid !== null;
+  }
+
+  _signature(kid, data) {
+    return crypto.createHmac('sha256', this.keys.get(kid)).update(data).digest('base64url');
+  }
+
+  // Gera o token com os dados do link (claims) e a validade (timestamp em ms)
+  sign(claims, expiration) {
+    if (!this.enabled) {
+      throw createApiError(400, 'Links assinados não estão configurados (TEMP_LINK_SIGNING_KEYS)');
+    }
+
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: this.activeKid }));
+    const payload = base64url(JSON.stringify({
+      ...claims,
+      iat: Math.floor(Date.now() / 1000),
+      exp: Math.floor(expiration / 1000)
+    }));
+
+    return `${header}.${payload}.${this._signature(this.activeKid, `${header}.${payload}`)}`;
+  }
+
+  // Verifica assinatura e validade do token e retorna os dados do link
+  verify(token) {
+    const parts = token.split('.');
+    let header;
+    let claims;
+
+    try {
+      header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+      throw createApiError(404, 'Link de download não encontrado ou expirado', 'LINK_NOT_FOUND');
+    }
+
+    // Cabeçalho e dados precisam ser objetos JSON (não null, números etc.)
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(header) || !isObject(claims)) {
+      throw createApiError(404, 'Link de download não encontrado ou expirado', 'LINK_NOT_FOUND');
+    }
+
+    if (parts.length !== 3 || header.alg !== 'HS256' || !this.keys.has(header.kid)) {
+      throw createApiError(403, 'Assinatura do link inválida', 'LINK_INVALID_SIGNATURE');
+    }
+
+    const expected = Buffer.from(this._signature(header.kid, `${parts[0]}.${parts[1]}`));
+    const received = Buffer.from(parts[2]);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw createApiError(403, 'Assinatura do link inválida', 'LINK_INVALID_SIGNATURE');
+    }
+
+    if (!claims.exp || claims.exp * 1000 < Date.now()) {
+      throw createApiError(410, 'Link de download expirado', 'LINK_EXPIRED');
+    }
+
+    return claims;
+  }
+}
+
+// Cria o assinador com as chaves de TEMP_LINK_SIGNING_KEYS
+function createLinkSigner(value = process.env.TEMP_LINK_SIGNING_KEYS) {
+  return new LinkSigner(parseSigningKeys(value));
+}
+
+module.exports = {
+  createLinkSigner,
+  LinkSigner,
+  normalizeAllowedIps,
+  isIpAllowed
+};
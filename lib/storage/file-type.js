@@ -0,0 +1,13 @@
+// file-type.js - Tipos de entrada de diretório comuns a todos os backends
+//
+// Os valores seguem os códigos do basic-ftp (1=arquivo, 2=diretório), que já
+// são expostos pela API no campo idType de /api/list.
+
+const FileType = {
+  Unknown: 0,
+  File: 1,
+  Directory: 2,
+  SymbolicLink: 3
+};
+
+module.exports = { FileType };
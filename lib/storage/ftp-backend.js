@@ -0,0 +1,191 @@
+// ftp-backend.js - Backend de armazenamento para servidores FTP e FTPS (basic-ftp)
+
+const path = require('path');
+const ftp = require('basic-ftp');
+const { FileType } = require('./file-type');
+
+// Comandos de hash calculado pelo servidor: HASH (draft-bryan-ftpext-hash,
+// com o algoritmo escolhido por OPTS HASH) ou os comandos X* não padronizados
+const HASH_COMMANDS = {
+  sha256: { name: 'SHA-256', command: 'XSHA256', length: 64 },
+  md5: { name: 'MD5', command: 'XMD5', length: 32 }
+};
+
+class FtpBackend {
+  constructor(server) {
+    this.server = server;
+    this.client = new ftp.Client(server.timeout);
+    this.client.ftp.verbose = process.env.NODE_ENV === 'development';
+    this.homeDir = '/';
+    this.hashCommands = null; // algoritmo -> 'HASH', comando X* ou null (não suportado)
+  }
+
+  get closed() {
+    return this.client.closed;
+  }
+
+  async connect() {
+    const { server } = this;
+
+    try {
+      await this.client.access({
+        host: server.host,
+        user: server.user,
+        password: server.password,
+        port: server.port,
+        secure: server.protocol === 'ftps-implicit' ? 'implicit' : server.protocol === 'ftps',
+        secureOptions: server.tls
+      });
+    } catch (error) {
+      // 530: usuário ou senha recusados pelo servidor
+      error.stage = error.code === 530 ? 'login' : 'connect';
+      throw error;
+    }
+
+    // Diretório de login, restaurado quando a conexão volta ao pool
+    this.homeDir = await this.client.pwd();
+  }
+
+  async reset() {
+    await this.client.cd(this.homeDir);
+  }
+
+  async keepAlive() {
+    await this.client.send('NOOP');
+  }
+
+  async cd(remotePath) {
+    await this.client.cd(remotePath);
+  }
+
+  async pwd() {
+    return this.client.pwd();
+  }
+
+  async list(remotePath = '') {
+    const list = await this.client.list(remotePath);
+
+    return list.map(item => ({
+      name: item.name,
+      type: item.type,
+      size: item.size,
+      modifiedAt: item.modifiedAt,
+      rawModifiedAt: item.rawModifiedAt,
+      permissions: item.permissions,
+      link: item.link
+    }));
+  }
+
+  async size(remotePath) {
+    return this.client.size(remotePath);
+  }
+
+  async lastMod(remotePath) {
+    return this.client.lastMod(remotePath);
+  }
+
+  // Informações de um único arquivo ou diretório, ou null se não existir.
+  // O FTP não tem um comando padrão para isso, então o item é buscado na
+  // listagem do diretório pai.
+  async stat(remotePath) {
+    const name = path.posix.basename(remotePath);
+    if (!name) {
+      return { name: '/', type: FileType.Directory, size: 0 };
+    }
+
+    let list;
+    try {
+      list = await this.list(path.posix.dirname(remotePath));
+    } catch (error) {
+      // Resposta de erro do servidor (550 na maioria): diretório pai inexistente
+      if (typeof error.code === 'number' && error.code >= 400) return null;
+      throw error;
+    }
+
+    const entry = list.find(item => item.name === name);
+    if (!entry) return null;
+
+    // Data precisa via MDTM quando a listagem não a informar
+    if (entry.type === FileType.File && !entry.modifiedAt) {
+      entry.modifiedAt = await this.lastMod(remotePath).catch(() => undefined);
+    }
+    return entry;
+  }
+
+  async remove(remotePath) {
+    await this.client.remove(remotePath);
+  }
+
+  // Remove o diretório com todo o seu conteúdo
+  async removeDir(remotePath) {
+    await this.client.removeDir(remotePath);
+  }
+
+  async removeEmptyDir(remotePath) {
+    await this.client.removeEmptyDir(remotePath);
+  }
+
+  async rename(fromPath, toPath) {
+    await this.client.rename(fromPath, toPath);
+  }
+
+  // Cria o diretório (e os intermediários) e entra nele
+  async ensureDir(remotePath) {
+    await this.client.ensureDir(remotePath);
+  }
+
+  // source pode ser um caminho local ou um stream de leitura
+  async uploadFrom(source, remotePath) {
+    await this.client.uploadFrom(source, remotePath);
+  }
+
+  // destination pode ser um caminho local ou um stream de escrita. O stream
+  // é sempre encerrado ao final, mesmo em caso de erro.
+  async downloadTo(destination, remotePath, startAt = 0) {
+    await this.client.downloadTo(destination, remotePath, startAt);
+  }
+
+  // Hash do arquivo calculado pelo próprio servidor, em hexadecimal, ou null
+  // se o servidor não suportar o algoritmo
+  async hash(remotePath, algorithm) {
+    const spec = HASH_COMMANDS[algorithm];
+    if (!spec) return null;
+
+    if (!this.hashCommands) {
+      const features = await this.client.features();
+      const hashAlgorithms = (features.get('HASH') || '').toUpperCase().split(';').map(name => name.replace('*', '').trim());
+
+      // Sem HASH, tentar o comando X*: muitos servidores o aceitam sem anunciá-lo no FEAT
+      this.hashCommands = new Map(Object.entries(HASH_COMMANDS)
+        .map(([key, { name, command }]) => [key, hashAlgorithms.includes(name) ? 'HASH' : command]));
+    }
+
+    const command = this.hashCommands.get(algorithm);
+    if (!command) return null;
+
+    let response;
+    try {
+      if (command === 'HASH') {
+        await this.client.send(`OPTS HASH ${spec.name}`);
+      }
+      response = await this.client.send(`${command} ${remotePath}`);
+    } catch (error) {
+      // Comando desconhecido ou não implementado: não tentar de novo nesta conexão
+      if ([500, 502, 504].includes(error.code)) {
+        this.hashCommands.set(algorithm, null);
+        return null;
+      }
+      throw error;
+    }
+
+    // Respostas como "213 SHA-256 0-49 <hex> arquivo" ou "250 <hex>"
+    const match = new RegExp(`(?:^|\\s)([0-9a-f]{${spec.length}})(?=\\s|$)`, 'i').exec(response.message.substring(4));
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  close() {
+    this.client.close();
+  }
+}
+
+module.exports = { FtpBackend };
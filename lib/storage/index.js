@@ -0,0 +1,82 @@
+// storage/index.js - Backends de armazenamento remoto (FTP, FTPS e SFTP)
+//
+// Todo backend implementa a mesma interface, usada pelas rotas da API:
+//   connect(), cd(path), pwd(), list(path), stat(path), size(path),
+//   lastMod(path), ensureDir(path), remove(path), removeDir(path),
+//   removeEmptyDir(path), rename(from, to), uploadFrom(source, path),
+//   downloadTo(destination, path, startAt), hash(path, algorithm), close()
+// e, para uso no pool de conexões: closed, reset() e keepAlive().
+// Os erros de connect() trazem stage: 'connect' (conexão/TLS) ou 'login'.
+// As entradas de list() e stat() têm { name, type, size, modifiedAt, rawModifiedAt,
+// permissions, link }, com type segundo FileType.
+
+const { FtpBackend } = require('./ftp-backend');
+const { SftpBackend } = require('./sftp-backend');
+const { FileType } = require('./file-type');
+const { ConnectionPool } = require('./pool');
+
+// Um pool de conexões por servidor (perfil)
+const pools = new Map();
+
+// Cria o backend adequado ao protocolo do servidor (perfil)
+function createStorageClient(server) {
+  switch (server.protocol) {
+    case 'ftp':
+    case 'ftps':
+    case 'ftps-implicit':
+      return new FtpBackend(server);
+    case 'sftp':
+      return new SftpBackend(server);
+    default:
+      throw new Error(`Protocolo não suportado: ${server.protocol}`);
+  }
+}
+
+// Cria um cliente conectado e autenticado no servidor informado
+async function connectStorage(server) {
+  const client = createStorageClient(server);
+
+  try {
+    await client.connect();
+  } catch (error) {
+    client.close();
+    throw error;
+  }
+
+  return client;
+}
+
+// Obtém uma conexão do pool do servidor. Deve ser devolvida com releaseStorage.
+async function acquireStorage(server) {
+  let pool = pools.get(server.name);
+  if (!pool) {
+    pool = new ConnectionPool(server, connectStorage, server.pool);
+    pools.set(server.name, pool);
+  }
+  return pool.acquire();
+}
+
+// Devolve a conexão ao pool de origem (ou a encerra, se não vier de um pool)
+function releaseStorage(client) {
+  if (!client) return;
+
+  if (client.pool) {
+    client.pool.release(client);
+  } else {
+    client.close();
+  }
+}
+
+// Estatísticas de todos os pools, para monitoramento
+function getPoolStats() {
+  return Array.from(pools.values()).map(pool => pool.stats());
+}
+
+module.exports = {
+  createStorageClient,
+  connectStorage,
+  acquireStorage,
+  releaseStorage,
+  getPoolStats,
+  FileType
+};
@@ -0,0 +1,205 @@
+// pool.js - Pool de conexões reutilizáveis por servidor
+//
+// Mantém conexões autenticadas abertas entre as requisições, com limite de
+// conexões simultâneas, fila de espera com timeout, keep-alive das conexões
+// ociosas (NOOP) e descarte das que apresentarem falha.
+
+const DEFAULT_POOL_OPTIONS = {
+  max: parseInt(process.env.FTP_POOL_MAX) || 5,
+  idleTimeout: parseInt(process.env.FTP_POOL_IDLE_TIMEOUT) || 60 * 1000,
+  acquireTimeout: parseInt(process.env.FTP_POOL_ACQUIRE_TIMEOUT) || 30 * 1000,
+  keepAliveInterval: parseInt(process.env.FTP_POOL_KEEPALIVE_INTERVAL) || 15 * 1000
+};
+
+class ConnectionPool {
+  // connect é a função que cria um novo cliente conectado ao servidor
+  constructor(server, connect, options = {}) {
+    this.server = server;
+    this.connect = connect;
+    this.options = { ...DEFAULT_POOL_OPTIONS, ...options };
+
+    this.idle = []; // { client, since }
+    this.inUse = new Set();
+    this.waiting = []; // { resolve, reject, timer }
+    this.connecting = 0;
+    this.checking = 0;
+
+    this.counters = {
+      created: 0,
+      destroyed: 0,
+      acquired: 0,
+      acquireTimeouts: 0,
+      connectErrors: 0,
+      loginErrors: 0,
+      healthCheckFailures: 0
+    };
+
+    this.timer = setInterval(() => this._maintain(), this.options.keepAliveInterval);
+    this.timer.unref();
+  }
+
+  // Total de conexões abertas ou em abertura
+  get size() {
+    return this.idle.length + this.inUse.size + this.connecting + this.checking;
+  }
+
+  async acquire() {
+    // Reutilizar a conexão ociosa mais recente que ainda estiver aberta
+    while (this.idle.length > 0) {
+      const { client } = this.idle.pop();
+      if (!client.closed) {
+        return this._lend(client);
+      }
+      this._destroy(client);
+    }
+
+    if (this.size < this.options.max) {
+      return this._create();
+    }
+
+    // Limite atingido: aguardar uma conexão ser devolvida
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiting = this.waiting.filter(item => item !== waiter);
+        this.counters.acquireTimeouts++;
+        reject(new Error(`Tempo esgotado aguardando conexão livre com o servidor ${this.server.name}`));
+      }, this.options.acquireTimeout);
+      this.waiting.push(waiter);
+    });
+  }
+
+  // Devolve a conexão ao pool. Conexões fechadas ou que falharem ao voltar ao
+  // diretório inicial são descartadas.
+  async release(client) {
+    this.inUse.delete(client);
+
+    if (client.closed) {
+      this._destroy(client);
+      return this._dispatch();
+    }
+
+    this.checking++;
+    try {
+      await client.reset();
+      this.checking--;
+      this._makeAvailable(client, Date.now());
+    } catch (error) {
+      this.checking--;
+      this.counters.healthCheckFailures++;
+      this._destroy(client);
+      this._dispatch();
+    }
+  }
+
+  async _create() {
+    this.connecting++;
+    try {
+      const client = await this.connect(this.server);
+      client.pool = this;
+      this.counters.created++;
+      return this._lend(client);
+    } catch (error) {
+      if (error.stage === 'login') {
+        this.counters.loginErrors++;
+      } else {
+        this.counters.connectErrors++;
+      }
+      throw error;
+    } finally {
+      this.connecting--;
+    }
+  }
+
+  _lend(client) {
+    this.inUse.add(client);
+    this.counters.acquired++;
+    return client;
+  }
+
+  // Entrega a conexão a quem estiver na fila ou a coloca como ociosa
+  _makeAvailable(client, since) {
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(this._lend(client));
+      return;
+    }
+    this.idle.push({ client, since });
+  }
+
+  // Abre novas conexões para a fila quando houver espaço no pool
+  _dispatch() {
+    while (this.waiting.length > 0 && this.size < this.options.max) {
+      const waiter = this.waiting.shift();
+      clearTimeout(waiter.timer);
+      this._create().then(waiter.resolve, waiter.reject);
+    }
+  }
+
+  _destroy(client) {
+    this.counters.destroyed++;
+    try {
+      client.close();
+    } catch (error) {
+      // Conexão já encerrada
+    }
+  }
+
+  // Keep-alive e health check das conexões ociosas
+  async _maintain() {
+    const now = Date.now();
+    const entries = this.idle;
+    this.idle = [];
+    this.checking += entries.length;
+
+    for (const entry of entries) {
+      if (entry.client.closed || now - entry.since > this.options.idleTimeout) {
+        this.checking--;
+        this._destroy(entry.client);
+        continue;
+      }
+
+      try {
+        await entry.client.keepAlive();
+        this.checking--;
+        this._makeAvailable(entry.client, entry.since);
+      } catch (error) {
+        this.checking--;
+        this.counters.healthCheckFailures++;
+        this._destroy(entry.client);
+      }
+    }
+
+    this._dispatch();
+  }
+
+  stats() {
+    return {
+      server: this.server.name,
+      max: this.options.max,
+      total: this.size,
+      inUse: this.inUse.size,
+      idle: this.idle.length,
+      connecting: this.connecting,
+      waiting: this.waiting.length,
+      ...this.counters
+    };
+  }
+
+  close() {
+    clearInterval(this.timer);
+    this.idle.forEach(({ client }) => this._destroy(client));
+    this.idle = [];
+    this.waiting.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Pool de conexões encerrado'));
+    });
+    this.waiting = [];
+  }
+}
+
+module.exports = {
+  ConnectionPool,
+  DEFAULT_POOL_OPTIONS
+};
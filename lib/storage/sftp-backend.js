@@ -0,0 +1,204 @@
+// sftp-backend.js - Backend de armazenamento para servidores SFTP (SSH)
+//
+// O SFTP não tem diretório de trabalho no servidor, então o backend mantém o
+// diretório atual (cwd) e resolve os caminhos relativos localmente, para se
+// comportar como o backend FTP nas rotas.
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const SftpClient = require('ssh2-sftp-client');
+const { FileType } = require('./file-type');
+
+const SFTP_TYPES = {
+  '-': FileType.File,
+  d: FileType.Directory,
+  l: FileType.SymbolicLink
+};
+
+// Converte o modo numérico do stat para o formato de permissões do list()
+function modeToRights(mode) {
+  const toRights = bits => `${bits & 4 ? 'r' : ''}${bits & 2 ? 'w' : ''}${bits & 1 ? 'x' : ''}`;
+  return { user: toRights(mode >> 6), group: toRights(mode >> 3), other: toRights(mode) };
+}
+
+class SftpBackend {
+  constructor(server) {
+    this.server = server;
+    this.client = new SftpClient();
+    this.cwd = '/';
+    this.homeDir = '/';
+  }
+
+  get closed() {
+    return !this.client.sftp || Boolean(this.client.endCalled);
+  }
+
+  async connect() {
+    const { server } = this;
+    const options = {
+      host: server.host,
+      port: server.port,
+      username: server.user,
+      readyTimeout: server.timeout
+    };
+
+    if (server.password) {
+      options.password = server.password;
+    }
+
+    // Autenticação por chave privada (conteúdo ou arquivo)
+    if (server.privateKey || server.privateKeyPath) {
+      options.privateKey = server.privateKey || fs.readFileSync(server.privateKeyPath);
+      if (server.passphrase) {
+        options.passphrase = server.passphrase;
+      }
+    }
+
+    // Verificação opcional da chave do servidor (fingerprint SHA256 em base64)
+    if (server.hostFingerprint) {
+      const expected = server.hostFingerprint.replace(/^SHA256:/, '').replace(/=+$/, '');
+      options.hostVerifier = (key) => {
+        const fingerprint = crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '');
+        return fingerprint === expected;
+      };
+    }
+
+    try {
+      await this.client.connect(options);
+    } catch (error) {
+      // O ssh2 informa a recusa das credenciais apenas pela mensagem
+      error.stage = /authentication methods failed/i.test(error.message) ? 'login' : 'connect';
+      throw error;
+    }
+
+    // Diretório inicial equivalente ao diretório de login do FTP
+    this.homeDir = await this.client.cwd();
+    this.cwd = this.homeDir;
+  }
+
+  async reset() {
+    this.cwd = this.homeDir;
+  }
+
+  async keepAlive() {
+    await this.client.realPath('.');
+  }
+
+  _resolve(remotePath) {
+    return path.posix.resolve(this.cwd, remotePath || '.');
+  }
+
+  async cd(remotePath) {
+    const target = this._resolve(remotePath);
+
+    if ((await this.client.exists(target)) !== 'd') {
+      throw new Error(`Diretório não encontrado: ${target}`);
+    }
+    this.cwd = target;
+  }
+
+  async pwd() {
+    return this.cwd;
+  }
+
+  async list(remotePath = '') {
+    const list = await this.client.list(this._resolve(remotePath));
+
+    return list.map(item => ({
+      name: item.name,
+      type: SFTP_TYPES[item.type] || FileType.Unknown,
+      size: item.size,
+      modifiedAt: new Date(item.modifyTime),
+      rawModifiedAt: new Date(item.modifyTime).toISOString(),
+      permissions: item.rights,
+      link: undefined
+    }));
+  }
+
+  async size(remotePath) {
+    return (await this.client.stat(this._resolve(remotePath))).size;
+  }
+
+  async lastMod(remotePath) {
+    return new Date((await this.client.stat(this._resolve(remotePath))).modifyTime);
+  }
+
+  // Informações de um único arquivo ou diretório, ou null se não existir
+  async stat(remotePath) {
+    const target = this._resolve(remotePath);
+
+    let info;
+    try {
+      info = await this.client.lstat(target);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    let type = FileType.Unknown;
+    if (info.isDirectory) type = FileType.Directory;
+    else if (info.isSymbolicLink) type = FileType.SymbolicLink;
+    else if (info.isFile) type = FileType.File;
+
+    return {
+      name: path.posix.basename(target) || '/',
+      type,
+      size: info.size,
+      modifiedAt: new Date(info.modifyTime),
+      rawModifiedAt: new Date(info.modifyTime).toISOString(),
+      permissions: modeToRights(info.mode),
+      link: undefined
+    };
+  }
+
+  async remove(remotePath) {
+    await this.client.delete(this._resolve(remotePath));
+  }
+
+  // Remove o diretório com todo o seu conteúdo
+  async removeDir(remotePath) {
+    await this.client.rmdir(this._resolve(remotePath), true);
+  }
+
+  async removeEmptyDir(remotePath) {
+    await this.client.rmdir(this._resolve(remotePath), false);
+  }
+
+  async rename(fromPath, toPath) {
+    await this.client.rename(this._resolve(fromPath), this._resolve(toPath));
+  }
+
+  // Cria o diretório (e os intermediários) e entra nele, como no basic-ftp
+  async ensureDir(remotePath) {
+    const target = this._resolve(remotePath);
+    await this.client.mkdir(target, true);
+    this.cwd = target;
+  }
+
+  // source pode ser um caminho local ou um stream de leitura
+  async uploadFrom(source, remotePath) {
+    await this.client.put(source, this._resolve(remotePath));
+  }
+
+  // destination pode ser um caminho local ou um stream de escrita. O stream
+  // é sempre encerrado ao final, mesmo em caso de erro.
+  async downloadTo(destination, remotePath, startAt = 0) {
+    const reader = this.client.createReadStream(this._resolve(remotePath), { start: startAt });
+    const writer = typeof destination === 'string' ? fs.createWriteStream(destination) : destination;
+
+    await pipeline(reader, writer);
+  }
+
+  // O SFTP não tem um comando padrão para o servidor calcular o hash
+  async hash() {
+    return null;
+  }
+
+  close() {
+    this.client.end().catch(() => {});
+  }
+}
+
+module.exports = { SftpBackend };
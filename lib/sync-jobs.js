@@ -0,0 +1,482 @@
+// sync-jobs.js - Sincronizações agendadas entre servidores, diretórios locais e URLs
+//
+// Tipos de sincronização:
+//   remote-to-local - espelha um diretório remoto (e os subdiretórios) em um diretório local
+//   local-to-remote - espelha um diretório local em um diretório remoto
+//   urls-to-remote  - baixa uma lista de URLs para um diretório remoto
+//
+// Os arquivos são comparados pelo caminho relativo, tamanho e data de
+// modificação; só os novos ou alterados são transferidos. Com
+// deleteExtraneous, os arquivos do destino que não existem na origem são
+// removidos.
+//
+// As sincronizações vêm do arquivo de configuração (somente leitura) ou são
+// criadas pela API e gravadas em <dir>/jobs.json. O histórico das execuções
+// fica em <dir>/runs/<id>.json, da mais recente para a mais antiga. A
+// transferência em si é feita pela função runner informada ao scheduler.
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { parseCronExpression } = require('./cron-expression');
+const { normalizeRemotePath, validateFileName } = require('./remote-path');
+const { createApiError } = require('./api-errors');
+
+const SYNC_TYPES = ['remote-to-local', 'local-to-remote', 'urls-to-remote'];
+
+const DEFAULT_SYNC_OPTIONS = {
+  historyMax: parseInt(process.env.SYNC_HISTORY_MAX) || 50,
+  // Máximo de erros por arquivo guardados em cada execução
+  maxRunErrors: 100
+};
+
+// Diferença de data ignorada na comparação: as listagens FTP costumam ter
+// precisão de minuto
+const MTIME_TOLERANCE = 60 * 1000;
+
+const FINISHED_STATES = ['completed', 'partial', 'failed'];
+
+// Nome do arquivo de uma URL (último segmento do caminho)
+function fileNameFromUrl(value) {
+  let name;
+  try {
+    name = decodeURIComponent(path.posix.basename(new URL(value).pathname));
+  } catch (error) {
+    throw createApiError(400, `URL inválida em urls: ${value}`);
+  }
+  if (!name) {
+    throw createApiError(400, `Não foi possível obter o nome do arquivo da URL ${value}. Informe fileName`);
+  }
+  return name;
+}
+
+// Normaliza a lista de URLs: ["https://..."] ou [{ url, fileName }]
+function normalizeUrls(urls) {
+  if (!Array.isArray(urls) || urls.length === 0) {
+    throw createApiError(400, 'urls deve ser uma lista com ao menos uma URL');
+  }
+
+  const items = urls.map((item) => {
+    const url = typeof item === 'string' ? item : item && item.url;
+    if (typeof url !== 'string' || !url) {
+      throw createApiError(400, 'Cada item de urls deve ser uma URL ou { url, fileName }');
+    }
+    const fileName = typeof item === 'object' && item.fileName ? item.fileName : fileNameFromUrl(url);
+    return { url, fileName: validateFileName(fileName, 'urls.fileName') };
+  });
+
+  const names = new Set();
+  for (const item of items) {
+    if (names.has(item.fileName)) {
+      throw createApiError(400, `Nome de arquivo repetido em urls: ${item.fileName}`);
+    }
+    names.add(item.fileName);
+  }
+
+  return items;
+}
+
+function parseBoolean(value, field, defaultValue) {
+  if (value === undefined || value === null) return defaultValue;
+  if (typeof value !== 'boolean') {
+    throw createApiError(400, `${field} deve ser true ou false`);
+  }
+  return value;
+}
+
+// Valida e normaliza a definição de uma sincronização (corpo do POST ou item
+// do arquivo de configuração)
+function normalizeSyncJob(definition, { id, origin, keyId = null, rootDir = null }) {
+  if (!definition || typeof definition !== 'object') {
+    throw createApiError(400, 'Definição de sincronização inválida');
+  }
+
+  const { type } = definition;
+  if (!SYNC_TYPES.includes(type)) {
+    throw createApiError(400, `type deve ser ${SYNC_TYPES.join(', ')}`);
+  }
+
+  const schedule = definition.schedule ? String(definition.schedule).trim() : null;
+  if (schedule) {
+    parseCronExpression(schedule);
+  }
+
+  if (definition.server !== undefined && definition.server !== null && typeof definition.server !== 'string') {
+    throw createApiError(400, 'server deve ser o nome de um servidor');
+  }
+
+  const usesLocal = type !== 'urls-to-remote';
+  if (usesLocal && !definition.localPath) {
+    throw createApiError(400, `localPath é obrigatório nas sincronizações ${type}`);
+  }
+
+  return {
+    id,
+    name: definition.name ? String(definition.name) : null,
+    type,
+    server: definition.server || null,
+    remotePath: normalizeRemotePath(definition.remotePath, 'remotePath'),
+    localPath: usesLocal ? normalizeRemotePath(definition.localPath, 'localPath') : null,
+    urls: usesLocal ? null : normalizeUrls(definition.urls),
+    schedule,
+    enabled: parseBoolean(definition.enabled, 'enabled', true),
+    deleteExtraneous: parseBoolean(definition.deleteExtraneous, 'deleteExtraneous', false),
+    origin,
+    keyId,
+    rootDir,
+    createdAt: Date.now()
+  };
+}
+
+// Carrega as sincronizações do arquivo de configuração ({ "jobs": { "id": {...} } })
+function loadSyncJobsConfig(configPath, { rootDir = null } = {}) {
+  if (!configPath || !fs.existsSync(configPath)) {
+    return [];
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  return Object.entries(config.jobs || {}).map(([id, definition]) => {
+    if (!/^[a-z0-9_-]+$/i.test(id)) {
+      throw new Error(`Nome de sincronização inválido: ${id}`);
+    }
+    try {
+      return normalizeSyncJob(definition, { id, origin: 'config', rootDir });
+    } catch (error) {
+      throw new Error(`Sincronização ${id} inválida: ${error.message}`);
+    }
+  });
+}
+
+// Compara os arquivos da origem e do destino (Map caminho relativo ->
+// { size, mtime }, mtime em ms ou null) e decide o que transferir e remover.
+// Um arquivo é transferido se não existir no destino, se o tamanho for
+// diferente ou se a origem for mais recente.
+function planMirror(sourceFiles, targetFiles, { deleteExtraneous = false } = {}) {
+  const transfer = [];
+  const remove = [];
+  let unchanged = 0;
+
+  for (const [relativePath, source] of sourceFiles) {
+    const target = targetFiles.get(relativePath);
+
+    let reason = null;
+    if (!target) {
+      reason = 'new';
+    } else if (source.size !== target.size) {
+      reason = 'size';
+    } else if (source.mtime !== null && target.mtime !== null && source.mtime > target.mtime + MTIME_TOLERANCE) {
+      reason = 'modified';
+    }
+
+    if (reason) {
+      transfer.push({ path: relativePath, size: source.size, mtime: source.mtime, reason });
+    } else {
+      unchanged++;
+    }
+  }
+
+  if (deleteExtraneous) {
+    for (const relativePath of targetFiles.keys()) {
+      if (!sourceFiles.has(relativePath)) {
+        remove.push(relativePath);
+      }
+    }
+  }
+
+  return { transfer, remove, unchanged };
+}
+
+// Dados públicos de uma execução
+function formatSyncRun(run) {
+  const toIso = value => (value ? new Date(value).toISOString() : null);
+
+  return {
+    runId: run.id,
+    jobId: run.jobId,
+    trigger: run.trigger,
+    state: run.state,
+    files: run.files,
+    bytesTransferred: run.bytesTransferred,
+    errors: run.errors,
+    error: run.error,
+    startedAt: toIso(run.startedAt),
+    finishedAt: toIso(run.finishedAt),
+    durationMs: run.finishedAt ? run.finishedAt - run.startedAt : null
+  };
+}
+
+class SyncScheduler {
+  // runner(job, run) executa a sincronização, atualizando run.files,
+  // run.bytesTransferred e run.errors. onFinish(job, run) é chamada ao fim de
+  // cada execução (ex.: auditoria).
+  constructor(dir, runner, options = {}) {
+    this.dir = dir;
+    this.runner = runner;
+    this.options = { ...DEFAULT_SYNC_OPTIONS, ...options };
+    this.jobsPath = path.join(dir, 'jobs.json');
+    this.runsDir = path.join(dir, 'runs');
+
+    this.configJobs = new Map((this.options.configJobs || []).map(job => [job.id, job]));
+    this.running = new Map(); // id da sincronização -> execução em andamento
+    this.timer = null;
+
+    fs.mkdirSync(this.runsDir, { recursive: true });
+    this.apiJobs = new Map(this._readJobs().map(job => [job.id, job]));
+    this._recover();
+  }
+
+  _readJobs() {
+    try {
+      return JSON.parse(fs.readFileSync(this.jobsPath, 'utf8')).jobs || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  _saveJobs() {
+    // Escrita atômica
+    fs.writeFileSync(`${this.jobsPath}.tmp`, JSON.stringify({ jobs: [...this.apiJobs.values()] }, null, 2));
+    fs.renameSync(`${this.jobsPath}.tmp`, this.jobsPath);
+  }
+
+  _runsPath(id) {
+    return path.join(this.runsDir, `${id}.json`);
+  }
+
+  _readRuns(id) {
+    try {
+      return JSON.parse(fs.readFileSync(this._runsPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Grava a execução no histórico (substituindo a versão anterior dela)
+  _saveRun(run) {
+    const runs = [run, ...this._readRuns(run.jobId).filter(item => item.id !== run.id)].slice(0, this.options.historyMax);
+    const runsPath = this._runsPath(run.jobId);
+    fs.writeFileSync(`${runsPath}.tmp`, JSON.stringify(runs, null, 2));
+    fs.renameSync(`${runsPath}.tmp`, runsPath);
+  }
+
+  // Marca como falhas as execuções interrompidas por um reinício
+  _recover() {
+    for (const file of fs.readdirSync(this.runsDir)) {
+      if (!file.endsWith('.json')) continue;
+
+      const runs = this._readRuns(path.basename(file, '.json'));
+      for (const run of runs.filter(item => !FINISHED_STATES.includes(item.state))) {
+        run.state = 'failed';
+        run.error = 'Execução interrompida por um reinício da API';
+        run.finishedAt = run.finishedAt || Date.now();
+        this._saveRun(run);
+      }
+    }
+  }
+
+  list() {
+    return [...this.configJobs.values(), ...this.apiJobs.values()];
+  }
+
+  get(id) {
+    return this.configJobs.get(id) || this.apiJobs.get(id) || null;
+  }
+
+  // validate(job), se informada, pode recusar a sincronização já normalizada
+  // (ex.: permissões da chave) antes que ela seja gravada
+  async create(definition, { keyId, rootDir, validate = null }) {
+    const job = normalizeSyncJob(definition, { id: uuidv4(), origin: 'api', keyId, rootDir });
+    if (validate) {
+      validate(job);
+    }
+    this.apiJobs.set(job.id, job);
+    this._saveJobs();
+    return job;
+  }
+
+  async remove(id) {
+    if (this.configJobs.has(id)) {
+      throw createApiError(409, 'Sincronizações do arquivo de configuração não podem ser removidas pela API');
+    }
+    if (!this.apiJobs.has(id)) {
+      throw createApiError(404, `Sincronização não encontrada: ${id}`);
+    }
+    if (this.running.has(id)) {
+      throw createApiError(409, 'A sincronização está em execução. Aguarde o fim para removê-la');
+    }
+
+    this.apiJobs.delete(id);
+    this._saveJobs();
+    fs.rmSync(this._runsPath(id), { force: true });
+  }
+
+  // Histórico de execuções, da mais recente para a mais antiga. A execução em
+  // andamento tem o progresso mais recente em memória.
+  async runs(id, limit = this.options.historyMax) {
+    const current = this.running.get(id);
+    const runs = this._readRuns(id).map(run => (current && run.id === current.id ? current : run));
+    return runs.slice(0, limit);
+  }
+
+  isRunning(id) {
+    return this.running.has(id);
+  }
+
+  // Próxima execução agendada (null sem agendamento ou desativada)
+  nextRunAt(job, after = new Date()) {
+    if (!job.schedule || !job.enabled) return null;
+    return parseCronExpression(job.schedule).next(after);
+  }
+
+  // Inicia uma execução e retorna sem aguardar o fim
+  async trigger(id, trigger = 'manual') {
+    const job = this.get(id);
+    if (!job) {
+      throw createApiError(404, `Sincronização não encontrada: ${id}`);
+    }
+    if (this.running.has(id)) {
+      throw createApiError(409, 'A sincronização já está em execução');
+    }
+
+    const run = {
+      id: uuidv4(),
+      jobId: id,
+      trigger,
+      state: 'running',
+      files: { transferred: 0, unchanged: 0, deleted: 0, failed: 0 },
+      bytesTransferred: 0,
+      errors: [],
+      error: null,
+      startedAt: Date.now(),
+      finishedAt: null
+    };
+
+    this.running.set(id, run);
+    try {
+      this._saveRun(run);
+    } catch (error) {
+      this.running.delete(id);
+      throw error;
+    }
+
+    // _execute não deve rejeitar; o catch só evita uma rejeição sem tratamento
+    this._execute(job, run).catch((error) => {
+      console.error(`[${new Date().toISOString()}] Erro inesperado na sincronização ${job.id}: ${error.message}`);
+    });
+    return run;
+  }
+
+  // Registra a falha de um arquivo sem interromper a execução
+  recordFileError(run, relativePath, error) {
+    run.files.failed++;
+    if (run.errors.length < this.options.maxRunErrors) {
+      run.errors.push({ path: relativePath, error: error.message });
+    }
+  }
+
+  async _execute(job, run) {
+    console.log(`[${new Date().toISOString()}] Sincronização ${job.id} iniciada (${run.trigger})`);
+
+    try {
+      await this.runner(job, run);
+      run.state = run.files.failed > 0 ? 'partial' : 'completed';
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Sincronização ${job.id} falhou: ${error.message}`);
+      run.state = 'failed';
+      run.error = error.message;
+    } finally {
+      run.finishedAt = Date.now();
+      this.running.delete(job.id);
+      try {
+        this._saveRun(run);
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] Erro ao gravar a execução ${run.id} da sincronização ${job.id}: ${error.message}`);
+      }
+    }
+
+    console.log(`[${new Date().toISOString()}] Sincronização ${job.id} concluída: ${run.state} `
+      + `(${run.files.transferred} transferidos, ${run.files.unchanged} sem alteração, `
+      + `${run.files.deleted} removidos, ${run.files.failed} com erro)`);
+
+    if (this.options.onFinish) {
+      try {
+        await this.options.onFinish(job, run);
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] Erro ao finalizar a sincronização ${job.id}: ${error.message}`);
+      }
+    }
+  }
+
+  // Dispara as sincronizações cujo agendamento corresponde ao minuto atual
+  _tick(now) {
+    for (const job of this.list()) {
+      if (!job.enabled || !job.schedule || !parseCronExpression(job.schedule).matches(now)) continue;
+
+      if (this.running.has(job.id)) {
+        console.warn(`[${now.toISOString()}] Sincronização ${job.id} ignorada: a execução anterior ainda não terminou`);
+        continue;
+      }
+      this.trigger(job.id, 'schedule').catch((error) => {
+        console.error(`Erro ao iniciar a sincronização ${job.id}:`, error);
+      });
+    }
+  }
+
+  // Verifica os agendamentos no início de cada minuto
+  start() {
+    const schedule = () => {
+      const now = new Date();
+      const delay = 60 * 1000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+
+      this.timer = setTimeout(() => {
+        const minute = new Date();
+        minute.setSeconds(0, 0);
+        this._tick(minute);
+        schedule();
+      }, delay);
+      this.timer.unref();
+    };
+
+    schedule();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+  }
+}
+
+// Dados públicos de uma sincronização, com o estado atual
+function formatSyncJob(job, scheduler) {
+  const next = scheduler.nextRunAt(job);
+
+  return {
+    jobId: job.id,
+    name: job.name,
+    type: job.type,
+    server: job.server,
+    remotePath: job.remotePath,
+    localPath: job.localPath,
+    urls: job.urls,
+    schedule: job.schedule,
+    enabled: job.enabled,
+    deleteExtraneous: job.deleteExtraneous,
+    origin: job.origin,
+    keyId: job.keyId,
+    running: scheduler.isRunning(job.id),
+    nextRunAt: next ? next.toISOString() : null,
+    createdAt: new Date(job.createdAt).toISOString()
+  };
+}
+
+module.exports = {
+  SYNC_TYPES,
+  SyncScheduler,
+  loadSyncJobsConfig,
+  normalizeSyncJob,
+  planMirror,
+  formatSyncJob,
+  formatSyncRun
+};
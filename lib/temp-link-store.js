@@ -0,0 +1,348 @@
+// temp-link-store.js - Armazenamento persistente de links temporários de download
+//
+// Todos os stores expõem a mesma interface assíncrona:
+//   create(link), get(id), list(), delete(id), consume(id), refund(id), purgeExpired()
+// Assim novos backends (Redis, banco externo etc.) podem ser adicionados sem
+// alterar as rotas.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createApiError } = require('./api-errors');
+
+// Trava do store em arquivo: espera máxima, intervalo entre tentativas e idade
+// a partir da qual uma trava é considerada abandonada (instância encerrada
+// durante a escrita). A trava só é mantida durante uma leitura e gravação do
+// arquivo, então a idade de abandono fica bem abaixo da espera máxima.
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 20;
+const LOCK_STALE_MS = 2000;
+
+// Verifica se o link ainda pode ser usado (não expirou e não atingiu o limite)
+function isLinkActive(link, now = Date.now()) {
+  if (!link) return false;
+  if (link.expiration < now) return false;
+  if (link.maxDownloads && link.downloadCount >= link.maxDownloads) return false;
+  return true;
+}
+
+// Store em arquivo JSON (padrão). O arquivo é relido sempre que for alterado
+// em disco, permitindo que mais de uma instância compartilhe o mesmo volume.
+// As alterações (leitura, alteração e gravação) são feitas com a trava
+// <arquivo>.lock, criada com O_EXCL, para que instâncias concorrentes não
+// sobrescrevam os links umas das outras nem ultrapassem maxDownloads.
+class FileTempLinkStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.links = {};
+    this.lastMtime = 0;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this._reload();
+  }
+
+  // force: relê mesmo sem alteração no mtime (que pode não mudar entre duas
+  // gravações no mesmo milissegundo)
+  _reload(force = false) {
+    try {
+      const stats = fs.statSync(this.filePath);
+      if (!force && stats.mtimeMs === this.lastMtime) return;
+
+      this.links = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.lastMtime = stats.mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Erro ao carregar links temporários de ${this.filePath}:`, error);
+      }
+    }
+  }
+
+  _save() {
+    // Escrita atômica: grava em arquivo auxiliar e renomeia
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.links, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+    this.lastMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  // Executa update (síncrona) com a trava e os links relidos do disco. A
+  // trava guarda um identificador único, para que só quem a criou a remova.
+  async _update(update) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    const token = `${process.pid}:${crypto.randomUUID()}`;
+
+    for (;;) {
+      try {
+        fs.writeFileSync(this.lockPath, token, { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      this._removeStaleLock();
+      if (Date.now() > deadline) {
+        throw createApiError(503, `Tempo esgotado aguardando a trava de ${this.filePath}`, 'SERVICE_UNAVAILABLE');
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+
+    try {
+      this._reload(true);
+      return update();
+    } finally {
+      this._releaseLock(token);
+    }
+  }
+
+  _readLock(lockPath) {
+    try {
+      return { token: fs.readFileSync(lockPath, 'utf8'), mtimeMs: fs.statSync(lockPath).mtimeMs };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _releaseLock(token) {
+    const lock = this._readLock(this.lockPath);
+    if (lock && lock.token === token) {
+      fs.rmSync(this.lockPath, { force: true });
+    }
+  }
+
+  // Recupera uma trava abandonada. A trava é renomeada (só uma instância
+  // consegue renomear cada arquivo) e, se o arquivo renomeado não for o que foi
+  // considerado abandonado (outra instância o recuperou e já criou uma nova
+  // trava), ele é devolvido ao lugar.
+  _removeStaleLock() {
+    const lock = this._readLock(this.lockPath);
+    if (!lock || Date.now() - lock.mtimeMs <= LOCK_STALE_MS) return;
+
+    const stalePath = `${this.lockPath}.${process.pid}.${crypto.randomUUID()}.stale`;
+    try {
+      fs.renameSync(this.lockPath, stalePath);
+    } catch (error) {
+      // Trava liberada ou recuperada por outra instância
+      return;
+    }
+
+    const renamed = this._readLock(stalePath);
+    if (renamed && renamed.token !== lock.token) {
+      try {
+        fs.linkSync(stalePath, this.lockPath);
+      } catch (error) {
+        // Uma nova trava já foi criada
+      }
+    } else {
+      console.error(`Removendo trava abandonada de ${this.filePath}`);
+    }
+    fs.rmSync(stalePath, { force: true });
+  }
+
+  async create(link) {
+    return this._update(() => {
+      this.links[link.id] = link;
+      this._save();
+      return link;
+    });
+  }
+
+  async get(id) {
+    this._reload();
+    return this.links[id] || null;
+  }
+
+  async list() {
+    this._reload();
+    return Object.values(this.links);
+  }
+
+  async delete(id) {
+    return this._update(() => {
+      if (!this.links[id]) return false;
+      delete this.links[id];
+      this._save();
+      return true;
+    });
+  }
+
+  // Registra um download. Retorna o link atualizado ou null se não puder ser usado.
+  async consume(id) {
+    return this._update(() => {
+      const link = this.links[id];
+      if (!isLinkActive(link)) return null;
+
+      link.downloadCount = (link.downloadCount || 0) + 1;
+      this._save();
+      return link;
+    });
+  }
+
+  // Devolve um download registrado por consume (transferência que falhou)
+  async refund(id) {
+    return this._update(() => {
+      const link = this.links[id];
+      if (!link || !link.downloadCount) return false;
+
+      link.downloadCount--;
+      this._save();
+      return true;
+    });
+  }
+
+  async purgeExpired() {
+    return this._update(() => {
+      const now = Date.now();
+      const expiredIds = Object.keys(this.links).filter(id => !isLinkActive(this.links[id], now));
+      if (expiredIds.length === 0) return 0;
+
+      expiredIds.forEach(id => delete this.links[id]);
+      this._save();
+      return expiredIds.length;
+    });
+  }
+}
+
+// Store em SQLite local (requer o pacote opcional better-sqlite3)
+class SqliteTempLinkStore {
+  constructor(filePath) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('TEMP_LINK_STORE=sqlite requer o pacote better-sqlite3 instalado');
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS temp_links (
+        id TEXT PRIMARY KEY,
+        server TEXT,
+        key_id TEXT,
+        root_dir TEXT,
+        remote_path TEXT,
+        file_name TEXT,
+        path_complete TEXT,
+        expiration INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        max_downloads INTEGER,
+        download_count INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+
+    // Migração de bancos criados antes do suporte a múltiplos servidores, ao
+    // diretório base (chroot) do token e ao registro da chave que criou o link
+    const columns = this.db.prepare('PRAGMA table_info(temp_links)').all().map(column => column.name);
+    if (!columns.includes('server')) {
+      this.db.exec('ALTER TABLE temp_links ADD COLUMN server TEXT');
+    }
+    if (!columns.includes('root_dir')) {
+      this.db.exec('ALTER TABLE temp_links ADD COLUMN root_dir TEXT');
+    }
+    if (!columns.includes('key_id')) {
+      this.db.exec('ALTER TABLE temp_links ADD COLUMN key_id TEXT');
+    }
+  }
+
+  _fromRow(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      server: row.server,
+      keyId: row.key_id,
+      rootDir: row.root_dir,
+      remotePath: row.remote_path,
+      fileName: row.file_name,
+      pathComplete: row.path_complete,
+      expiration: row.expiration,
+      createdAt: row.created_at,
+      maxDownloads: row.max_downloads,
+      downloadCount: row.download_count
+    };
+  }
+
+  async create(link) {
+    this.db.prepare(`
+      INSERT INTO temp_links
+        (id, server, key_id, root_dir, remote_path, file_name, path_complete, expiration, created_at, max_downloads, download_count)
+      VALUES
+        (@id, @server, @keyId, @rootDir, @remotePath, @fileName, @pathComplete, @expiration, @createdAt, @maxDownloads, @downloadCount)
+    `).run({
+      server: null,
+      keyId: null,
+      rootDir: null,
+      remotePath: null,
+      fileName: null,
+      pathComplete: null,
+      maxDownloads: null,
+      downloadCount: 0,
+      ...link
+    });
+    return link;
+  }
+
+  async get(id) {
+    return this._fromRow(this.db.prepare('SELECT * FROM temp_links WHERE id = ?').get(id));
+  }
+
+  async list() {
+    return this.db.prepare('SELECT * FROM temp_links ORDER BY created_at').all().map(row => this._fromRow(row));
+  }
+
+  async delete(id) {
+    return this.db.prepare('DELETE FROM temp_links WHERE id = ?').run(id).changes > 0;
+  }
+
+  async consume(id) {
+    // Incremento condicional para não ultrapassar o limite com acessos concorrentes
+    const result = this.db.prepare(`
+      UPDATE temp_links
+      SET download_count = download_count + 1
+      WHERE id = ?
+        AND expiration >= ?
+        AND (max_downloads IS NULL OR download_count < max_downloads)
+    `).run(id, Date.now());
+
+    return result.changes > 0 ? this.get(id) : null;
+  }
+
+  async refund(id) {
+    return this.db.prepare(`
+      UPDATE temp_links
+      SET download_count = download_count - 1
+      WHERE id = ? AND download_count > 0
+    `).run(id).changes > 0;
+  }
+
+  async purgeExpired() {
+    return this.db.prepare(`
+      DELETE FROM temp_links
+      WHERE expiration < ?
+        OR (max_downloads IS NOT NULL AND download_count >= max_downloads)
+    `).run(Date.now()).changes;
+  }
+}
+
+// Cria o store de acordo com a configuração (TEMP_LINK_STORE=file|sqlite)
+function createTempLinkStore(options = {}) {
+  const type = options.type || process.env.TEMP_LINK_STORE || 'file';
+  const dataDir = options.dataDir || path.join(__dirname, '..', 'data');
+
+  switch (type) {
+    case 'file':
+      return new FileTempLinkStore(options.filePath || process.env.TEMP_LINK_STORE_PATH || path.join(dataDir, 'temp-links.json'));
+    case 'sqlite':
+      return new SqliteTempLinkStore(options.filePath || process.env.TEMP_LINK_STORE_PATH || path.join(dataDir, 'temp-links.db'));
+    default:
+      throw new Error(`Tipo de armazenamento de links desconhecido: ${type}`);
+  }
+}
+
+module.exports = {
+  createTempLinkStore,
+  isLinkActive,
+  FileTempLinkStore,
+  SqliteTempLinkStore
+};
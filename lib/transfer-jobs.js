@@ -0,0 +1,343 @@
+// transfer-jobs.js - Fila de transferências assíncronas (jobs) com retentativas
+//
+// Cada job é persistido em <dir>/<id>.json e executado por um número limitado
+// de workers. Falhas temporárias são repetidas com backoff exponencial; erros
+// do cliente (statusCode 4xx ou retryable === false) encerram o job na hora.
+// Ao terminar, o job pode notificar uma callbackUrl com um webhook assinado
+// (HMAC-SHA256). Jobs pendentes são retomados após um reinício da API.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { createApiError, getErrorCode } = require('./api-errors');
+
+const DEFAULT_JOB_OPTIONS = {
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+  maxQueued: parseInt(process.env.JOB_QUEUE_MAX) || 100,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+  retryDelay: parseInt(process.env.JOB_RETRY_DELAY) || 5 * 1000,
+  maxRetryDelay: 5 * 60 * 1000,
+  webhookSecret: process.env.JOB_WEBHOOK_SECRET || null,
+  webhookAttempts: 3,
+  webhookTimeout: 10 * 1000,
+  // Agentes HTTP usados no envio dos webhooks (ex.: os do url-fetcher, que
+  // bloqueiam endereços internos)
+  webhookAgents: {}
+};
+
+// Intervalo mínimo entre gravações do progresso em disco
+const PROGRESS_SAVE_INTERVAL = 1000;
+
+const FINISHED_STATES = ['completed', 'failed'];
+
+// Erros do cliente (4xx) não adiantam ser repetidos
+function isRetryable(error) {
+  if (error.retryable !== undefined) return error.retryable;
+  return !(error.statusCode >= 400 && error.statusCode < 500);
+}
+
+// Formata os dados públicos de um job (resposta da API e corpo do webhook)
+function formatJob(job) {
+  const toIso = value => (value ? new Date(value).toISOString() : null);
+
+  return {
+    jobId: job.id,
+    type: job.type,
+    state: job.state,
+    phase: job.phase,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    bytesTransferred: job.bytesTransferred,
+    totalBytes: job.totalBytes,
+    result: job.result,
+    error: job.error,
+    errorCode: job.errorCode || null,
+    errors: job.errors,
+    callback: job.callback,
+    createdAt: toIso(job.createdAt),
+    startedAt: toIso(job.startedAt),
+    finishedAt: toIso(job.finishedAt),
+    nextAttemptAt: toIso(job.nextAttemptAt)
+  };
+}
+
+// Assinatura do webhook: HMAC-SHA256 de "<timestamp>.<corpo>"
+function signWebhook(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+class TransferJobQueue {
+  // handler(job, update) executa o job; update(campos) registra o progresso
+  constructor(dir, handler, options = {}) {
+    this.dir = dir;
+    this.handler = handler;
+    this.options = { ...DEFAULT_JOB_OPTIONS, ...options };
+
+    this.pending = []; // ids prontos para execução, em ordem de chegada
+    this.running = new Map(); // id -> job em execução (com o progresso atual)
+    this.retryTimers = new Map(); // id -> timer da próxima tentativa
+
+    fs.mkdirSync(dir, { recursive: true });
+    this._recover();
+  }
+
+  _metaPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  _save(job) {
+    // Escrita atômica dos metadados
+    const metaPath = this._metaPath(job.id);
+    fs.writeFileSync(`${metaPath}.tmp`, JSON.stringify(job, null, 2));
+    fs.renameSync(`${metaPath}.tmp`, metaPath);
+  }
+
+  _read(id) {
+    try {
+      return JSON.parse(fs.readFileSync(this._metaPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Recoloca na fila os jobs interrompidos por um reinício
+  _recover() {
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+
+      const job = this._read(path.basename(file, '.json'));
+      if (!job) continue;
+
+      if (!FINISHED_STATES.includes(job.state)) {
+        job.state = 'queued';
+        job.phase = null;
+        job.nextAttemptAt = null;
+        this._save(job);
+        this.pending.push(job.id);
+      } else if (job.callback && job.callback.state === 'pending') {
+        this._startNotify(job);
+      }
+    }
+
+    setImmediate(() => this._dispatch());
+  }
+
+  // Total de jobs aguardando ou em execução
+  get size() {
+    return this.pending.length + this.running.size + this.retryTimers.size;
+  }
+
+  async create({ type, payload, keyId, callbackUrl }) {
+    if (callbackUrl && !this.options.webhookSecret) {
+      throw createApiError(400, 'Webhooks não estão configurados (JOB_WEBHOOK_SECRET)');
+    }
+    if (this.size >= this.options.maxQueued) {
+      throw createApiError(503, 'Fila de transferências cheia. Tente novamente mais tarde', 'QUEUE_FULL');
+    }
+
+    const job = {
+      id: uuidv4(),
+      type,
+      payload,
+      keyId,
+      state: 'queued',
+      phase: null,
+      attempts: 0,
+      maxAttempts: this.options.maxAttempts,
+      bytesTransferred: 0,
+      totalBytes: null,
+      result: null,
+      error: null,
+      errors: [],
+      callbackUrl: callbackUrl || null,
+      callback: callbackUrl ? { state: 'pending', attempts: 0, statusCode: null, error: null } : null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      nextAttemptAt: null
+    };
+
+    this._save(job);
+    this.pending.push(job.id);
+    this._dispatch();
+    return job;
+  }
+
+  async get(id) {
+    // Aceitar apenas IDs no formato UUID para não acessar arquivos arbitrários
+    if (!/^[0-9a-f-]{36}$/i.test(id)) return null;
+
+    // Jobs em execução têm o progresso mais recente em memória
+    return this.running.get(id) || this._read(id);
+  }
+
+  // Inicia os jobs da fila enquanto houver workers livres
+  _dispatch() {
+    while (this.pending.length > 0 && this.running.size < this.options.concurrency) {
+      const job = this._read(this.pending.shift());
+      if (job) {
+        this._run(job).catch(error => this._abort(job, error));
+      }
+    }
+  }
+
+  // Falha fora do handler (ex.: ao gravar o job em disco): marca o job como
+  // falho para que ele não fique para sempre entre os em execução
+  _abort(job, error) {
+    console.error(`[${new Date().toISOString()}] Erro inesperado no job ${job.id}: ${error.message}`);
+    clearTimeout(this.retryTimers.get(job.id));
+    this.retryTimers.delete(job.id);
+    this.running.delete(job.id);
+    Object.assign(job, { state: 'failed', phase: null, error: error.message, errorCode: getErrorCode(error), finishedAt: Date.now() });
+    this._trySave(job);
+    this._dispatch();
+  }
+
+  // Grava o job, apenas logando falhas (usado no tratamento de outros erros)
+  _trySave(job) {
+    try {
+      this._save(job);
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Erro ao gravar o job ${job.id}: ${error.message}`);
+    }
+  }
+
+  async _run(job) {
+    job.state = 'running';
+    job.attempts++;
+    job.startedAt = job.startedAt || Date.now();
+    job.nextAttemptAt = null;
+    job.bytesTransferred = 0;
+    this.running.set(job.id, job);
+
+    let lastSave = Date.now();
+    const update = (fields) => {
+      Object.assign(job, fields);
+      if (Date.now() - lastSave >= PROGRESS_SAVE_INTERVAL) {
+        lastSave = Date.now();
+        this._save(job);
+      }
+    };
+
+    try {
+      this._save(job);
+      job.result = await this.handler(job, update);
+      job.state = 'completed';
+      job.error = null;
+      job.errorCode = null;
+      job.finishedAt = Date.now();
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Job ${job.id} falhou (tentativa ${job.attempts}): ${error.message}`);
+      job.error = error.message;
+      job.errorCode = getErrorCode(error);
+      job.errors.push({ attempt: job.attempts, at: new Date().toISOString(), error: error.message, code: job.errorCode });
+
+      if (job.attempts < job.maxAttempts && isRetryable(error)) {
+        // Backoff exponencial: retryDelay, 2x, 4x... até maxRetryDelay
+        const delay = Math.min(this.options.retryDelay * 2 ** (job.attempts - 1), this.options.maxRetryDelay);
+        job.state = 'retrying';
+        job.nextAttemptAt = Date.now() + delay;
+
+        const timer = setTimeout(() => {
+          this.retryTimers.delete(job.id);
+          this.pending.push(job.id);
+          this._dispatch();
+        }, delay);
+        timer.unref();
+        this.retryTimers.set(job.id, timer);
+      } else {
+        job.state = 'failed';
+        job.finishedAt = Date.now();
+      }
+    } finally {
+      job.phase = null;
+      this.running.delete(job.id);
+      this._save(job);
+      this._dispatch();
+    }
+
+    if (FINISHED_STATES.includes(job.state) && job.callback) {
+      this._startNotify(job);
+    }
+  }
+
+  // Inicia o envio do webhook em segundo plano. Erros inesperados (ex.: ao
+  // gravar o job) encerram as tentativas com o callback marcado como falho.
+  _startNotify(job) {
+    this._notify(job).catch((error) => {
+      console.error(`[${new Date().toISOString()}] Erro ao enviar webhook do job ${job.id}: ${error.message}`);
+      job.callback = { ...job.callback, state: 'failed', error: error.message };
+      this._trySave(job);
+    });
+  }
+
+  // Envia o webhook de conclusão, com algumas retentativas
+  async _notify(job) {
+    const body = JSON.stringify({ event: `job.${job.state}`, ...formatJob(job), callback: undefined });
+
+    while (job.callback.attempts < this.options.webhookAttempts) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      job.callback.attempts++;
+
+      try {
+        const response = await axios.post(job.callbackUrl, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Id': job.id,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': `sha256=${signWebhook(this.options.webhookSecret, timestamp, body)}`
+          },
+          timeout: this.options.webhookTimeout,
+          maxRedirects: 0,
+          proxy: false,
+          ...this.options.webhookAgents
+        });
+
+        job.callback = { ...job.callback, state: 'delivered', statusCode: response.status, error: null };
+        this._save(job);
+        return;
+      } catch (error) {
+        job.callback.statusCode = error.response ? error.response.status : null;
+        job.callback.error = error.message;
+        this._save(job);
+
+        if (job.callback.attempts < this.options.webhookAttempts) {
+          await new Promise(resolve => setTimeout(resolve, this.options.retryDelay * 2 ** (job.callback.attempts - 1)));
+        }
+      }
+    }
+
+    console.error(`[${new Date().toISOString()}] Falha ao enviar webhook do job ${job.id}: ${job.callback.error}`);
+    job.callback.state = 'failed';
+    this._save(job);
+  }
+
+  // Remove jobs concluídos há mais de maxAgeMs
+  async purgeExpired(maxAgeMs) {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+
+      const job = this._read(path.basename(file, '.json'));
+      if (job && FINISHED_STATES.includes(job.state) && now - job.finishedAt > maxAgeMs
+        && !(job.callback && job.callback.state === 'pending')) {
+        fs.rmSync(this._metaPath(job.id), { force: true });
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = {
+  TransferJobQueue,
+  formatJob,
+  signWebhook,
+  DEFAULT_JOB_OPTIONS
+};
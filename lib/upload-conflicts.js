@@ -0,0 +1,173 @@
+// upload-conflicts.js - Uploads para um arquivo que já existe no servidor
+//
+// Políticas (campo conflict dos uploads):
+//   overwrite - substitui o arquivo (padrão, comportamento anterior)
+//   fail      - recusa o upload com 409
+//   rename    - grava com o primeiro sufixo livre: "nota (1).pdf", "nota (2).pdf"...
+//   version   - move a cópia atual para .versions/ e grava a nova
+//
+// As versões ficam no diretório do arquivo, em .versions/<nome>/<versão>. O id
+// da versão é a data e hora em que ela foi substituída, com "-" no lugar de
+// ":" (ex.: 2025-03-10T14-22-05.123Z). O .sha256 do arquivo, se houver, é
+// guardado junto, como <versão>.sha256.
+
+const path = require('path');
+const { FileType } = require('./storage');
+const { SIDECAR_EXTENSION } = require('./checksum');
+const { createApiError } = require('./api-errors');
+
+const CONFLICT_POLICIES = ['overwrite', 'fail', 'rename', 'version'];
+const DEFAULT_CONFLICT_POLICY = process.env.UPLOAD_CONFLICT_DEFAULT || 'overwrite';
+
+const VERSIONS_DIR = '.versions';
+// Sufixos tentados no modo rename antes de desistir
+const RENAME_MAX_ATTEMPTS = 1000;
+
+const VERSION_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}\.\d{3}Z(-\d+)?$/;
+
+// Valida a política informada no upload (padrão: UPLOAD_CONFLICT_DEFAULT)
+function parseConflictPolicy(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_CONFLICT_POLICY;
+  }
+  if (!CONFLICT_POLICIES.includes(value)) {
+    throw createApiError(400, `conflict inválido: ${value}. Use ${CONFLICT_POLICIES.join(', ')}`);
+  }
+  return value;
+}
+
+function isVersionId(value) {
+  return VERSION_ID_PATTERN.test(String(value));
+}
+
+// Diretório das versões de um arquivo
+function getVersionsDir(remoteDir, fileName) {
+  return path.posix.join(remoteDir, VERSIONS_DIR, fileName);
+}
+
+// Nome com sufixo numérico antes da extensão: "nota.pdf" -> "nota (2).pdf"
+function buildSuffixedName(fileName, number) {
+  const extension = path.posix.extname(fileName);
+  const base = extension && extension !== fileName ? fileName.slice(0, -extension.length) : fileName;
+  return `${base} (${number})${base === fileName ? '' : extension}`;
+}
+
+// Move o .sha256 junto com o arquivo, se houver
+async function moveSidecar(client, fromPath, toPath) {
+  await client.rename(`${fromPath}${SIDECAR_EXTENSION}`, `${toPath}${SIDECAR_EXTENSION}`).catch(() => {});
+}
+
+// Move a cópia atual do arquivo para .versions/ e retorna o id da versão
+async function archiveVersion(client, remoteDir, fileName) {
+  const versionsDir = getVersionsDir(remoteDir, fileName);
+  await client.ensureDir(versionsDir);
+
+  // Dois uploads no mesmo milissegundo: acrescentar um contador
+  const baseId = new Date().toISOString().replace(/:/g, '-');
+  let versionId = baseId;
+  for (let attempt = 1; await client.stat(path.posix.join(versionsDir, versionId)); attempt++) {
+    versionId = `${baseId}-${attempt}`;
+  }
+
+  const filePath = path.posix.join(remoteDir, fileName);
+  const versionPath = path.posix.join(versionsDir, versionId);
+  await client.rename(filePath, versionPath);
+  await moveSidecar(client, filePath, versionPath);
+
+  return versionId;
+}
+
+// Devolve uma versão ao lugar do arquivo (o arquivo atual não deve existir)
+async function moveVersionBack(client, remoteDir, fileName, versionId) {
+  const filePath = path.posix.join(remoteDir, fileName);
+  const versionPath = path.posix.join(getVersionsDir(remoteDir, fileName), versionId);
+
+  await client.rename(versionPath, filePath);
+  await moveSidecar(client, versionPath, filePath);
+}
+
+// Aplica a política antes do envio de remoteDir/fileName (caminhos reais no
+// servidor). Retorna o nome a ser gravado e, no modo version, o id da versão
+// criada com a cópia anterior (null se o arquivo não existia).
+async function resolveUploadConflict(client, remoteDir, fileName, policy) {
+  const existing = await client.stat(path.posix.join(remoteDir, fileName));
+
+  if (!existing) {
+    return { fileName, previousVersion: null };
+  }
+  if (existing.type === FileType.Directory) {
+    throw createApiError(409, `Já existe um diretório com o nome ${fileName}`);
+  }
+
+  switch (policy) {
+    case 'fail':
+      throw createApiError(409, `Arquivo já existe: ${fileName}`, 'FILE_EXISTS');
+    case 'rename':
+      for (let number = 1; number <= RENAME_MAX_ATTEMPTS; number++) {
+        const candidate = buildSuffixedName(fileName, number);
+        if (!(await client.stat(path.posix.join(remoteDir, candidate)))) {
+          return { fileName: candidate, previousVersion: null };
+        }
+      }
+      throw createApiError(409, `Não há nome livre para ${fileName} (limite de ${RENAME_MAX_ATTEMPTS} cópias)`);
+    case 'version':
+      return { fileName, previousVersion: await archiveVersion(client, remoteDir, fileName) };
+    default:
+      return { fileName, previousVersion: null };
+  }
+}
+
+// Lista as versões anteriores de um arquivo, da mais recente para a mais antiga
+async function listVersions(client, remoteDir, fileName) {
+  const versionsDir = getVersionsDir(remoteDir, fileName);
+  const dir = await client.stat(versionsDir);
+  if (!dir || dir.type !== FileType.Directory) {
+    return [];
+  }
+
+  const entries = await client.list(versionsDir);
+
+  return entries
+    .filter(entry => entry.type === FileType.File && isVersionId(entry.name))
+    .map(entry => ({
+      versionId: entry.name,
+      size: entry.size,
+      replacedAt: new Date(entry.name.replace(/-\d+$/, '').replace(/T(\d{2})-(\d{2})-(\d{2})/, 'T$1:$2:$3')).toISOString(),
+      hasChecksum: entries.some(item => item.name === `${entry.name}${SIDECAR_EXTENSION}`)
+    }))
+    .sort((a, b) => (a.versionId < b.versionId ? 1 : -1));
+}
+
+// Restaura uma versão: a cópia atual (se houver) vira uma nova versão e a
+// versão escolhida volta a ser o arquivo. Retorna o id da versão criada com a
+// cópia substituída (ou null).
+async function restoreVersion(client, remoteDir, fileName, versionId) {
+  if (!isVersionId(versionId)) {
+    throw createApiError(400, `Versão inválida: ${versionId}`);
+  }
+
+  const version = await client.stat(path.posix.join(getVersionsDir(remoteDir, fileName), versionId));
+  if (!version || version.type !== FileType.File) {
+    throw createApiError(404, `Versão não encontrada: ${versionId}`, 'VERSION_NOT_FOUND');
+  }
+
+  const current = await client.stat(path.posix.join(remoteDir, fileName));
+  if (current && current.type === FileType.Directory) {
+    throw createApiError(409, `Já existe um diretório com o nome ${fileName}`);
+  }
+
+  const previousVersion = current ? await archiveVersion(client, remoteDir, fileName) : null;
+  await moveVersionBack(client, remoteDir, fileName, versionId);
+
+  return previousVersion;
+}
+
+module.exports = {
+  CONFLICT_POLICIES,
+  VERSIONS_DIR,
+  parseConflictPolicy,
+  resolveUploadConflict,
+  moveVersionBack,
+  listVersions,
+  restoreVersion
+};
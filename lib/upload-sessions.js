@@ -0,0 +1,224 @@
+// upload-sessions.js - Sessões de upload em partes (chunked/resumable)
+//
+// Cada sessão é formada por um arquivo de metadados (<id>.json) e pelo arquivo
+// com os bytes já recebidos (<id>.part). Como tudo fica em disco, a sessão
+// sobrevive a desconexões do cliente e a reinícios da API.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const { parseChecksum, hashFile } = require('./checksum');
+const { createApiError } = require('./api-errors');
+
+// Interpreta o cabeçalho Content-Range de um chunk (bytes início-fim/total)
+function parseContentRange(value) {
+  const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec((value || '').trim());
+  if (!match) {
+    throw createApiError(400, 'Cabeçalho Content-Range inválido. Use o formato bytes início-fim/total');
+  }
+
+  const start = Number(match[1]);
+  const end = Number(match[2]);
+  const total = match[3] === '*' ? null : Number(match[3]);
+
+  if (end < start || (total !== null && end >= total)) {
+    throw createApiError(400, 'Intervalo do Content-Range inválido');
+  }
+
+  return { start, end, total };
+}
+
+class UploadSessionStore {
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.maxChunkSize = options.maxChunkSize || 50 * 1024 * 1024;
+    this.busy = new Set();
+
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  _metaPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  dataPath(id) {
+    return path.join(this.dir, `${id}.part`);
+  }
+
+  _save(session) {
+    // Escrita atômica dos metadados
+    const metaPath = this._metaPath(session.id);
+    fs.writeFileSync(`${metaPath}.tmp`, JSON.stringify(session, null, 2));
+    fs.renameSync(`${metaPath}.tmp`, metaPath);
+  }
+
+  async create({ keyId = null, server, rootDir, remotePath, fileName, size, checksum, sidecar = false, conflict = null }) {
+    const session = {
+      id: uuidv4(),
+      keyId,
+      server,
+      rootDir: rootDir || '/',
+      remotePath,
+      fileName,
+      size: size !== undefined && size !== null ? Number(size) : null,
+      checksum: parseChecksum(checksum),
+      sidecar,
+      conflict,
+      offset: 0,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    fs.writeFileSync(this.dataPath(session.id), '');
+    this._save(session);
+    return session;
+  }
+
+  async get(id) {
+    // Aceitar apenas IDs no formato UUID para não acessar arquivos arbitrários
+    if (!/^[0-9a-f-]{36}$/i.test(id)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(this._metaPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Recebe um chunk do stream da requisição e o anexa à sessão. O chunk é
+  // gravado em um arquivo separado e só é anexado após validar tamanho e
+  // checksum, assim uma desconexão no meio do envio não corrompe a sessão.
+  async appendChunk(id, input, { contentRange, checksum }) {
+    const session = await this.get(id);
+    if (!session) {
+      throw createApiError(404, 'Sessão de upload não encontrada ou expirada', 'UPLOAD_SESSION_NOT_FOUND');
+    }
+
+    const range = parseContentRange(contentRange);
+    const expectedChecksum = parseChecksum(checksum);
+    const chunkLength = range.end - range.start + 1;
+
+    if (range.start !== session.offset) {
+      throw createApiError(409, `Offset incorreto. O próximo chunk deve começar em ${session.offset}`, 'OFFSET_MISMATCH', { offset: session.offset });
+    }
+    if (chunkLength > this.maxChunkSize) {
+      throw createApiError(413, `Chunk excede o tamanho máximo de ${this.maxChunkSize} bytes`);
+    }
+    if (range.total !== null && session.size !== null && range.total !== session.size) {
+      throw createApiError(400, `Tamanho total informado (${range.total}) difere do tamanho da sessão (${session.size})`);
+    }
+    if (session.size !== null && range.end >= session.size) {
+      throw createApiError(400, 'Chunk ultrapassa o tamanho total do arquivo');
+    }
+
+    if (this.busy.has(id)) {
+      throw createApiError(409, 'Outro chunk desta sessão está sendo processado', null, { offset: session.offset });
+    }
+    this.busy.add(id);
+
+    const chunkPath = path.join(this.dir, `${id}.chunk`);
+
+    try {
+      // Gravar o chunk contando bytes e calculando o hash
+      const hash = expectedChecksum ? crypto.createHash(expectedChecksum.algorithm) : null;
+      let received = 0;
+
+      const counter = new Transform({
+        transform(data, encoding, callback) {
+          received += data.length;
+          if (received > chunkLength) {
+            return callback(createApiError(400, 'Chunk maior que o intervalo informado no Content-Range'));
+          }
+          if (hash) hash.update(data);
+          callback(null, data);
+        }
+      });
+
+      await pipeline(input, counter, fs.createWriteStream(chunkPath));
+
+      if (received !== chunkLength) {
+        throw createApiError(400, `Chunk incompleto: recebidos ${received} de ${chunkLength} bytes`);
+      }
+
+      if (hash) {
+        const digest = hash.digest('hex');
+        if (digest !== expectedChecksum.digest) {
+          throw createApiError(422, `Checksum do chunk não confere (${expectedChecksum.algorithm}=${digest})`, 'CHECKSUM_MISMATCH');
+        }
+      }
+
+      // Descartar bytes de uma escrita anterior interrompida e anexar o chunk
+      fs.truncateSync(this.dataPath(id), session.offset);
+      await pipeline(fs.createReadStream(chunkPath), fs.createWriteStream(this.dataPath(id), { flags: 'a' }));
+
+      session.offset += received;
+      if (range.total !== null && session.size === null) {
+        session.size = range.total;
+      }
+      session.updatedAt = Date.now();
+      this._save(session);
+
+      return session;
+    } finally {
+      this.busy.delete(id);
+      fs.rmSync(chunkPath, { force: true });
+    }
+  }
+
+  // Verifica se a sessão está completa e íntegra antes do envio ao FTP
+  async verify(id) {
+    const session = await this.get(id);
+    if (!session) {
+      throw createApiError(404, 'Sessão de upload não encontrada ou expirada', 'UPLOAD_SESSION_NOT_FOUND');
+    }
+
+    if (session.size !== null && session.offset !== session.size) {
+      throw createApiError(409, `Upload incompleto: recebidos ${session.offset} de ${session.size} bytes`, 'OFFSET_MISMATCH', { offset: session.offset });
+    }
+
+    if (session.checksum) {
+      const digest = await hashFile(this.dataPath(id), session.checksum.algorithm);
+      if (digest !== session.checksum.digest) {
+        throw createApiError(422, `Checksum do arquivo não confere (${session.checksum.algorithm}=${digest})`, 'CHECKSUM_MISMATCH');
+      }
+    }
+
+    return session;
+  }
+
+  async delete(id) {
+    if (!(await this.get(id))) return false;
+
+    fs.rmSync(this.dataPath(id), { force: true });
+    fs.rmSync(this._metaPath(id), { force: true });
+    return true;
+  }
+
+  // Remove sessões sem atividade há mais de maxAgeMs
+  async purgeExpired(maxAgeMs) {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+
+      const session = await this.get(path.basename(file, '.json'));
+      if (session && now - session.updatedAt > maxAgeMs && !this.busy.has(session.id)) {
+        await this.delete(session.id);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = {
+  UploadSessionStore,
+  parseChecksum,
+  parseContentRange
+};
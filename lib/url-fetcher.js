@@ -0,0 +1,291 @@
+// url-fetcher.js - Download seguro de URLs informadas pelo cliente (urlFile)
+//
+// Protege contra SSRF: só aceita http(s), aplica listas de hosts/CIDRs
+// permitidos e bloqueados e confere o IP resolvido no momento da conexão
+// (inclusive a cada redirecionamento), recusando por padrão endereços
+// locais, privados e de metadados de nuvem. Também limita o número de
+// redirecionamentos, o tamanho do corpo e o tempo total do download, e
+// recusa páginas HTML.
+
+const fs = require('fs');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { createApiError } = require('./api-errors');
+
+const DEFAULT_FETCH_OPTIONS = {
+  allow: process.env.URL_FETCH_ALLOW || '',
+  deny: process.env.URL_FETCH_DENY || '',
+  maxRedirects: process.env.URL_FETCH_MAX_REDIRECTS !== undefined ? parseInt(process.env.URL_FETCH_MAX_REDIRECTS) : 5,
+  maxSize: parseInt(process.env.URL_FETCH_MAX_SIZE) || 500 * 1024 * 1024,
+  timeout: parseInt(process.env.URL_FETCH_TIMEOUT) || 5 * 60 * 1000
+};
+
+// Faixas locais, privadas e reservadas, bloqueadas salvo se liberadas em allow
+const RESERVED_RANGES = [
+  '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16',
+  '172.16.0.0/12', '192.0.0.0/24', '192.168.0.0/16', '198.18.0.0/15', '224.0.0.0/4', '240.0.0.0/4',
+  '::/128', '::1/128', '64:ff9b::/96', 'fc00::/7', 'fe80::/10', 'ff00::/8'
+];
+
+const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+
+// Remove o prefixo de endereços IPv4 mapeados em IPv6 (::ffff:127.0.0.1)
+function normalizeIp(ip) {
+  return ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+}
+
+function addRange(list, entry) {
+  const [address, prefix] = entry.split('/');
+  const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  if (prefix === undefined) {
+    list.addAddress(address, type);
+  } else {
+    list.addSubnet(address, Number(prefix), type);
+  }
+}
+
+// Interpreta uma lista "host,*.dominio,10.0.0.0/8" em hosts e faixas de IP
+function parseRules(value, variable) {
+  const hosts = [];
+  const ranges = new net.BlockList();
+  let hasRanges = false;
+
+  for (const entry of value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean)) {
+    const [address, prefix] = entry.split('/');
+    const family = net.isIP(address);
+
+    if (family) {
+      const maxPrefix = family === 6 ? 128 : 32;
+      if (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix)) {
+        throw new Error(`${variable} inválido: ${entry}`);
+      }
+      addRange(ranges, entry);
+      hasRanges = true;
+    } else if (/^(\*\.)?[a-z0-9.-]+$/.test(entry)) {
+      hosts.push(entry);
+    } else {
+      throw new Error(`${variable} inválido: ${entry}`);
+    }
+  }
+
+  return { hosts, ranges, hasRanges, empty: hosts.length === 0 && !hasRanges };
+}
+
+// Verifica se o host corresponde a algum padrão (exato ou *.dominio)
+function matchesHost(hostname, patterns) {
+  return patterns.some(pattern => (pattern.startsWith('*.')
+    ? hostname.endsWith(pattern.substring(1))
+    : hostname === pattern));
+}
+
+function checkRange(list, address) {
+  return list.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+class UrlFetcher {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_FETCH_OPTIONS, ...options };
+    this.allow = parseRules(this.options.allow, 'URL_FETCH_ALLOW');
+    this.deny = parseRules(this.options.deny, 'URL_FETCH_DENY');
+
+    this.reserved = new net.BlockList();
+    RESERVED_RANGES.forEach(range => addRange(this.reserved, range));
+
+    // Agentes que conferem o IP resolvido antes de conectar, evitando que um
+    // DNS com resposta diferente (rebinding) leve a um endereço bloqueado
+    const lookup = (hostname, lookupOptions, callback) => {
+      dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(item => !this.isAllowed(hostname.toLowerCase(), item.address));
+        if (blocked) {
+          return callback(createApiError(400, `Destino não permitido: ${hostname} (${blocked.address})`, 'URL_NOT_ALLOWED'));
+        }
+
+        if (lookupOptions.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+      });
+    };
+    this.agents = {
+      httpAgent: new http.Agent({ lookup }),
+      httpsAgent: new https.Agent({ lookup })
+    };
+  }
+
+  // Verifica se o host, resolvido para o IP informado, pode ser acessado.
+  // Faixas em allow liberam inclusive endereços privados; hosts em allow
+  // continuam sujeitos ao bloqueio das faixas reservadas.
+  isAllowed(hostname, address) {
+    const ip = normalizeIp(address);
+
+    if (checkRange(this.deny.ranges, ip)) return false;
+    if (this.allow.hasRanges && checkRange(this.allow.ranges, ip)) return true;
+    if (!this.allow.empty && !matchesHost(hostname, this.allow.hosts)) return false;
+    return !checkRange(this.reserved, ip);
+  }
+
+  // Valida protocolo e host da URL (sem resolver DNS). Retorna a URL interpretada.
+  checkUrl(value, field = 'urlFile') {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw createApiError(400, `URL inválida em ${field}. Forneça uma URL http(s) completa e válida`, null, { details: error.message });
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw createApiError(400, `URL inválida em ${field}. Forneça uma URL http(s) completa e válida`);
+    }
+    if (url.username || url.password) {
+      throw createApiError(400, `URL inválida em ${field}. Credenciais na URL não são permitidas`);
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const isIp = net.isIP(hostname) !== 0;
+
+    if (isIp) {
+      // IPs literais não passam pelo lookup dos agentes
+      if (!this.isAllowed(hostname, hostname)) {
+        throw createApiError(400, `Destino não permitido: ${hostname}`, 'URL_NOT_ALLOWED');
+      }
+    } else if (matchesHost(hostname, this.deny.hosts)
+      || (!this.allow.empty && !this.allow.hasRanges && !matchesHost(hostname, this.allow.hosts))) {
+      // Hosts fora de allow ainda podem ser liberados pelo IP, se houver faixas em allow
+      throw createApiError(400, `Destino não permitido: ${hostname}`, 'URL_NOT_ALLOWED');
+    }
+
+    return url;
+  }
+
+  // Faz a requisição seguindo os redirecionamentos manualmente, para validar
+  // cada destino
+  async _request(url, signal) {
+    let current = this.checkUrl(url);
+
+    for (let redirects = 0; ; redirects++) {
+      let response;
+      try {
+        response = await axios({
+          method: 'GET',
+          url: current.href,
+          responseType: 'stream',
+          maxRedirects: 0,
+          proxy: false,
+          signal,
+          validateStatus: () => true,
+          ...this.agents
+        });
+      } catch (error) {
+        throw this._translateError(error, signal);
+      }
+
+      if (response.status >= 300 && response.status < 400 && response.headers.location) {
+        response.data.destroy();
+        if (redirects >= this.options.maxRedirects) {
+          throw createApiError(400, `Número máximo de redirecionamentos excedido (${this.options.maxRedirects})`);
+        }
+        current = this.checkUrl(new URL(response.headers.location, current).href);
+        continue;
+      }
+
+      if (response.status >= 400) {
+        response.data.destroy();
+        throw createApiError(400, 'O servidor remoto retornou um erro ao tentar baixar o arquivo.', 'URL_FETCH_FAILED', {
+          details: `HTTP ${response.status}`,
+          retryable: response.status >= 500 || response.status === 408 || response.status === 429
+        });
+      }
+
+      return response;
+    }
+  }
+
+  // Converte erros de rede/cancelamento em erros com statusCode
+  _translateError(error, signal) {
+    if (error.statusCode) return error;
+    if (error.cause && error.cause.statusCode) return error.cause;
+
+    if (signal.aborted) {
+      return createApiError(504, 'Tempo esgotado ao baixar o arquivo da URL', 'URL_FETCH_TIMEOUT', {
+        details: `Limite de ${this.options.timeout} ms`,
+        retryable: true
+      });
+    }
+    if (error.code === 'ENOTFOUND') {
+      return createApiError(400, 'Não foi possível acessar o URL. Verifique se o endereço está correto e acessível.', 'URL_FETCH_FAILED', {
+        details: error.message
+      });
+    }
+    return createApiError(502, 'Não foi possível acessar o URL. Verifique se o endereço está correto e acessível.', 'URL_FETCH_FAILED', {
+      details: error.message,
+      retryable: true
+    });
+  }
+
+  // Baixa a URL para destPath. onProgress recebe os bytes baixados e o total
+  // (Content-Length), quando conhecido. Retorna { size, contentType, finalUrl }.
+  async download(url, destPath, { onProgress } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeout);
+    const { maxSize } = this.options;
+
+    try {
+      const response = await this._request(url, controller.signal);
+      const contentType = response.headers['content-type'] || null;
+      const totalBytes = parseInt(response.headers['content-length']) || null;
+
+      if (contentType && HTML_CONTENT_TYPES.includes(contentType.split(';')[0].trim().toLowerCase())) {
+        response.data.destroy();
+        throw createApiError(400, 'O URL fornecido não é um link direto para download. Use uma URL que aponte diretamente para o arquivo.', null, {
+          details: `Content-Type: ${contentType}`
+        });
+      }
+      if (totalBytes !== null && totalBytes > maxSize) {
+        response.data.destroy();
+        throw createApiError(413, `Arquivo da URL excede o tamanho máximo de ${maxSize} bytes`);
+      }
+
+      let size = 0;
+      const counter = new Transform({
+        transform(chunk, encoding, callback) {
+          // Páginas HTML servidas sem Content-Type adequado
+          if (size === 0 && /^\s*<(!doctype html|html)[\s>]/i.test(chunk.subarray(0, 512).toString('utf8'))) {
+            return callback(createApiError(400, 'O URL fornecido não é um link direto para download. Use uma URL que aponte diretamente para o arquivo.'));
+          }
+
+          size += chunk.length;
+          if (size > maxSize) {
+            return callback(createApiError(413, `Arquivo da URL excede o tamanho máximo de ${maxSize} bytes`));
+          }
+          if (onProgress) onProgress(size, totalBytes);
+          callback(null, chunk);
+        }
+      });
+
+      try {
+        await pipeline(response.data, counter, fs.createWriteStream(destPath));
+      } catch (error) {
+        throw this._translateError(error, controller.signal);
+      }
+
+      return { size, contentType, finalUrl: response.config.url };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// Cria o fetcher com as configurações URL_FETCH_*
+function createUrlFetcher(options) {
+  return new UrlFetcher(options);
+}
+
+module.exports = {
+  createUrlFetcher,
+  UrlFetcher
+};
@@ -0,0 +1,428 @@
+// webhooks.js - Assinaturas de webhooks para eventos de arquivos
+//
+// Cada assinatura recebe, por POST, os eventos dos tipos escolhidos, filtrados
+// por servidor e por diretórios. O corpo é assinado com HMAC-SHA256 usando o
+// segredo da assinatura, no mesmo formato dos webhooks dos jobs
+// (X-Webhook-Signature: sha256=HMAC de "<timestamp>.<corpo>"). Entregas com
+// falha são repetidas com backoff exponencial.
+//
+// As assinaturas ficam em <dir>/subscriptions.json e o registro das entregas
+// em <dir>/deliveries/<id>.json, da mais recente para a mais antiga. O
+// registro é gravado de forma assíncrona, fora do caminho da requisição que
+// publicou o evento. Entregas pendentes são retomadas após um reinício da API.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { normalizeRemotePath } = require('./remote-path');
+const { signWebhook } = require('./transfer-jobs');
+const { createApiError } = require('./api-errors');
+
+const EVENT_TYPES = [
+  'file.uploaded',
+  'file.downloaded',
+  'link.used',
+  'file.created',
+  'file.modified',
+  'file.deleted'
+];
+
+const DEFAULT_WEBHOOK_OPTIONS = {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 10 * 1000,
+  maxRetryDelay: 60 * 60 * 1000,
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10 * 1000,
+  deliveryLogMax: parseInt(process.env.WEBHOOK_DELIVERY_LOG_MAX) || 100,
+  // Agentes HTTP usados nas entregas (ex.: os do url-fetcher, que bloqueiam
+  // endereços internos)
+  agents: {}
+};
+
+// Tamanho mínimo de um segredo informado pelo cliente
+const MIN_SECRET_LENGTH = 16;
+
+// O caminho é o prefixo ou está dentro dele
+function isUnderPath(value, prefix) {
+  return prefix === '/' || value === prefix || value.startsWith(`${prefix}/`);
+}
+
+// Valida e normaliza os campos de uma assinatura (criação ou alteração)
+function normalizeSubscription(definition) {
+  const { url } = definition;
+  if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+    throw createApiError(400, 'url deve ser uma URL http(s)');
+  }
+
+  const events = definition.events === undefined ? ['*'] : definition.events;
+  if (!Array.isArray(events) || events.length === 0) {
+    throw createApiError(400, `events deve ser uma lista com ${EVENT_TYPES.join(', ')} ou "*"`);
+  }
+  const invalid = events.filter(event => event !== '*' && !EVENT_TYPES.includes(event));
+  if (invalid.length > 0) {
+    throw createApiError(400, `Eventos desconhecidos: ${invalid.join(', ')}. Use ${EVENT_TYPES.join(', ')} ou "*"`);
+  }
+
+  let paths = null;
+  if (definition.paths !== undefined && definition.paths !== null) {
+    if (!Array.isArray(definition.paths) || definition.paths.length === 0) {
+      throw createApiError(400, 'paths deve ser uma lista de diretórios');
+    }
+    paths = definition.paths.map(item => normalizeRemotePath(item, 'paths'));
+  }
+
+  if (definition.server !== undefined && definition.server !== null && typeof definition.server !== 'string') {
+    throw createApiError(400, 'server deve ser o nome de um servidor');
+  }
+  if (definition.enabled !== undefined && typeof definition.enabled !== 'boolean') {
+    throw createApiError(400, 'enabled deve ser true ou false');
+  }
+
+  return {
+    url,
+    description: definition.description ? String(definition.description) : null,
+    events: [...new Set(events)],
+    server: definition.server || null,
+    paths,
+    enabled: definition.enabled !== false
+  };
+}
+
+// Dados públicos de uma assinatura (o segredo só é mostrado na criação)
+function formatSubscription(subscription, { includeSecret = false } = {}) {
+  return {
+    id: subscription.id,
+    url: subscription.url,
+    description: subscription.description,
+    events: subscription.events,
+    server: subscription.server,
+    paths: subscription.paths,
+    enabled: subscription.enabled,
+    keyId: subscription.keyId,
+    secret: includeSecret ? subscription.secret : undefined,
+    createdAt: new Date(subscription.createdAt).toISOString(),
+    updatedAt: new Date(subscription.updatedAt).toISOString()
+  };
+}
+
+// Dados públicos de uma entrega
+function formatDelivery(delivery) {
+  const toIso = value => (value ? new Date(value).toISOString() : null);
+
+  return {
+    id: delivery.id,
+    subscriptionId: delivery.subscriptionId,
+    eventId: delivery.event.id,
+    event: delivery.event.type,
+    path: delivery.event.path,
+    state: delivery.state,
+    attempts: delivery.attempts,
+    statusCode: delivery.statusCode,
+    error: delivery.error,
+    createdAt: toIso(delivery.createdAt),
+    deliveredAt: toIso(delivery.deliveredAt),
+    nextAttemptAt: toIso(delivery.nextAttemptAt)
+  };
+}
+
+class WebhookDispatcher {
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.options = { ...DEFAULT_WEBHOOK_OPTIONS, ...options };
+    this.subscriptionsPath = path.join(dir, 'subscriptions.json');
+    this.deliveriesDir = path.join(dir, 'deliveries');
+    this.retryTimers = new Map(); // id da entrega -> timer da próxima tentativa
+    this.pendingDeliveries = new Map(); // id da assinatura -> entregas a gravar (Map id -> entrega)
+    this.flushing = new Map(); // id da assinatura -> gravação do registro em andamento
+
+    fs.mkdirSync(this.deliveriesDir, { recursive: true });
+    this.subscriptions = new Map(this._readSubscriptions().map(subscription => [subscription.id, subscription]));
+    this._recover();
+  }
+
+  _readSubscriptions() {
+    try {
+      return JSON.parse(fs.readFileSync(this.subscriptionsPath, 'utf8')).subscriptions || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  _saveSubscriptions() {
+    // Escrita atômica
+    fs.writeFileSync(`${this.subscriptionsPath}.tmp`, JSON.stringify({ subscriptions: [...this.subscriptions.values()] }, null, 2));
+    fs.renameSync(`${this.subscriptionsPath}.tmp`, this.subscriptionsPath);
+  }
+
+  _deliveriesPath(id) {
+    return path.join(this.deliveriesDir, `${id}.json`);
+  }
+
+  _readDeliveries(id) {
+    try {
+      return JSON.parse(fs.readFileSync(this._deliveriesPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Agenda a gravação da entrega no registro da assinatura (substituindo a
+  // versão anterior dela). As entregas salvas durante uma gravação são
+  // acumuladas e gravadas juntas na seguinte.
+  _saveDelivery(delivery) {
+    const { subscriptionId } = delivery;
+    if (!this.subscriptions.has(subscriptionId)) return;
+
+    if (!this.pendingDeliveries.has(subscriptionId)) {
+      this.pendingDeliveries.set(subscriptionId, new Map());
+    }
+    // Remover antes de incluir leva a entrega para o fim da ordem de gravação
+    const pending = this.pendingDeliveries.get(subscriptionId);
+    pending.delete(delivery.id);
+    pending.set(delivery.id, delivery);
+
+    this._flushDeliveries(subscriptionId);
+  }
+
+  // Grava as entregas pendentes da assinatura. Retorna a gravação em
+  // andamento, que só termina quando não houver mais entregas pendentes.
+  // Falhas são apenas logadas.
+  _flushDeliveries(subscriptionId) {
+    if (this.flushing.has(subscriptionId)) {
+      return this.flushing.get(subscriptionId);
+    }
+
+    const flush = (async () => {
+      // Deixa a requisição que publicou o evento terminar antes da gravação
+      await new Promise(resolve => setImmediate(resolve));
+
+      while (this.pendingDeliveries.has(subscriptionId)) {
+        const pending = this.pendingDeliveries.get(subscriptionId);
+        this.pendingDeliveries.delete(subscriptionId);
+        if (!this.subscriptions.has(subscriptionId)) return;
+
+        let existing = [];
+        const deliveriesPath = this._deliveriesPath(subscriptionId);
+        try {
+          existing = JSON.parse(await fs.promises.readFile(deliveriesPath, 'utf8'));
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+
+        const deliveries = [...pending.values()].reverse()
+          .concat(existing.filter(item => !pending.has(item.id)))
+          .slice(0, this.options.deliveryLogMax);
+        await fs.promises.writeFile(`${deliveriesPath}.tmp`, JSON.stringify(deliveries, null, 2));
+        await fs.promises.rename(`${deliveriesPath}.tmp`, deliveriesPath);
+      }
+    })()
+      .catch((error) => {
+        console.error(`[${new Date().toISOString()}] Erro ao gravar as entregas do webhook ${subscriptionId}: ${error.message}`);
+      })
+      .finally(() => {
+        this.flushing.delete(subscriptionId);
+        // Entregas salvas entre o fim do laço e este ponto
+        if (this.pendingDeliveries.has(subscriptionId)) {
+          this._flushDeliveries(subscriptionId);
+        }
+      });
+
+    this.flushing.set(subscriptionId, flush);
+    return flush;
+  }
+
+  // Retoma as entregas pendentes interrompidas por um reinício
+  _recover() {
+    for (const subscription of this.subscriptions.values()) {
+      for (const delivery of this._readDeliveries(subscription.id)) {
+        if (delivery.state === 'pending') {
+          this._schedule(delivery, Math.max((delivery.nextAttemptAt || 0) - Date.now(), 0));
+        }
+      }
+    }
+  }
+
+  list() {
+    return [...this.subscriptions.values()];
+  }
+
+  get(id) {
+    return this.subscriptions.get(id) || null;
+  }
+
+  async create(definition, { keyId }) {
+    const secret = definition.secret === undefined ? crypto.randomBytes(32).toString('hex') : definition.secret;
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+      throw createApiError(400, `secret deve ter ao menos ${MIN_SECRET_LENGTH} caracteres`);
+    }
+
+    const subscription = {
+      id: uuidv4(),
+      ...normalizeSubscription(definition),
+      secret,
+      keyId,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    this.subscriptions.set(subscription.id, subscription);
+    this._saveSubscriptions();
+    return subscription;
+  }
+
+  // Altera url, description, events, server, paths e enabled. Campos omitidos
+  // são mantidos.
+  async update(id, changes) {
+    const subscription = this.get(id);
+    if (!subscription) {
+      throw createApiError(404, `Webhook não encontrado: ${id}`);
+    }
+
+    const fields = ['url', 'description', 'events', 'server', 'paths', 'enabled'];
+    const current = Object.fromEntries(fields.map(field => [field, subscription[field]]));
+    const provided = Object.fromEntries(fields.filter(field => changes[field] !== undefined).map(field => [field, changes[field]]));
+
+    Object.assign(subscription, normalizeSubscription({ ...current, ...provided }), { updatedAt: Date.now() });
+    this._saveSubscriptions();
+    return subscription;
+  }
+
+  async remove(id) {
+    if (!this.subscriptions.has(id)) {
+      throw createApiError(404, `Webhook não encontrado: ${id}`);
+    }
+
+    this.subscriptions.delete(id);
+    this._saveSubscriptions();
+
+    // Entregas ainda não gravadas são descartadas; uma gravação em andamento
+    // termina antes da remoção do registro
+    for (const delivery of (this.pendingDeliveries.get(id) || new Map()).values()) {
+      clearTimeout(this.retryTimers.get(delivery.id));
+      this.retryTimers.delete(delivery.id);
+    }
+    this.pendingDeliveries.delete(id);
+    await this.flushing.get(id);
+
+    for (const delivery of this._readDeliveries(id)) {
+      clearTimeout(this.retryTimers.get(delivery.id));
+      this.retryTimers.delete(delivery.id);
+    }
+    fs.rmSync(this._deliveriesPath(id), { force: true });
+  }
+
+  async deliveries(id, limit = this.options.deliveryLogMax) {
+    // Inclui as entregas ainda não gravadas
+    if (this.pendingDeliveries.has(id) || this.flushing.has(id)) {
+      await this._flushDeliveries(id);
+    }
+    return this._readDeliveries(id).slice(0, limit);
+  }
+
+  _matches(subscription, event) {
+    return subscription.enabled
+      && (subscription.events.includes('*') || subscription.events.includes(event.type))
+      && (!subscription.server || subscription.server === event.server)
+      && (!subscription.paths || subscription.paths.some(prefix => isUnderPath(event.path, prefix)));
+  }
+
+  // Publica um evento ({ type, server, path, size, mtime, actor, details }) para
+  // as assinaturas correspondentes. As entregas são feitas em segundo plano.
+  publish(fields) {
+    const event = {
+      id: uuidv4(),
+      type: fields.type,
+      timestamp: new Date().toISOString(),
+      server: fields.server,
+      path: fields.path,
+      name: path.posix.basename(fields.path),
+      size: Number.isFinite(fields.size) ? fields.size : null,
+      mtime: fields.mtime || null,
+      actor: fields.actor,
+      details: fields.details || null
+    };
+
+    for (const subscription of this.subscriptions.values()) {
+      if (!this._matches(subscription, event)) continue;
+
+      const delivery = {
+        id: uuidv4(),
+        subscriptionId: subscription.id,
+        event,
+        state: 'pending',
+        attempts: 0,
+        statusCode: null,
+        error: null,
+        createdAt: Date.now(),
+        deliveredAt: null,
+        nextAttemptAt: null
+      };
+      this._saveDelivery(delivery);
+      this._attempt(delivery);
+    }
+
+    return event;
+  }
+
+  _schedule(delivery, delay) {
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(delivery.id);
+      this._attempt(delivery);
+    }, delay);
+    timer.unref();
+    this.retryTimers.set(delivery.id, timer);
+  }
+
+  async _attempt(delivery) {
+    const subscription = this.get(delivery.subscriptionId);
+    if (!subscription) return;
+
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    delivery.attempts++;
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event.type,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${signWebhook(subscription.secret, timestamp, body)}`
+        },
+        timeout: this.options.timeout,
+        maxRedirects: 0,
+        proxy: false,
+        ...this.options.agents
+      });
+
+      Object.assign(delivery, { state: 'delivered', statusCode: response.status, error: null, deliveredAt: Date.now(), nextAttemptAt: null });
+    } catch (error) {
+      delivery.statusCode = error.response ? error.response.status : null;
+      delivery.error = error.message;
+
+      if (delivery.attempts < this.options.maxAttempts) {
+        // Backoff exponencial: retryDelay, 2x, 4x... até maxRetryDelay
+        const delay = Math.min(this.options.retryDelay * 2 ** (delivery.attempts - 1), this.options.maxRetryDelay);
+        delivery.nextAttemptAt = Date.now() + delay;
+        this._schedule(delivery, delay);
+      } else {
+        console.error(`[${new Date().toISOString()}] Falha ao entregar o webhook ${delivery.id} (${subscription.url}): ${delivery.error}`);
+        delivery.state = 'failed';
+        delivery.nextAttemptAt = null;
+      }
+    }
+
+    this._saveDelivery(delivery);
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  WebhookDispatcher,
+  formatSubscription,
+  formatDelivery
+};
@@ -2,15 +2,45 @@
 
 const express = require('express');
 const multer = require('multer');
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
-const ftp = require('basic-ftp');
+const { Writable } = require('stream');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
+const swaggerUi = require('swagger-ui-express');
 const dotenv = require('dotenv');
 const { v4: uuidv4 } = require('uuid');
+const { createTempLinkStore, isLinkActive } = require('./lib/temp-link-store');
+const { UploadSessionStore } = require('./lib/upload-sessions');
+const { loadServerProfiles } = require('./lib/server-profiles');
+const { normalizeRemotePath, parseFilePath, validateFileName, getRemoteRoot, toServerPath } = require('./lib/remote-path');
+const { createApiKeyStore, isKeyActive, isPathAllowed, OPERATIONS } = require('./lib/api-key-store');
+const { createLinkSigner, normalizeAllowedIps, isIpAllowed } = require('./lib/signed-links');
+const { connectStorage, acquireStorage, releaseStorage, getPoolStats, FileType } = require('./lib/storage');
+const { TransferJobQueue, formatJob } = require('./lib/transfer-jobs');
+const { ARCHIVE_FORMATS, listFilesRecursive, writeArchive } = require('./lib/remote-archive');
+const { createUrlFetcher } = require('./lib/url-fetcher');
+const { createContentValidator } = require('./lib/content-validator');
+const { createAuditLog, parseAuditFilters, redactUrl } = require('./lib/audit-log');
+const { createMetrics } = require('./lib/metrics');
+const { parseListOptions, parseSearchOptions, listDirectory, searchTree, walkTree, formatListEntry, normalizeModifiedDate } = require('./lib/remote-listing');
+const { parseConflictPolicy, resolveUploadConflict, moveVersionBack, listVersions, restoreVersion, VERSIONS_DIR } = require('./lib/upload-conflicts');
+const { SyncScheduler, loadSyncJobsConfig, planMirror, formatSyncJob, formatSyncRun } = require('./lib/sync-jobs');
+const { WebhookDispatcher, formatSubscription, formatDelivery } = require('./lib/webhooks');
+const { FolderWatcher, formatWatch } = require('./lib/folder-watches');
+const { buildOpenApiDocument } = require('./lib/openapi');
+const { createRequestValidator } = require('./lib/request-validator');
+const { createApiError, resolveLanguage, buildErrorBody } = require('./lib/api-errors');
+const {
+  SIDECAR_EXTENSION,
+  parseChecksum,
+  checksumFile,
+  formatDigestHeader,
+  verifyRemoteFile,
+  writeSidecar,
+  getRemoteDigest
+} = require('./lib/checksum');
 
 // Carregar variáveis de ambiente
 dotenv.config();
@@ -18,12 +48,149 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Armazena links temporários de download
-const temporaryLinks = {};
+// Proxies confiáveis (ex.: TRUST_PROXY=1 atrás de um balanceador), para que
+// req.ip seja o IP real do cliente
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+}
+
+// URL pública da API usada nos links gerados (ex.: https://arquivos.empresa.com)
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+// Perfis de servidores FTP disponíveis (arquivo SERVERS_CONFIG ou variáveis FTP_*)
+const ftpServers = loadServerProfiles();
+
+// Diretório base (chroot) do token da API, dentro da raiz de cada servidor
+const API_ROOT_DIR = normalizeRemotePath(process.env.API_ROOT_DIR, 'API_ROOT_DIR');
+
+// Chaves de API com permissões por operação e por caminho
+const apiKeys = createApiKeyStore();
+
+// Limite padrão de requisições por minuto de cada chave
+const DEFAULT_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT) || 300;
+
+// O API_TOKEN, se configurado, funciona como uma chave com acesso completo
+// (inclusive administração), usada para criar as demais chaves
+const LEGACY_API_KEY = {
+  id: 'legacy',
+  name: 'API_TOKEN',
+  operations: OPERATIONS,
+  pathPrefixes: ['/'],
+  rootDir: API_ROOT_DIR,
+  rateLimit: null
+};
+
+// Armazena links temporários de download (persistente entre reinícios)
+const temporaryLinks = createTempLinkStore();
+
+// Trilha de auditoria das operações (AUDIT_LOG=file|sqlite|none)
+const auditLog = createAuditLog();
+
+// Limites de paginação do GET /api/audit
+const AUDIT_PAGE_SIZE = 100;
+const AUDIT_MAX_PAGE_SIZE = 1000;
 
 // Tempo de expiração padrão para links temporários (2 horas em milissegundos)
 const DEFAULT_EXPIRATION_TIME = 2 * 60 * 60 * 1000;
 
+// Modo padrão dos links temporários: stored (armazenados) ou signed (assinados)
+const DEFAULT_TEMP_LINK_MODE = process.env.TEMP_LINK_MODE || 'stored';
+
+// Assinatura dos links no modo signed (TEMP_LINK_SIGNING_KEYS)
+const linkSigner = createLinkSigner();
+
+// Intervalo de limpeza dos links expirados ou esgotados (1 minuto)
+const TEMP_LINK_PURGE_INTERVAL = 60 * 1000;
+
+// Sessões de upload em partes (chunks), persistidas em temp/uploads
+const uploadSessions = new UploadSessionStore(path.join(__dirname, 'temp', 'uploads'), {
+  maxChunkSize: parseInt(process.env.UPLOAD_CHUNK_MAX_SIZE) || 50 * 1024 * 1024
+});
+
+// Tempo sem atividade após o qual uma sessão de upload é descartada (padrão: 24 horas)
+const UPLOAD_SESSION_TTL = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Intervalo de limpeza das sessões de upload abandonadas (1 hora)
+const UPLOAD_SESSION_PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Download das URLs informadas em urlFile, com proteção contra SSRF e
+// limites de redirecionamentos, tamanho e tempo (URL_FETCH_*)
+const urlFetcher = createUrlFetcher();
+
+// Validação do conteúdo enviado: tipo real (magic bytes), extensões e tipos
+// permitidos por diretório (UPLOAD_RULES_CONFIG) e verificação de malware
+// (CONTENT_SCANNER), com quarentena dos arquivos recusados
+const contentValidator = createContentValidator();
+
+// Integridade dos uploads: gravar o SHA-256 em <arquivo>.sha256 (padrão de
+// cada upload, que pode ser alterado pelo campo sidecar) e conferir o arquivo
+// gravado com o hash calculado pelo servidor (HASH/XSHA256/XMD5), se suportado
+const CHECKSUM_SIDECAR = process.env.CHECKSUM_SIDECAR === 'true';
+const CHECKSUM_SERVER_HASH = process.env.CHECKSUM_SERVER_HASH !== 'false';
+// Nos downloads, o hash do servidor obriga o servidor a ler o arquivo inteiro
+// antes do primeiro byte: só é usado se habilitado e nunca em HEAD ou Range
+const CHECKSUM_DOWNLOAD_SERVER_HASH = process.env.CHECKSUM_DOWNLOAD_SERVER_HASH === 'true';
+
+// Uploads atômicos: gravar com um nome temporário e renomear depois de
+// conferido (padrão: true; pode ser alterado por servidor com atomicUploads)
+const UPLOAD_ATOMIC = process.env.UPLOAD_ATOMIC !== 'false';
+
+// Número máximo de itens em um upload em lote
+const BATCH_UPLOAD_MAX_ITEMS = parseInt(process.env.BATCH_UPLOAD_MAX_ITEMS) || 100;
+
+// Número máximo de arquivos em um download compactado (ZIP/tar.gz)
+const ARCHIVE_MAX_FILES = parseInt(process.env.ARCHIVE_MAX_FILES) || 1000;
+
+// Fila de transferências assíncronas (upload via URL com async: true),
+// persistida em data/jobs
+const transferJobs = new TransferJobQueue(process.env.JOBS_PATH || path.join(__dirname, 'data', 'jobs'), runTransferJob, {
+  webhookAgents: urlFetcher.agents
+});
+
+// Tempo que um job concluído fica disponível para consulta (padrão: 24 horas)
+const JOB_TTL = (parseInt(process.env.JOB_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Intervalo de limpeza dos jobs concluídos (1 hora)
+const JOB_PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Diretório local onde ficam os localPath das sincronizações
+const SYNC_LOCAL_ROOT = path.resolve(process.env.SYNC_LOCAL_ROOT || path.join(__dirname, 'data', 'sync-files'));
+
+// Sincronizações agendadas: as do arquivo SYNC_JOBS_CONFIG (padrão
+// sync-jobs.json na raiz do projeto) e as criadas pela API, em data/sync
+const syncJobs = new SyncScheduler(process.env.SYNC_JOBS_PATH || path.join(__dirname, 'data', 'sync'), runSyncJob, {
+  configJobs: loadSyncJobsConfig(process.env.SYNC_JOBS_CONFIG || path.join(__dirname, 'sync-jobs.json'), { rootDir: API_ROOT_DIR }),
+  onFinish: recordSyncRun
+});
+syncJobs.list().forEach((job) => {
+  if (!ftpServers.get(job.server)) {
+    throw new Error(`Sincronização ${job.id}: servidor desconhecido: ${job.server}`);
+  }
+});
+
+// Assinaturas de webhooks para os eventos de arquivos (uploads, downloads,
+// uso de links temporários e alterações nos diretórios monitorados),
+// persistidas em data/webhooks
+const webhooks = new WebhookDispatcher(process.env.WEBHOOKS_PATH || path.join(__dirname, 'data', 'webhooks'), {
+  agents: urlFetcher.agents
+});
+
+// Diretórios remotos monitorados por listagens periódicas, em data/watches
+const folderWatches = new FolderWatcher(process.env.WATCHES_PATH || path.join(__dirname, 'data', 'watches'), scanWatchedFolder, {
+  onChange: publishWatchChanges
+});
+
+// Documento OpenAPI da API, servido em /api/openapi.json e /api/docs e usado
+// na validação das requisições (parâmetros e corpo de cada rota)
+const openApiDocument = buildOpenApiDocument({ version: require('./package.json').version });
+const requestValidator = createRequestValidator(openApiDocument);
+const validateRequest = operationId => requestValidator.middleware(operationId);
+
+// Documentação da API (/api/openapi.json e Swagger UI em /api/docs); pode ser
+// desativada com API_DOCS=false
+const API_DOCS = process.env.API_DOCS !== 'false';
+
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -33,10 +200,39 @@ if (!fs.existsSync(DOWNLOAD_DIR)) {
   fs.mkdirSync(DOWNLOAD_DIR, { recursive: true });
 }
 
+// Diretórios locais de arquivos temporários, monitorados pelas métricas e
+// verificados pelo /readyz
+const LOCAL_DIRS = {
+  temp: path.join(__dirname, 'temp'),
+  downloads: DOWNLOAD_DIR
+};
+
+// Métricas para o Prometheus (GET /metrics)
+const metrics = createMetrics({
+  getPoolStats,
+  countTempLinks: async () => (await temporaryLinks.list()).filter(link => isLinkActive(link)).length,
+  directories: LOCAL_DIRS
+});
+
+// Token exigido no GET /metrics (opcional; sem ele o endpoint é aberto)
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+// Servidores verificados pelo /readyz (padrão: todos)
+const READINESS_SERVERS = process.env.READINESS_SERVERS
+  ? process.env.READINESS_SERVERS.split(',').map(name => name.trim()).filter(Boolean)
+  : null;
+
+// Tempo em que o resultado do /readyz é reaproveitado (segundos; 0 desativa)
+const READINESS_CACHE_TTL = (process.env.READINESS_CACHE_TTL === undefined ? 5 : Number(process.env.READINESS_CACHE_TTL)) * 1000;
+
 // Configurações de segurança
 app.use(helmet()); // Headers de segurança HTTP
 app.use(express.json());
-app.use(morgan('combined')); // Logging
+// Contagem e latência das requisições por rota
+app.use(metrics.middleware());
+// Logging (formato combined com o id da chave de API)
+morgan.token('api-key', (req) => (req.apiKey ? req.apiKey.id : '-'));
+app.use(morgan(':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent" key=:api-key'));
 
 // Limitador de taxa para prevenir ataques de força bruta
 const limiter = rateLimit({
@@ -44,6 +240,7 @@ const limiter = rateLimit({
   max: 100, // limite de 100 requisições por IP
   standardHeaders: true,
   legacyHeaders: false,
+  handler: (req, res) => sendError(res, createApiError(429, 'Muitas requisições. Tente novamente mais tarde', 'RATE_LIMITED'))
 });
 app.use('/api/upload', limiter);
 
@@ -68,62 +265,203 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // Limite de 10MB para upload
 });
 
-// Middleware de autenticação
-const authenticate = (req, res, next) => {
+// Middleware de autenticação por chave de API
+const authenticateKey = async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Token de autenticação não fornecido' });
+    return sendError(res, createApiError(401, 'Token de autenticação não fornecido', 'UNAUTHENTICATED'));
   }
 
   const token = authHeader.split(' ')[1];
 
-  // Verificar token (em produção, use JWT ou outro método seguro)
-  if (token !== process.env.API_TOKEN) {
-    return res.status(403).json({ error: 'Token inválido' });
+  try {
+    if (process.env.API_TOKEN && token === process.env.API_TOKEN) {
+      req.apiKey = LEGACY_API_KEY;
+    } else {
+      req.apiKey = await apiKeys.verify(token);
+    }
+  } catch (error) {
+    return sendOperationError(res, error, 'Erro ao verificar chave de API');
+  }
+
+  if (!req.apiKey) {
+    return sendError(res, createApiError(403, 'Token inválido', 'INVALID_TOKEN'));
+  }
+
+  // Diretório base permitido para a chave
+  req.rootDir = req.apiKey.rootDir;
+
+  next();
+};
+
+// Limitador de taxa por chave de API (requisições por minuto)
+const keyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: (req) => req.apiKey.rateLimit || DEFAULT_KEY_RATE_LIMIT,
+  keyGenerator: (req) => req.apiKey.id,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => sendError(res, createApiError(429, 'Limite de requisições da chave de API excedido', 'RATE_LIMITED'))
+});
+
+const authenticate = [authenticateKey, keyLimiter];
+
+// Middleware que exige as operações informadas na chave de API
+const authorize = (...operations) => (req, res, next) => {
+  const missing = operations.filter(operation => !req.apiKey.operations.includes(operation));
+
+  if (missing.length > 0) {
+    return sendError(res, createApiError(403, `Chave de API sem permissão para: ${missing.join(', ')}`, 'INSUFFICIENT_SCOPE'));
   }
 
   next();
 };
 
-// Função para baixar arquivo de uma URL
-async function downloadFile(url, destPath) {
-  const response = await axios({
-    method: 'GET',
-    url: url,
-    responseType: 'stream',
+// Verifica se os caminhos (virtuais) estão nos prefixos permitidos para a chave
+function authorizePath(req, ...virtualPaths) {
+  const denied = virtualPaths.find(virtualPath => !isPathAllowed(req.apiKey, virtualPath));
+  if (denied) {
+    throw createApiError(403, `Chave de API sem acesso ao caminho: ${denied}`, 'PATH_FORBIDDEN');
+  }
+}
+
+// Grava um registro na trilha de auditoria. Falhas na gravação são apenas
+// logadas, para não interromper a operação registrada.
+function recordAudit(entry) {
+  auditLog.append(entry).catch((error) => {
+    console.error('Erro ao gravar registro de auditoria:', error);
   });
+  publishAuditEvent(entry);
+}
 
-  return new Promise((resolve, reject) => {
-    const writer = fs.createWriteStream(destPath);
-    response.data.pipe(writer);
+// Operações da API que geram eventos de webhook quando bem-sucedidas
+const AUDIT_WEBHOOK_EVENTS = {
+  upload: 'file.uploaded',
+  download: 'file.downloaded',
+  'temp-download': 'link.used'
+};
 
-    writer.on('finish', resolve);
-    writer.on('error', reject);
+// Publica o evento de webhook de uma operação registrada na auditoria. Os
+// campos rootDir, mtime e partial do registro só são usados aqui (não são
+// gravados na trilha de auditoria).
+function publishAuditEvent(entry) {
+  const type = AUDIT_WEBHOOK_EVENTS[entry.operation];
+  if (!type || entry.outcome !== 'success' || entry.partial || !entry.path) return;
+
+  webhooks.publish({
+    type,
+    server: entry.server,
+    path: path.posix.join('/', entry.rootDir || '/', entry.path),
+    size: entry.size,
+    // Nos uploads, a data de modificação é a da gravação
+    mtime: entry.mtime || (type === 'file.uploaded' ? new Date().toISOString() : null),
+    actor: {
+      type: entry.operation === 'temp-download' ? 'temp-link' : 'api-key',
+      keyId: entry.keyId || null,
+      clientIp: entry.clientIp || null,
+      linkId: entry.details && entry.details.linkId ? entry.details.linkId : undefined,
+      jobId: entry.details && entry.details.jobId ? entry.details.jobId : undefined
+    },
+    details: entry.source ? { source: entry.source } : null
   });
 }
 
-// Função para baixar arquivo do servidor FTP
-async function downloadFromFtp(remotePath, fileName, localFilePath) {
-  const client = new ftp.Client();
-  client.ftp.verbose = process.env.NODE_ENV === 'development';
+// Middleware que registra a operação na auditoria quando a resposta termina
+// (ou é interrompida). As rotas completam o registro em res.locals.audit com
+// path, size, sha256, source e details; a mensagem de erro vem da resposta JSON.
+// O streaming de downloads também informa mtime e partial, usados só pelos
+// webhooks.
+const audited = (operation) => (req, res, next) => {
+  const startedAt = Date.now();
+  res.locals.audit = {};
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && body.error) {
+      res.locals.audit.error = body.error;
+    }
+    return json(body);
+  };
+
+  // 'close' sem 'finish' antes: a conexão caiu antes do fim da resposta, a
+  // menos que o streaming já tenha enviado todos os bytes (o cliente pode
+  // fechar a conexão antes do res.end(), que aguarda o fim da transferência FTP)
+  let recorded = false;
+  const done = (closed) => {
+    if (recorded) return;
+    recorded = true;
+
+    let outcome = res.statusCode < 400 ? 'success' : 'failure';
+    if (closed && !res.locals.transferComplete) {
+      outcome = 'aborted';
+    }
 
-  try {
-    await client.access({
-      host: process.env.FTP_HOST,
-      user: process.env.FTP_USER,
-      password: process.env.FTP_PASSWORD,
-      port: parseInt(process.env.FTP_PORT) || 21,
-      secure: process.env.FTP_TYPE === 'FTPS',
-      secureOptions: { rejectUnauthorized: false }
+    recordAudit({
+      operation,
+      keyId: req.apiKey ? req.apiKey.id : null,
+      clientIp: req.ip,
+      server: req.ftpServer ? req.ftpServer.name : null,
+      rootDir: req.rootDir,
+      ...res.locals.audit,
+      outcome,
+      statusCode: res.statusCode,
+      durationMs: Date.now() - startedAt
     });
+  };
+  res.once('finish', () => done(false));
+  res.once('close', () => done(true));
+
+  next();
+};
+
+// Middleware para selecionar o servidor FTP pelo parâmetro "server" (body ou query)
+const selectServer = (req, res, next) => {
+  const serverName = (req.body && req.body.server) || req.query.server;
+  const server = ftpServers.get(serverName);
+
+  if (!server) {
+    // Pelo tratador de erros, que também remove o arquivo já recebido pelo
+    // multer no /api/upload/direct
+    return next(createApiError(400, `Servidor desconhecido: ${serverName}`, 'UNKNOWN_SERVER'));
+  }
+
+  req.ftpServer = server;
+  req.remoteRoot = getRemoteRoot(server, req.rootDir);
+  next();
+};
+
+// Resolve o arquivo indicado por pathComplete OU por path e fileName dentro da
+// raiz permitida (chroot). fullDir e fullPath são os caminhos reais no servidor.
+function resolveRemoteFile(remoteRoot, params, completeField) {
+  const file = parseFilePath(params, completeField);
+  return {
+    ...file,
+    fullDir: toServerPath(remoteRoot, file.dir),
+    fullPath: toServerPath(remoteRoot, file.path)
+  };
+}
+
+// Resolve um diretório dentro da raiz permitida (chroot)
+function resolveRemoteDir(remoteRoot, remotePath, field = 'path') {
+  const dir = normalizeRemotePath(remotePath, field);
+  return { path: dir, fullPath: toServerPath(remoteRoot, dir) };
+}
+
+// As funções de transferência abaixo recebem os caminhos reais no servidor,
+// já resolvidos dentro da raiz permitida (ver resolveRemoteFile).
+
+// Função para baixar arquivo do servidor FTP
+async function downloadFromFtp(remotePath, fileName, localFilePath, server) {
+  const client = await acquireStorage(server);
 
+  try {
     // Navegar para o diretório remoto
     try {
       await client.cd(remotePath);
     } catch (error) {
       console.error(`Erro ao acessar diretório ${remotePath}:`, error);
-      throw new Error(`Diretório não encontrado: ${remotePath}`);
+      throw createApiError(404, 'Diretório não encontrado', 'DIRECTORY_NOT_FOUND');
     }
 
     // Verificar se o arquivo existe
@@ -131,7 +469,7 @@ async function downloadFromFtp(remotePath, fileName, localFilePath) {
     const fileExists = fileList.some(item => item.name === fileName);
 
     if (!fileExists) {
-      throw new Error(`Arquivo não encontrado: ${fileName}`);
+      throw createApiError(404, `Arquivo não encontrado: ${fileName}`, 'FILE_NOT_FOUND');
     }
 
     // Download do arquivo
@@ -141,321 +479,272 @@ async function downloadFromFtp(remotePath, fileName, localFilePath) {
     console.error('Erro no download FTP:', error);
     throw error;
   } finally {
-    client.close();
+    releaseStorage(client);
   }
 }
 
-// Função para enviar arquivo para servidor FTP
-async function uploadToFtp(localFilePath, remotePath, fileName) {
-  const client = new ftp.Client();
-  client.ftp.verbose = process.env.NODE_ENV === 'development';
+// Gera um ETag a partir do tamanho e da data de modificação remotos (SIZE/MDTM)
+function buildRemoteEtag(size, lastModified) {
+  const mtime = lastModified ? lastModified.getTime() : 0;
+  return `"${size.toString(16)}-${mtime.toString(16)}"`;
+}
 
-  try {
-    await client.access({
-      host: process.env.FTP_HOST,
-      user: process.env.FTP_USER,
-      password: process.env.FTP_PASSWORD,
-      port: parseInt(process.env.FTP_PORT) || 21,
-      secure: process.env.FTP_TYPE === 'FTPS',
-      secureOptions: { rejectUnauthorized: false } // Para servidores com certificados auto-assinados
-    });
+// Interpreta os cabeçalhos Range/If-Range. Retorna null para enviar o arquivo
+// completo, -1 para intervalo não satisfatório ou { start, end } do intervalo.
+function resolveRange(req, size, etag, lastModified) {
+  if (!req.headers.range || !Number.isFinite(size)) {
+    return null;
+  }
 
-    // Navegar/criar diretório remoto (criar estrutura de diretórios recursivamente)
-    const dirs = remotePath.split('/').filter(Boolean);
-    let currentPath = '';
+  // If-Range: só atender o intervalo se o arquivo não mudou
+  const ifRange = req.headers['if-range'];
+  if (ifRange) {
+    const isEtag = ifRange.includes('"');
+    const fresh = isEtag
+      ? ifRange === etag
+      : Boolean(lastModified) && Math.floor(lastModified.getTime() / 1000) * 1000 <= Date.parse(ifRange);
 
-    for (const dir of dirs) {
-      currentPath += `/${dir}`;
-      try {
-        await client.ensureDir(currentPath);
-      } catch (error) {
-        console.error(`Erro ao criar diretório ${currentPath}:`, error);
-        throw error;
-      }
+    if (!fresh) {
+      return null;
     }
+  }
 
-    // Upload do arquivo
-    await client.uploadFrom(localFilePath, `${remotePath}/${fileName}`);
-    return true;
-  } catch (error) {
-    console.error('Erro na transferência FTP:', error);
-    throw error;
-  } finally {
-    client.close();
+  const ranges = req.range(size, { combine: true });
+  if (ranges === -1) {
+    return -1;
+  }
+
+  // Cabeçalho malformado ou múltiplos intervalos: enviar o arquivo completo
+  if (ranges === -2 || ranges.type !== 'bytes' || ranges.length !== 1) {
+    return null;
   }
+
+  return ranges[0];
 }
 
-// Rota principal para processar o upload
-app.post('/api/upload', authenticate, async (req, res) => {
-  try {
-    const { urlFile, base64File, path: remotePath, fileName } = req.body;
-    
-    // Verificar se pelo menos um dos métodos de upload foi fornecido
-    if ((!urlFile && !base64File) || !remotePath || !fileName) {
-      return res.status(400).json({ 
-        error: 'Parâmetros incompletos. É necessário fornecer urlFile ou base64File, além de path e fileName' 
-      });
+// Função para transmitir arquivo do servidor FTP diretamente para a resposta HTTP
+async function streamFromFtp(remotePath, fileName, req, res, server, downloadName = fileName) {
+  const client = await acquireStorage(server);
+
+  // Interromper a transferência FTP se o cliente HTTP desconectar antes de
+  // receber todos os bytes
+  let clientDisconnected = false;
+  let transferComplete = false;
+  const onResponseClose = () => {
+    if (!res.writableFinished && !transferComplete) {
+      clientDisconnected = true;
+      client.close();
     }
-    
-    // Validar fileName para evitar injeção de caminho
-    if (fileName.includes('/') || fileName.includes('\\')) {
-      return res.status(400).json({ 
-        error: 'Nome de arquivo inválido. Não pode conter caracteres de caminho' 
-      });
+  };
+  res.once('close', onResponseClose);
+
+  try {
+    // Navegar para o diretório remoto
+    try {
+      await client.cd(remotePath);
+    } catch (error) {
+      console.error(`Erro ao acessar diretório ${remotePath}:`, error);
+      throw createApiError(404, 'Diretório não encontrado', 'DIRECTORY_NOT_FOUND');
     }
-    
-    // Criar caminho temporário para o arquivo
-    const tempFilePath = path.join(__dirname, 'temp', `temp-${uuidv4()}`);
-    
+
+    // Obter o tamanho do arquivo (SIZE), o que também confirma que ele existe
+    let fileSize;
     try {
-      let fileInfo = {
-        size: 0,
-        contentType: null,
-        path: tempFilePath
-      };
-      
-      // Processo de obtenção do arquivo (URL ou base64)
-      if (urlFile) {
-        // Método 1: URL - Validar URL
-        try {
-          new URL(urlFile);
-        } catch (e) {
-          return res.status(400).json({
-            error: 'URL inválida. Forneça uma URL completa e válida',
-            details: e.message
-          });
-        }
-        
-        // Baixar arquivo da URL
-        console.log(`[${new Date().toISOString()}] Iniciando download de: ${urlFile}`);
-        const downloadResult = await downloadFile(urlFile, tempFilePath);
-        
-        // Verificar se o downloadFile retornou um objeto válido
-        if (downloadResult && typeof downloadResult === 'object') {
-          fileInfo = { ...fileInfo, ...downloadResult };
-        } else {
-          // Se não retornou objeto válido, tentar obter tamanho do arquivo diretamente
-          try {
-            const stats = fs.statSync(tempFilePath);
-            fileInfo.size = stats.size;
-          } catch (statError) {
-            console.error(`[${new Date().toISOString()}] Erro ao obter stats do arquivo: ${statError.message}`);
-          }
-        }
-        
-        console.log(`[${new Date().toISOString()}] Arquivo baixado: ${tempFilePath} (${fileInfo.size} bytes)`);
-      } 
-      else if (base64File) {
-        // Método 2: Base64
-        try {
-          // Verificar se o base64 tem o prefixo de data URI
-          let base64Data = base64File;
-          let detectedContentType = null;
-          
-          // Se tiver o formato data:mimetype;base64,data
-          if (base64File.includes(';base64,')) {
-            const parts = base64File.split(';base64,');
-            if (parts.length >= 2) {
-              detectedContentType = parts[0].replace('data:', '');
-              base64Data = parts[1];
-            }
-          }
-          
-          // Decodificar o base64
-          const buffer = Buffer.from(base64Data, 'base64');
-          
-          // Verificar se o buffer parece válido
-          if (buffer.length === 0) {
-            return res.status(400).json({
-              error: 'Dados base64 inválidos ou vazios'
-            });
-          }
-          
-          // Escrever para o arquivo temporário
-          fs.writeFileSync(tempFilePath, buffer);
-          
-          // Obter informações do arquivo
-          const stats = fs.statSync(tempFilePath);
-          fileInfo = {
-            ...fileInfo,
-            size: stats.size,
-            contentType: detectedContentType
-          };
-          
-          console.log(`[${new Date().toISOString()}] Arquivo base64 processado: ${tempFilePath} (${fileInfo.size} bytes)`);
-          
-          // Verificação adicional se o arquivo é muito pequeno
-          if (fileInfo.size < 100) {
-            // Verificar se é conteúdo HTML
-            const fileContent = fs.readFileSync(tempFilePath, { encoding: 'utf8' });
-            if (fileContent.includes('<!DOCTYPE html>') || fileContent.includes('<html>')) {
-              fs.unlinkSync(tempFilePath);
-              return res.status(400).json({
-                error: 'Os dados base64 parecem ser HTML, não um arquivo válido',
-              });
-            }
-          }
-        } catch (base64Error) {
-          return res.status(400).json({
-            error: 'Erro ao processar dados base64',
-            details: base64Error.message
-          });
-        }
-      }
-      
-      // Se chegou até aqui, temos um arquivo válido para enviar ao FTP
-      console.log(`[${new Date().toISOString()}] Enviando para FTP: ${remotePath}/${fileName}`);
-      await uploadToFtp(tempFilePath, remotePath, fileName);
-      console.log(`[${new Date().toISOString()}] Arquivo enviado com sucesso`);
-      
-      // Limpar arquivo temporário
-      fs.unlinkSync(tempFilePath);
-      
-      res.status(200).json({ 
-        success: true, 
-        message: 'Arquivo enviado com sucesso',
-        details: {
-          remotePath: `${remotePath}/${fileName}`,
-          size: fileInfo.size || 0,
-          contentType: fileInfo.contentType || 'application/octet-stream',
-          source: urlFile ? 'url' : 'base64'
-        }
-      });
+      fileSize = await client.size(fileName);
     } catch (error) {
-      // Limpar arquivo temporário em caso de erro
-      try {
-        if (fs.existsSync(tempFilePath)) {
-          fs.unlinkSync(tempFilePath);
-        }
-      } catch (cleanupError) {
-        console.error(`[${new Date().toISOString()}] Erro ao limpar arquivo temporário: ${cleanupError.message}`);
-      }
-      
-      console.error(`[${new Date().toISOString()}] Erro no processamento do upload: ${error.message}`);
-      
-      // Personalizar mensagem de erro com base no tipo de erro
-      let statusCode = 500;
-      let errorMessage = 'Erro ao processar o upload';
-      
-      if (error.message.includes('HTML') || error.message.includes('página web')) {
-        statusCode = 400;
-        errorMessage = 'O URL fornecido não é um link direto para download. Use uma URL que aponte diretamente para o arquivo.';
-      } else if (error.message.includes('ENOTFOUND') || error.message.includes('ETIMEDOUT')) {
-        statusCode = 400;
-        errorMessage = 'Não foi possível acessar o URL. Verifique se o endereço está correto e acessível.';
-      } else if (error.message.includes('status code')) {
-        statusCode = 400;
-        errorMessage = 'O servidor remoto retornou um erro ao tentar baixar o arquivo.';
+      // Alguns servidores não suportam SIZE; verificar pela listagem
+      const fileList = await client.list();
+      const fileInfo = fileList.find(item => item.name === fileName);
+
+      if (!fileInfo) {
+        throw createApiError(404, `Arquivo não encontrado: ${fileName}`, 'FILE_NOT_FOUND');
       }
-      
-      res.status(statusCode).json({ 
-        error: errorMessage, 
-        details: error.message 
-      });
+      fileSize = fileInfo.size;
     }
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] Erro geral: ${error.message}`);
-    res.status(500).json({ 
-      error: 'Erro ao processar o upload', 
-      details: error.message 
+    const hasSize = Number.isFinite(fileSize) && fileSize >= 0;
+
+    // Data de modificação (MDTM), quando suportada pelo servidor
+    let lastModified = null;
+    try {
+      lastModified = await client.lastMod(fileName);
+    } catch (error) {
+      console.log(`MDTM indisponível para ${fileName}: ${error.message}`);
+    }
+
+    // Hash do arquivo (do .sha256 ou calculado pelo servidor), quando disponível
+    const digest = await getRemoteDigest(client, fileName, {
+      useSidecar: CHECKSUM_SIDECAR,
+      useServerHash: CHECKSUM_DOWNLOAD_SERVER_HASH && req.method !== 'HEAD' && !req.headers.range
     });
-  }
-});
 
-// Rota alternativa para upload direto de arquivo (multipart/form-data)
-app.post('/api/upload/direct', authenticate, upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'Nenhum arquivo enviado' });
+    // Cabeçalhos da resposta (Content-Type definido pela extensão do arquivo).
+    // O ETag só usa o hash do .sha256, disponível também nos downloads
+    // parciais: assim o If-Range da retomada confere com o do download inicial.
+    res.attachment(downloadName);
+    if (hasSize) {
+      res.setHeader('Accept-Ranges', 'bytes');
+      res.setHeader('ETag', digest && digest.source === 'sidecar' ? `"${digest.digest}"` : buildRemoteEtag(fileSize, lastModified));
+    }
+    if (digest) {
+      res.setHeader('Digest', formatDigestHeader(digest.algorithm, digest.digest));
+    }
+    if (res.locals.audit) {
+      Object.assign(res.locals.audit, {
+        size: hasSize ? fileSize : null,
+        sha256: digest && digest.algorithm === 'sha256' ? digest.digest : null,
+        mtime: lastModified ? lastModified.toISOString() : null
+      });
+    }
+    if (lastModified) {
+      res.setHeader('Last-Modified', lastModified.toUTCString());
     }
 
-    const { path: remotePath, fileName } = req.body;
-    const uploadedFile = req.file;
+    // Resolver o intervalo solicitado (Range/If-Range)
+    const range = resolveRange(req, fileSize, res.getHeader('ETag'), lastModified);
+    if (range === -1) {
+      res.status(416);
+      res.setHeader('Content-Range', `bytes */${fileSize}`);
+      res.end();
+      return true;
+    }
 
-    if (!remotePath) {
-      return res.status(400).json({ error: 'Caminho remoto não especificado' });
+    // Avisar a rota antes de enviar qualquer byte (links com limite de
+    // downloads contam só a transferência que chega ao fim do arquivo)
+    if (res.locals.beforeTransfer) {
+      await res.locals.beforeTransfer(req.method !== 'HEAD' && (!range || range.end >= fileSize - 1));
     }
 
-    // Usar nome original do arquivo se fileName não for fornecido
-    const finalFileName = fileName || uploadedFile.originalname;
+    // HEAD e downloads parciais não geram o evento file.downloaded
+    if (res.locals.audit && (range || req.method === 'HEAD')) {
+      res.locals.audit.partial = true;
+    }
+
+    const start = range ? range.start : 0;
+    const length = range ? range.end - range.start + 1 : fileSize;
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${fileSize}`);
+    }
+    if (hasSize) {
+      res.setHeader('Content-Length', length);
+    }
 
-    // Enviar arquivo para o FTP
-    await uploadToFtp(uploadedFile.path, remotePath, finalFileName);
-    console.log(`Arquivo enviado para FTP: ${remotePath}/${finalFileName}`);
+    if (req.method === 'HEAD') {
+      res.end();
+      return true;
+    }
 
-    // Limpar arquivo temporário
-    fs.unlinkSync(uploadedFile.path);
+    // O basic-ftp encerra o stream de destino mesmo em caso de erro, por isso
+    // escrevemos na resposta por um stream intermediário e só a finalizamos no
+    // sucesso. O REST posiciona o início; o fim do intervalo é aplicado aqui.
+    const maxBytes = hasSize ? length : Infinity;
+    const stopsBeforeEnd = hasSize && start + length < fileSize;
+    let written = 0;
+
+    const writer = new Writable({
+      write(chunk, encoding, callback) {
+        const remaining = maxBytes - written;
+        if (remaining <= 0) {
+          return callback();
+        }
 
-    res.status(200).json({
-      success: true,
-      message: 'Arquivo enviado com sucesso',
-      details: {
-        originalName: uploadedFile.originalname,
-        size: uploadedFile.size,
-        remotePath: `${remotePath}/${finalFileName}`
+        const part = chunk.length > remaining ? chunk.subarray(0, remaining) : chunk;
+        written += part.length;
+
+        // Intervalo completo antes do fim do arquivo: abortar a transferência FTP
+        if (written >= maxBytes) {
+          transferComplete = true;
+          res.locals.transferComplete = true;
+          if (stopsBeforeEnd) {
+            setImmediate(() => client.close());
+          }
+        }
+
+        if (res.write(part)) {
+          return callback();
+        }
+        res.once('drain', () => callback());
       }
     });
+
+    const endTransfer = metrics.startTransfer('download');
+    try {
+      await client.downloadTo(writer, fileName, start);
+    } catch (error) {
+      // Erros após o envio de todos os bytes, ou com o cliente já desconectado,
+      // vêm apenas do encerramento da conexão FTP
+      if (!transferComplete && !clientDisconnected) {
+        throw error;
+      }
+    } finally {
+      endTransfer();
+      metrics.addTransferBytes('download', server.name, written);
+    }
+
+    res.end();
+    return true;
   } catch (error) {
-    console.error('Erro no processamento do upload direto:', error);
-    res.status(500).json({
-      error: 'Erro ao processar o upload',
-      details: error.message
-    });
+    console.error('Erro no streaming FTP:', error);
+    throw error;
+  } finally {
+    res.removeListener('close', onResponseClose);
+    releaseStorage(client);
   }
-});
+}
 
-// Rota para recuperar arquivo do FTP
-app.get('/api/download', authenticate, async (req, res) => {
+// Envia um arquivo remoto na resposta por streaming. O arquivo temporário é usado
+// apenas para uma nova tentativa quando o streaming falha antes de enviar dados.
+// downloadName é o nome do arquivo no Content-Disposition.
+async function sendRemoteFile(req, res, remotePath, fileName, server, downloadName = fileName) {
   try {
-    const { path: remotePath, fileName, pathComplete } = req.query;
-
-    // Verificar se temos pathComplete OU (path E fileName)
-    if ((!remotePath || !fileName) && !pathComplete) {
-      return res.status(400).json({
-        error: 'Parâmetros incompletos. Forneça pathComplete OU ambos path e fileName'
-      });
+    await streamFromFtp(remotePath, fileName, req, res, server, downloadName);
+    return;
+  } catch (error) {
+    // Erros do cliente (arquivo inexistente, limite do link) não mudam
+    // com a tentativa via arquivo temporário
+    if (res.headersSent || (error.statusCode >= 400 && error.statusCode < 500)) {
+      throw error;
     }
+    console.error(`Falha no streaming de ${remotePath}/${fileName}, tentando via arquivo temporário: ${error.message}`);
+  }
 
-    let finalRemotePath, finalFileName;
+  // Remover cabeçalhos definidos pela tentativa anterior (o envio do arquivo
+  // temporário trata Range/If-Range por conta própria)
+  ['Content-Disposition', 'Content-Length', 'Content-Type', 'Content-Range'].forEach(header => res.removeHeader(header));
+  res.status(200);
 
-    if (pathComplete) {
-      // Usar pathComplete para extrair o caminho e o nome do arquivo
-      const lastSlashIndex = pathComplete.lastIndexOf('/');
-      
-      if (lastSlashIndex === -1) {
-        // Se não houver barra, assumimos que é apenas um nome de arquivo na raiz
-        finalRemotePath = '';
-        finalFileName = pathComplete;
-      } else {
-        // Caso contrário, separamos o caminho e o nome do arquivo
-        finalRemotePath = pathComplete.substring(0, lastSlashIndex);
-        finalFileName = pathComplete.substring(lastSlashIndex + 1);
-      }
-    } else {
-      // Usar os parâmetros individuais
-      finalRemotePath = remotePath;
-      finalFileName = fileName;
-    }
+  // Criar caminho temporário para o arquivo
+  const uniqueId = uuidv4();
+  const tempFilePath = path.join(DOWNLOAD_DIR, `${uniqueId}-${fileName}`);
 
-    // Validar fileName para evitar injeção de caminho
-    if (finalFileName.includes('/') || finalFileName.includes('\\')) {
-      return res.status(400).json({
-        error: 'Nome de arquivo inválido. Não pode conter caracteres de caminho'
-      });
+  try {
+    await downloadFromFtp(remotePath, fileName, tempFilePath, server);
+  } catch (error) {
+    if (fs.existsSync(tempFilePath)) {
+      fs.unlinkSync(tempFilePath);
     }
+    throw error;
+  }
 
-    // Criar caminho temporário para o arquivo
-    const uniqueId = uuidv4();
-    const tempFilePath = path.join(DOWNLOAD_DIR, `${uniqueId}-${finalFileName}`);
-
-    // Baixar arquivo do FTP
-    await downloadFromFtp(finalRemotePath, finalFileName, tempFilePath);
-    console.log(`Arquivo baixado do FTP: ${finalRemotePath}/${finalFileName}`);
+  // Mesmo aviso do streaming, com o intervalo que o envio do arquivo atenderá
+  if (res.locals.beforeTransfer) {
+    const size = fs.statSync(tempFilePath).size;
+    const range = resolveRange(req, size, res.getHeader('ETag'), null);
+    try {
+      await res.locals.beforeTransfer(req.method !== 'HEAD' && range !== -1 && (!range || range.end >= size - 1));
+    } catch (error) {
+      fs.unlinkSync(tempFilePath);
+      throw error;
+    }
+  }
 
-    // Enviar arquivo como resposta
-    res.download(tempFilePath, finalFileName, (err) => {
+  // Enviar arquivo como resposta
+  await new Promise((resolve) => {
+    res.download(tempFilePath, downloadName, (err) => {
       if (err) {
         console.error('Erro ao enviar arquivo:', err);
+      } else {
+        metrics.addTransferBytes('download', server.name, Number(res.getHeader('Content-Length')));
       }
 
       // Limpar arquivo temporário após envio (ou em caso de erro)
@@ -464,246 +753,2639 @@ app.get('/api/download', authenticate, async (req, res) => {
       } catch (cleanupError) {
         console.error('Erro ao limpar arquivo temporário:', cleanupError);
       }
+      resolve();
     });
-  } catch (error) {
-    console.error('Erro ao recuperar arquivo:', error);
+  });
+}
 
-    if (error.message.includes('não encontrado')) {
-      return res.status(404).json({
-        error: 'Arquivo ou diretório não encontrado',
-        details: error.message
-      });
-    }
+// Upload atômico ligado no servidor (atomicUploads do perfil) ou, se o perfil
+// não definir, em UPLOAD_ATOMIC
+function isAtomicUpload(server) {
+  return server.atomicUploads === null || server.atomicUploads === undefined ? UPLOAD_ATOMIC : server.atomicUploads;
+}
 
-    res.status(500).json({
-      error: 'Erro ao recuperar o arquivo',
-      details: error.message
-    });
+// Troca o arquivo final pela parte enviada. Nem todo servidor substitui o
+// destino no RNTO/rename (o SFTP, em geral, não substitui); nesse caso, se a
+// política permitir substituir (replace), o destino é removido e a troca,
+// repetida.
+async function renameIntoPlace(client, fromPath, toPath, replace) {
+  try {
+    await client.rename(fromPath, toPath);
+  } catch (error) {
+    if (!replace || !(await client.stat(toPath))) throw error;
+    await client.remove(toPath);
+    await client.rename(fromPath, toPath);
   }
+}
+
+// Envia um arquivo local usando uma conexão já obtida do pool, criando a
+// estrutura de diretórios remota se necessário. Com integrity ({ expected,
+// sidecar }, ver parseIntegrityOptions), calcula os checksums antes do envio
+// (conferindo o esperado), confere o arquivo gravado com o hash do servidor e
+// grava o .sha256. conflict define o que fazer se o arquivo já existir (ver
+// lib/upload-conflicts). Retorna { fileName, checksum, previousVersion }:
+// o nome gravado (diferente no modo rename), os checksums ({ sha256, md5,
+// serverVerified, sidecar } ou null) e o id da versão com a cópia anterior.
+//
+// Com upload atômico (padrão), o arquivo é gravado como .<nome>.part-<uuid> e
+// só é renomeado para o nome final depois de conferidos o tamanho e o hash,
+// para que quem acompanha o diretório nunca veja um arquivo pela metade. Se
+// a transferência falhar, a parte é removida.
+async function uploadFileTo(client, localFilePath, remotePath, fileName, integrity = null, conflict = 'overwrite') {
+  const checksums = integrity ? await checksumFile(localFilePath, integrity.expected) : null;
+  const localSize = fs.statSync(localFilePath).size;
+  const atomic = isAtomicUpload(client.server);
+
+  // Navegar/criar diretório remoto (criar estrutura de diretórios recursivamente)
+  const dirs = remotePath.split('/').filter(Boolean);
+  let currentPath = '';
+
+  for (const dir of dirs) {
+    currentPath += `/${dir}`;
+    try {
+      await client.ensureDir(currentPath);
+    } catch (error) {
+      console.error(`Erro ao criar diretório ${currentPath}:`, error);
+      throw error;
+    }
+  }
+
+  // Arquivo já existente: substituir, recusar, renomear ou guardar a versão.
+  // No upload atômico, a política é aplicada de novo logo antes da troca (um
+  // arquivo pode ter sido criado durante a transferência), e a cópia anterior
+  // só vai para .versions/ depois que a nova estiver conferida.
+  const deferVersion = atomic && conflict === 'version';
+  let resolved = deferVersion
+    ? { fileName, previousVersion: null }
+    : await resolveUploadConflict(client, remotePath, fileName, conflict);
+
+  // Upload do arquivo
+  let remoteFilePath = path.posix.join(remotePath, resolved.fileName);
+  const uploadPath = atomic ? path.posix.join(remotePath, `.${resolved.fileName}.part-${uuidv4()}`) : remoteFilePath;
+  const endTransfer = metrics.startTransfer('upload');
+  let checksum = null;
+  try {
+    await client.uploadFrom(localFilePath, uploadPath);
+
+    if (atomic) {
+      const uploaded = await client.stat(uploadPath);
+      if (!uploaded || uploaded.size !== localSize) {
+        throw createApiError(502, `O arquivo gravado no servidor tem ${uploaded ? uploaded.size : 0} bytes, mas foram enviados ${localSize}`);
+      }
+    }
+
+    if (integrity) {
+      const serverVerified = CHECKSUM_SERVER_HASH ? await verifyRemoteFile(client, uploadPath, checksums) : null;
+      checksum = { ...checksums, serverVerified, sidecar: integrity.sidecar };
+    }
+
+    if (atomic) {
+      resolved = await resolveUploadConflict(client, remotePath, fileName, conflict);
+      remoteFilePath = path.posix.join(remotePath, resolved.fileName);
+      await renameIntoPlace(client, uploadPath, remoteFilePath, conflict === 'overwrite' || conflict === 'version');
+    }
+  } catch (error) {
+    if (atomic) {
+      await client.remove(uploadPath).catch(() => {});
+    }
+    // Modo version: devolver a cópia anterior ao lugar
+    if (resolved.previousVersion) {
+      if (!atomic) {
+        await client.remove(remoteFilePath).catch(() => {});
+      }
+      await moveVersionBack(client, remotePath, resolved.fileName, resolved.previousVersion).catch((restoreError) => {
+        console.error(`Erro ao restaurar a versão ${resolved.previousVersion} de ${remoteFilePath}:`, restoreError);
+      });
+    }
+    throw error;
+  } finally {
+    endTransfer();
+  }
+  metrics.addTransferBytes('upload', client.server.name, localSize);
+
+  if (integrity && integrity.sidecar) {
+    await writeSidecar(client, remoteFilePath, checksums.sha256);
+  }
+
+  return { fileName: resolved.fileName, checksum, previousVersion: resolved.previousVersion };
+}
+
+// Função para enviar arquivo para servidor FTP
+async function uploadToFtp(localFilePath, remotePath, fileName, server, integrity = null, conflict = 'overwrite') {
+  const client = await acquireStorage(server);
+
+  try {
+    return await uploadFileTo(client, localFilePath, remotePath, fileName, integrity, conflict);
+  } catch (error) {
+    console.error('Erro na transferência FTP:', error);
+    throw error;
+  } finally {
+    releaseStorage(client);
+  }
+}
+
+// Opções de integridade de um upload: checksum esperado ("sha256=<hex>" ou
+// "md5=<hex>") e gravação do .sha256 (sidecar, padrão CHECKSUM_SIDECAR)
+function parseIntegrityOptions({ checksum, sidecar }) {
+  return {
+    expected: parseChecksum(checksum),
+    sidecar: sidecar === undefined || sidecar === null || sidecar === ''
+      ? CHECKSUM_SIDECAR
+      : sidecar === true || sidecar === 'true'
+  };
+}
+
+// Obtém o arquivo de um item de upload (urlFile ou base64File) e o grava em
+// tempFilePath. Erros de validação têm statusCode 400 e, às vezes, details.
+async function prepareUploadSource({ urlFile, base64File }, tempFilePath) {
+  if (urlFile) {
+    // Método 1: URL - baixar com as proteções do urlFetcher (SSRF, limites, HTML)
+    console.log(`[${new Date().toISOString()}] Iniciando download de: ${urlFile}`);
+    const fileInfo = await urlFetcher.download(urlFile, tempFilePath);
+    console.log(`[${new Date().toISOString()}] Arquivo baixado: ${tempFilePath} (${fileInfo.size} bytes)`);
+
+    return { ...fileInfo, source: 'url' };
+  }
+
+  // Método 2: Base64
+  let buffer;
+  let detectedContentType = null;
+  try {
+    // Verificar se o base64 tem o prefixo de data URI
+    let base64Data = base64File;
+
+    // Se tiver o formato data:mimetype;base64,data
+    if (base64File.includes(';base64,')) {
+      const parts = base64File.split(';base64,');
+      if (parts.length >= 2) {
+        detectedContentType = parts[0].replace('data:', '');
+        base64Data = parts[1];
+      }
+    }
+
+    // Decodificar o base64
+    buffer = Buffer.from(base64Data, 'base64');
+  } catch (base64Error) {
+    const error = createApiError(400, 'Erro ao processar dados base64');
+    error.details = base64Error.message;
+    throw error;
+  }
+
+  // Verificar se o buffer parece válido
+  if (buffer.length === 0) {
+    throw createApiError(400, 'Dados base64 inválidos ou vazios');
+  }
+
+  // Verificação adicional se o arquivo é muito pequeno: verificar se é conteúdo HTML
+  if (buffer.length < 100) {
+    const fileContent = buffer.toString('utf8');
+    if (fileContent.includes('<!DOCTYPE html>') || fileContent.includes('<html>')) {
+      throw createApiError(400, 'Os dados base64 parecem ser HTML, não um arquivo válido');
+    }
+  }
+
+  // Escrever para o arquivo temporário
+  fs.writeFileSync(tempFilePath, buffer);
+  console.log(`[${new Date().toISOString()}] Arquivo base64 processado: ${tempFilePath} (${buffer.length} bytes)`);
+
+  return { size: buffer.length, contentType: detectedContentType, source: 'base64' };
+}
+
+// Valida o conteúdo do arquivo local antes do envio ao servidor. As regras
+// usam o caminho dentro da raiz do servidor, independente da chave de API.
+function validateUploadContent(localFilePath, server, rootDir, target) {
+  return contentValidator.validate(localFilePath, {
+    server: server.name,
+    remotePath: path.posix.join('/', rootDir || '', target.path),
+    fileName: target.name
+  });
+}
+
+// Converte um erro de upload no resultado de um item do lote (status HTTP,
+// code, error e details). Os erros de validação e do download da URL
+// (urlFetcher) já trazem statusCode; os demais viram 500, sem detalhes.
+function describeUploadError(error, language) {
+  const failure = error.statusCode ? error : createApiError(500, 'Erro ao processar o upload');
+  return { statusCode: failure.statusCode, ...buildErrorBody(failure, language), quarantineId: failure.quarantineId };
+}
+
+// Executa um job de upload via URL: baixa o arquivo e o envia ao FTP
+async function runTransferJob(job, update) {
+  const { server: serverName, rootDir, urlFile, remotePath, fileName, checksum, sidecar, conflict } = job.payload;
+  const server = ftpServers.get(serverName);
+
+  if (!server) {
+    throw createApiError(400, `Servidor desconhecido: ${serverName}`, 'UNKNOWN_SERVER');
+  }
+
+  const target = resolveRemoteFile(getRemoteRoot(server, rootDir), { path: remotePath, fileName });
+  const tempFilePath = path.join(__dirname, 'temp', `job-${job.id}`);
+  fs.mkdirSync(path.dirname(tempFilePath), { recursive: true });
+
+  // Cada tentativa do job é registrada na auditoria
+  const startedAt = Date.now();
+  const audit = {
+    operation: 'upload',
+    keyId: job.keyId,
+    server: server.name,
+    rootDir,
+    path: target.path,
+    source: 'url',
+    details: { url: redactUrl(urlFile), jobId: job.id, attempt: job.attempts }
+  };
+
+  try {
+    update({ phase: 'download' });
+    console.log(`[${new Date().toISOString()}] Job ${job.id}: iniciando download de ${urlFile}`);
+
+    // Os erros do urlFetcher indicam se o download pode ser repetido (retryable)
+    const fileInfo = await urlFetcher.download(urlFile, tempFilePath, {
+      onProgress: (bytesTransferred, totalBytes) => update({ bytesTransferred, totalBytes })
+    });
+
+    update({ phase: 'validate', totalBytes: fileInfo.size });
+    const content = await validateUploadContent(tempFilePath, server, rootDir, target);
+
+    update({ phase: 'upload' });
+    console.log(`[${new Date().toISOString()}] Job ${job.id}: enviando para FTP: ${target.path}`);
+    const stored = await uploadToFtp(tempFilePath, target.fullDir, target.name, server,
+      parseIntegrityOptions({ checksum, sidecar }), parseConflictPolicy(conflict));
+    const storedPath = path.posix.join(target.dir, stored.fileName);
+    console.log(`[${new Date().toISOString()}] Job ${job.id}: arquivo enviado com sucesso`);
+
+    recordAudit({
+      ...audit,
+      path: storedPath,
+      size: fileInfo.size,
+      sha256: stored.checksum.sha256,
+      outcome: 'success',
+      durationMs: Date.now() - startedAt
+    });
+
+    return {
+      remotePath: storedPath,
+      size: fileInfo.size,
+      contentType: content.contentType,
+      declaredContentType: fileInfo.contentType,
+      checksum: stored.checksum,
+      previousVersion: stored.previousVersion,
+      source: 'url'
+    };
+  } catch (error) {
+    recordAudit({
+      ...audit,
+      outcome: 'failure',
+      statusCode: error.statusCode || 500,
+      error: error.message,
+      durationMs: Date.now() - startedAt
+    });
+    throw error;
+  } finally {
+    fs.rmSync(tempFilePath, { force: true });
+  }
+}
+
+// Rota principal para processar o upload
+app.post('/api/upload', audited('upload'), authenticate, authorize('upload'), validateRequest('uploadFile'), selectServer, async (req, res) => {
+  try {
+    const { urlFile, base64File, path: remotePath, fileName } = req.body;
+    
+    // Verificar se pelo menos um dos métodos de upload foi fornecido
+    if ((!urlFile && !base64File) || !remotePath || !fileName) {
+      throw createApiError(400, 'Parâmetros incompletos. É necessário fornecer urlFile ou base64File, além de path e fileName');
+    }
+    
+    // Validar caminho e nome do arquivo para evitar injeção de caminho
+    const target = resolveRemoteFile(req.remoteRoot, { path: remotePath, fileName });
+    res.locals.audit.path = target.path;
+    res.locals.audit.source = urlFile ? 'url' : 'base64';
+    if (urlFile) {
+      res.locals.audit.details = { url: redactUrl(urlFile) };
+    }
+    authorizePath(req, target.path);
+
+    // Checksum esperado, gravação do .sha256 e política para arquivo existente
+    const integrityOptions = parseIntegrityOptions(req.body);
+    const conflict = parseConflictPolicy(req.body.conflict);
+
+    // Modo assíncrono: a transferência entra na fila e a resposta é imediata
+    const { callbackUrl } = req.body;
+    const runAsync = req.body.async === true || req.body.async === 'true';
+
+    if (callbackUrl && !runAsync) {
+      throw createApiError(400, 'callbackUrl só pode ser usado no modo assíncrono (async: true)');
+    }
+
+    if (runAsync) {
+      if (!urlFile) {
+        throw createApiError(400, 'O modo assíncrono (async) está disponível apenas para urlFile');
+      }
+
+      // Recusar já na criação os destinos bloqueados (o IP é conferido no download)
+      urlFetcher.checkUrl(urlFile, 'urlFile');
+      if (callbackUrl) {
+        urlFetcher.checkUrl(callbackUrl, 'callbackUrl');
+      }
+
+      const job = await transferJobs.create({
+        type: 'upload-url',
+        payload: {
+          server: req.ftpServer.name,
+          rootDir: req.rootDir,
+          urlFile,
+          remotePath: target.dir,
+          fileName: target.name,
+          checksum: req.body.checksum || null,
+          sidecar: integrityOptions.sidecar,
+          conflict
+        },
+        keyId: req.apiKey.id,
+        callbackUrl
+      });
+      console.log(`[${new Date().toISOString()}] Job de upload criado: ${job.id} (${target.path})`);
+
+      // O envio em si é registrado pelo job; aqui fica apenas o agendamento
+      res.locals.audit.operation = 'job.create';
+      res.locals.audit.details.jobId = job.id;
+
+      return res.status(202).json({
+        success: true,
+        message: 'Transferência agendada',
+        statusUrl: buildPublicUrl(req, `/api/jobs/${job.id}`),
+        ...formatJob(job)
+      });
+    }
+    
+    // Criar caminho temporário para o arquivo
+    const tempFilePath = path.join(__dirname, 'temp', `temp-${uuidv4()}`);
+    
+    try {
+      // Processo de obtenção do arquivo (URL ou base64)
+      const fileInfo = await prepareUploadSource({ urlFile, base64File }, tempFilePath);
+
+      // Tipo real do arquivo, regras do diretório e verificação de malware
+      const content = await validateUploadContent(tempFilePath, req.ftpServer, req.rootDir, target);
+      
+      // Se chegou até aqui, temos um arquivo válido para enviar ao FTP
+      console.log(`[${new Date().toISOString()}] Enviando para FTP: ${target.path}`);
+      const stored = await uploadToFtp(tempFilePath, target.fullDir, target.name, req.ftpServer, integrityOptions, conflict);
+      const storedPath = path.posix.join(target.dir, stored.fileName);
+      console.log(`[${new Date().toISOString()}] Arquivo enviado com sucesso: ${storedPath}`);
+      
+      // Limpar arquivo temporário
+      fs.unlinkSync(tempFilePath);
+
+      res.locals.audit.path = storedPath;
+      res.locals.audit.size = fileInfo.size;
+      res.locals.audit.sha256 = stored.checksum.sha256;
+      
+      res.status(200).json({ 
+        success: true, 
+        message: 'Arquivo enviado com sucesso',
+        details: {
+          remotePath: storedPath,
+          size: fileInfo.size || 0,
+          contentType: content.contentType,
+          declaredContentType: fileInfo.contentType,
+          checksum: stored.checksum,
+          previousVersion: stored.previousVersion,
+          source: fileInfo.source
+        }
+      });
+    } catch (error) {
+      // Limpar arquivo temporário em caso de erro
+      try {
+        if (fs.existsSync(tempFilePath)) {
+          fs.unlinkSync(tempFilePath);
+        }
+      } catch (cleanupError) {
+        console.error(`[${new Date().toISOString()}] Erro ao limpar arquivo temporário: ${cleanupError.message}`);
+      }
+      
+      console.error(`[${new Date().toISOString()}] Erro no processamento do upload: ${error.message}`);
+      
+      sendOperationError(res, error, 'Erro ao processar o upload');
+    }
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao processar o upload');
+  }
+});
+
+// Rota para upload em lote: vários arquivos (URL ou base64) enviados com uma
+// única conexão FTP. Retorna o resultado de cada item, na ordem recebida.
+app.post('/api/upload/batch', audited('upload.batch'), authenticate, authorize('upload'), validateRequest('uploadBatch'), selectServer, async (req, res) => {
+  const { items } = req.body;
+
+  if (items.length > BATCH_UPLOAD_MAX_ITEMS) {
+    return sendError(res, createApiError(400, `O upload em lote é limitado a ${BATCH_UPLOAD_MAX_ITEMS} itens`));
+  }
+
+  const results = [];
+  let client = null;
+
+  try {
+    for (const [index, item] of items.entries()) {
+      const tempFilePath = path.join(__dirname, 'temp', `temp-${uuidv4()}`);
+      const fileName = item && item.fileName;
+
+      // Cada item é registrado na auditoria, além do lote (upload.batch)
+      const startedAt = Date.now();
+      const audit = {
+        operation: 'upload',
+        keyId: req.apiKey.id,
+        clientIp: req.ip,
+        server: req.ftpServer.name,
+        rootDir: req.rootDir,
+        source: item && (item.urlFile ? 'url' : 'base64'),
+        details: { batchIndex: index, url: item && item.urlFile ? redactUrl(item.urlFile) : undefined }
+      };
+
+      try {
+        if (!item || (!item.urlFile && !item.base64File) || !item.path || !item.fileName) {
+          throw createApiError(400, 'Parâmetros incompletos. É necessário fornecer urlFile ou base64File, além de path e fileName');
+        }
+
+        // Validar caminho e nome do arquivo para evitar injeção de caminho
+        const target = resolveRemoteFile(req.remoteRoot, { path: item.path, fileName: item.fileName });
+        audit.path = target.path;
+        authorizePath(req, target.path);
+        const integrityOptions = parseIntegrityOptions(item);
+        const conflict = parseConflictPolicy(item.conflict !== undefined ? item.conflict : req.body.conflict);
+
+        const fileInfo = await prepareUploadSource(item, tempFilePath);
+        const content = await validateUploadContent(tempFilePath, req.ftpServer, req.rootDir, target);
+
+        // A conexão é obtida no primeiro envio e reaberta se cair durante o lote
+        if (!client || client.closed) {
+          releaseStorage(client);
+          client = await acquireStorage(req.ftpServer);
+        }
+
+        console.log(`[${new Date().toISOString()}] Enviando para FTP (lote ${index + 1}/${items.length}): ${target.path}`);
+        const stored = await uploadFileTo(client, tempFilePath, target.fullDir, target.name, integrityOptions, conflict);
+        const storedPath = path.posix.join(target.dir, stored.fileName);
+
+        recordAudit({
+          ...audit,
+          path: storedPath,
+          size: fileInfo.size,
+          sha256: stored.checksum.sha256,
+          outcome: 'success',
+          statusCode: 200,
+          durationMs: Date.now() - startedAt
+        });
+
+        results.push({
+          index,
+          success: true,
+          fileName,
+          remotePath: storedPath,
+          size: fileInfo.size || 0,
+          contentType: content.contentType,
+          declaredContentType: fileInfo.contentType,
+          checksum: stored.checksum,
+          previousVersion: stored.previousVersion,
+          source: fileInfo.source
+        });
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] Erro no item ${index} do upload em lote: ${error.message}`);
+        const result = describeUploadError(error, resolveLanguage(req));
+        results.push({ index, success: false, fileName, ...result });
+
+        recordAudit({
+          ...audit,
+          outcome: 'failure',
+          statusCode: result.statusCode,
+          error: result.error,
+          durationMs: Date.now() - startedAt
+        });
+      } finally {
+        fs.rmSync(tempFilePath, { force: true });
+      }
+    }
+  } finally {
+    releaseStorage(client);
+  }
+
+  const failed = results.filter(result => !result.success).length;
+  res.locals.audit.details = { total: results.length, failed };
+
+  // 207 (Multi-Status) quando algum item falhou
+  res.status(failed > 0 ? 207 : 200).json({
+    success: failed === 0,
+    message: failed === 0 ? 'Arquivos enviados com sucesso' : `${failed} de ${results.length} arquivos não foram enviados`,
+    total: results.length,
+    succeeded: results.length - failed,
+    failed,
+    results
+  });
+});
+
+// Rota alternativa para upload direto de arquivo (multipart/form-data)
+app.post('/api/upload/direct', audited('upload'), authenticate, authorize('upload'), upload.single('file'), validateRequest('uploadMultipart'), selectServer, async (req, res) => {
+  try {
+    const { path: remotePath, fileName } = req.body;
+    const uploadedFile = req.file;
+
+    if (!remotePath) {
+      fs.rmSync(uploadedFile.path, { force: true });
+      throw createApiError(400, 'Caminho remoto não especificado');
+    }
+
+    // Usar nome original do arquivo se fileName não for fornecido
+    const finalFileName = fileName || uploadedFile.originalname;
+
+    let target;
+    let content;
+    let stored;
+    let storedPath;
+    try {
+      // Validar caminho e nome do arquivo para evitar injeção de caminho
+      target = resolveRemoteFile(req.remoteRoot, { path: remotePath, fileName: finalFileName });
+      Object.assign(res.locals.audit, {
+        path: target.path,
+        size: uploadedFile.size,
+        source: 'multipart',
+        details: { originalName: uploadedFile.originalname }
+      });
+      authorizePath(req, target.path);
+      const integrityOptions = parseIntegrityOptions(req.body);
+      const conflict = parseConflictPolicy(req.body.conflict);
+
+      // Tipo real do arquivo, regras do diretório e verificação de malware
+      content = await validateUploadContent(uploadedFile.path, req.ftpServer, req.rootDir, target);
+
+      // Enviar arquivo para o FTP
+      stored = await uploadToFtp(uploadedFile.path, target.fullDir, target.name, req.ftpServer, integrityOptions, conflict);
+      storedPath = path.posix.join(target.dir, stored.fileName);
+      res.locals.audit.path = storedPath;
+      res.locals.audit.sha256 = stored.checksum.sha256;
+      console.log(`Arquivo enviado para FTP: ${storedPath}`);
+    } finally {
+      // Limpar arquivo temporário (se foi para a quarentena, já não existe)
+      fs.rmSync(uploadedFile.path, { force: true });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Arquivo enviado com sucesso',
+      details: {
+        originalName: uploadedFile.originalname,
+        size: uploadedFile.size,
+        remotePath: storedPath,
+        contentType: content.contentType,
+        declaredContentType: uploadedFile.mimetype,
+        checksum: stored.checksum,
+        previousVersion: stored.previousVersion
+      }
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao processar o upload');
+  }
+});
+
+// Formata os dados públicos de uma sessão de upload em partes
+function formatUploadSession(session) {
+  return {
+    uploadId: session.id,
+    server: session.server,
+    path: session.remotePath,
+    fileName: session.fileName,
+    size: session.size,
+    offset: session.offset,
+    createdAt: new Date(session.createdAt).toISOString(),
+    updatedAt: new Date(session.updatedAt).toISOString()
+  };
+}
+
+// Responde com um erro que tem statusCode, no formato { code, error, details }
+// (ver lib/api-errors) e no idioma da requisição. offset (uploads em partes) e
+// quarantineId (malware) também vão na resposta.
+function sendError(res, error) {
+  const body = buildErrorBody(error, resolveLanguage(res.req));
+  if (error.offset !== undefined) {
+    body.offset = error.offset;
+  }
+  if (error.quarantineId !== undefined) {
+    body.quarantineId = error.quarantineId;
+  }
+  res.status(error.statusCode).json(body);
+}
+
+// Responde com o erro de uma operação (sessões de upload, arquivos remotos).
+// Erros com statusCode são erros do cliente; os demais viram 500, com a
+// mensagem padrão da operação (os detalhes do erro vão apenas para o log).
+function sendOperationError(res, error, defaultMessage) {
+  if (error.statusCode) {
+    return sendError(res, error);
+  }
+
+  console.error(`${defaultMessage}:`, error);
+  sendError(res, createApiError(500, defaultMessage));
+}
+
+// Rota para iniciar uma sessão de upload em partes
+app.post('/api/uploads', authenticate, authorize('upload'), validateRequest('createUploadSession'), selectServer, async (req, res) => {
+  try {
+    const { path: remotePath, fileName, size, checksum, sidecar, conflict } = req.body;
+
+    if (!remotePath || !fileName) {
+      throw createApiError(400, 'Parâmetros incompletos. É necessário fornecer path e fileName');
+    }
+
+    // Validar caminho e nome do arquivo para evitar injeção de caminho
+    const target = resolveRemoteFile(req.remoteRoot, { path: remotePath, fileName });
+    authorizePath(req, target.path);
+
+    const session = await uploadSessions.create({
+      keyId: req.apiKey.id,
+      server: req.ftpServer.name,
+      rootDir: req.rootDir,
+      remotePath: target.dir,
+      fileName: target.name,
+      size,
+      checksum,
+      sidecar: parseIntegrityOptions({ sidecar }).sidecar,
+      conflict: parseConflictPolicy(conflict)
+    });
+    console.log(`[${new Date().toISOString()}] Sessão de upload criada: ${session.id} (${target.path})`);
+
+    res.status(201).json({
+      success: true,
+      ...formatUploadSession(session)
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao criar sessão de upload');
+  }
+});
+
+// Sessão de upload da rota (:uploadId). Cada chave acessa apenas as próprias
+// sessões (chaves com admin acessam todas).
+async function getOwnUploadSession(req) {
+  const session = await uploadSessions.get(req.params.uploadId);
+
+  if (!session || (session.keyId !== req.apiKey.id && !req.apiKey.operations.includes('admin'))) {
+    throw createApiError(404, 'Sessão de upload não encontrada ou expirada', 'UPLOAD_SESSION_NOT_FOUND');
+  }
+  return session;
+}
+
+// Rota para consultar o offset já recebido de uma sessão de upload
+app.get('/api/uploads/:uploadId', authenticate, authorize('upload'), validateRequest('getUploadSession'), async (req, res) => {
+  try {
+    const session = await getOwnUploadSession(req);
+
+    res.status(200).json({
+      success: true,
+      ...formatUploadSession(session)
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao consultar sessão de upload');
+  }
+});
+
+// Rota para enviar um chunk (corpo binário com cabeçalho Content-Range)
+app.put('/api/uploads/:uploadId', authenticate, authorize('upload'), validateRequest('uploadChunk'), async (req, res) => {
+  try {
+    await getOwnUploadSession(req);
+    const session = await uploadSessions.appendChunk(req.params.uploadId, req, {
+      contentRange: req.headers['content-range'],
+      checksum: req.headers['x-chunk-checksum']
+    });
+
+    res.status(200).json({
+      success: true,
+      ...formatUploadSession(session)
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao receber chunk');
+  }
+});
+
+// Rota para finalizar a sessão e enviar o arquivo completo ao FTP
+app.post('/api/uploads/:uploadId/commit', audited('upload'), authenticate, authorize('upload'), validateRequest('commitUploadSession'), async (req, res) => {
+  try {
+    res.locals.audit.source = 'chunked';
+    res.locals.audit.details = { uploadId: req.params.uploadId };
+
+    await getOwnUploadSession(req);
+    const session = await uploadSessions.verify(req.params.uploadId);
+    const localFilePath = uploadSessions.dataPath(session.id);
+    const server = ftpServers.get(session.server);
+
+    if (!server) {
+      throw createApiError(400, `Servidor desconhecido: ${session.server}`, 'UNKNOWN_SERVER');
+    }
+
+    const target = resolveRemoteFile(getRemoteRoot(server, session.rootDir), {
+      path: session.remotePath,
+      fileName: session.fileName
+    });
+    Object.assign(res.locals.audit, { server: server.name, rootDir: session.rootDir, path: target.path, size: session.offset });
+
+    // Tipo real do arquivo, regras do diretório e verificação de malware. Um
+    // arquivo recusado não tem como ser corrigido: a sessão é descartada.
+    let content;
+    try {
+      content = await validateUploadContent(localFilePath, server, session.rootDir, target);
+    } catch (error) {
+      if (error.statusCode === 415 || error.statusCode === 422) {
+        await uploadSessions.delete(session.id);
+      }
+      throw error;
+    }
+
+    console.log(`[${new Date().toISOString()}] Enviando para FTP: ${target.path}`);
+    // O checksum esperado da sessão já foi conferido em verify(). A política
+    // para arquivo existente pode ser trocada no commit (ex.: após um 409).
+    const stored = await uploadToFtp(localFilePath, target.fullDir, target.name, server, {
+      expected: null,
+      sidecar: session.sidecar === undefined ? CHECKSUM_SIDECAR : session.sidecar
+    }, parseConflictPolicy(req.body && req.body.conflict !== undefined ? req.body.conflict : session.conflict));
+    const storedPath = path.posix.join(target.dir, stored.fileName);
+    res.locals.audit.path = storedPath;
+    res.locals.audit.sha256 = stored.checksum.sha256;
+    console.log(`[${new Date().toISOString()}] Arquivo enviado com sucesso: ${storedPath}`);
+
+    await uploadSessions.delete(session.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Arquivo enviado com sucesso',
+      details: {
+        remotePath: storedPath,
+        size: session.offset,
+        contentType: content.contentType,
+        checksum: stored.checksum,
+        previousVersion: stored.previousVersion,
+        source: 'chunked'
+      }
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao processar o upload');
+  }
+});
+
+// Rota para cancelar uma sessão de upload
+app.delete('/api/uploads/:uploadId', authenticate, authorize('upload'), validateRequest('cancelUploadSession'), async (req, res) => {
+  try {
+    await getOwnUploadSession(req);
+    if (!(await uploadSessions.delete(req.params.uploadId))) {
+      throw createApiError(404, 'Sessão de upload não encontrada ou expirada', 'UPLOAD_SESSION_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessão de upload cancelada'
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao cancelar sessão de upload');
+  }
+});
+
+// Rota para consultar o estado de um job de transferência. Cada chave vê
+// apenas os próprios jobs (chaves com admin veem todos).
+app.get('/api/jobs/:jobId', authenticate, authorize('upload'), validateRequest('getJob'), async (req, res) => {
+  try {
+    const job = await transferJobs.get(req.params.jobId);
+
+    if (!job || (job.keyId !== req.apiKey.id && !req.apiKey.operations.includes('admin'))) {
+      throw createApiError(404, 'Job não encontrado ou expirado', 'JOB_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      ...formatJob(job)
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao consultar job');
+  }
+});
+
+// Rota para recuperar arquivo do FTP
+app.get('/api/download', audited('download'), authenticate, authorize('download'), validateRequest('downloadFile'), selectServer, async (req, res) => {
+  try {
+    const { path: remotePath, fileName, pathComplete } = req.query;
+
+    // Verificar se temos pathComplete OU (path E fileName)
+    if ((!remotePath || !fileName) && !pathComplete) {
+      throw createApiError(400, 'Parâmetros incompletos. Forneça pathComplete OU ambos path e fileName');
+    }
+
+    // Validar caminho e nome do arquivo para evitar injeção de caminho
+    const target = resolveRemoteFile(req.remoteRoot, req.query);
+    res.locals.audit.path = target.path;
+    authorizePath(req, target.path);
+
+    // Transmitir arquivo do FTP para a resposta
+    await sendRemoteFile(req, res, target.fullDir, target.name, req.ftpServer);
+    console.log(`Arquivo baixado do FTP: ${target.path}`);
+  } catch (error) {
+    // Se a transferência já começou, apenas interromper a conexão
+    if (res.headersSent) {
+      console.error('Erro ao recuperar arquivo:', error);
+      return res.destroy(error);
+    }
+
+    sendOperationError(res, error, 'Erro ao recuperar o arquivo');
+  }
+});
+
+// Rota para baixar vários arquivos (files) ou um diretório inteiro (path) em um
+// único ZIP ou tar.gz. O arquivo é gerado em streaming, com uma única conexão.
+app.get('/api/download/archive', audited('download.archive'), authenticate, authorize('download'), validateRequest('downloadArchive'), selectServer, async (req, res) => {
+  const { path: remotePath, files, format = 'zip', name } = req.query;
+  let client = null;
+
+  try {
+    const archiveFormat = ARCHIVE_FORMATS[format];
+    if (!archiveFormat) {
+      throw createApiError(400, `Formato inválido: ${format}. Use ${Object.keys(ARCHIVE_FORMATS).join(' ou ')}`);
+    }
+    if ((remotePath === undefined) === (files === undefined)) {
+      throw createApiError(400, 'Parâmetros incompletos. Forneça path (diretório) OU files (lista de arquivos)');
+    }
+    if (name !== undefined) {
+      validateFileName(name, 'name');
+    }
+
+    let entries;
+    let baseName = 'arquivos';
+
+    if (remotePath !== undefined) {
+      const dir = resolveRemoteDir(req.remoteRoot, remotePath);
+      res.locals.audit.path = dir.path;
+      authorizePath(req, dir.path);
+
+      client = await acquireStorage(req.ftpServer);
+      const entry = await client.stat(dir.fullPath);
+      if (!entry || entry.type !== FileType.Directory) {
+        throw createApiError(404, `Diretório não encontrado: ${dir.path}`, 'DIRECTORY_NOT_FOUND');
+      }
+
+      entries = await listFilesRecursive(client, dir.fullPath, ARCHIVE_MAX_FILES);
+      baseName = path.posix.basename(dir.path) || baseName;
+    } else {
+      const list = Array.isArray(files) ? files : [files];
+      if (list.length > ARCHIVE_MAX_FILES) {
+        throw createApiError(413, `O download compactado é limitado a ${ARCHIVE_MAX_FILES} arquivos`);
+      }
+
+      const targets = list.map(file => resolveRemoteFile(req.remoteRoot, { pathComplete: file }, 'files'));
+      authorizePath(req, ...targets.map(target => target.path));
+
+      // Conferir todos os arquivos antes de iniciar a resposta
+      client = await acquireStorage(req.ftpServer);
+      entries = [];
+      for (const target of targets) {
+        const entry = await client.stat(target.fullPath);
+        if (!entry || entry.type !== FileType.File) {
+          throw createApiError(404, `Arquivo não encontrado: ${target.path}`, 'FILE_NOT_FOUND');
+        }
+        // O caminho completo (sem a barra inicial) evita nomes repetidos no pacote
+        entries.push({ fullPath: target.fullPath, name: target.path.slice(1), size: entry.size, modifiedAt: entry.modifiedAt });
+      }
+    }
+
+    console.log(`[${new Date().toISOString()}] Gerando ${format} com ${entries.length} arquivos`);
+    res.locals.audit.size = entries.reduce((total, entry) => total + (entry.size || 0), 0);
+    res.locals.audit.details = {
+      format,
+      fileCount: entries.length,
+      files: remotePath === undefined ? entries.map(entry => `/${entry.name}`) : undefined
+    };
+    res.attachment(`${name || baseName}.${archiveFormat.extension}`);
+    res.type(archiveFormat.contentType);
+
+    const endTransfer = metrics.startTransfer('download');
+    try {
+      const archiveSize = await writeArchive(client, entries, format, res);
+      metrics.addTransferBytes('download', req.ftpServer.name, archiveSize);
+    } finally {
+      endTransfer();
+    }
+  } catch (error) {
+    // Com a resposta já iniciada, só resta interromper a transferência
+    if (res.headersSent) {
+      console.error(`[${new Date().toISOString()}] Erro ao gerar arquivo compactado: ${error.message}`);
+      res.destroy();
+      return;
+    }
+    sendOperationError(res, error, 'Erro ao gerar arquivo compactado');
+  } finally {
+    releaseStorage(client);
+  }
+});
+
+// Monta a URL pública de um caminho da API. Sem PUBLIC_BASE_URL, usa o host
+// da requisição com HTTPS (para evitar problemas de mixed content).
+function buildPublicUrl(req, pathname) {
+  if (PUBLIC_BASE_URL) {
+    return `${PUBLIC_BASE_URL}${pathname}`;
+  }
+  return `https://${req.get('host')}${pathname}`;
+}
+
+// Rota para criar um link de download temporário
+app.post('/api/create-temp-link', audited('link.create'), authenticate, authorize('link'), validateRequest('createTempLink'), selectServer, async (req, res) => {
+  try {
+    const { path: remotePath, fileName, pathComplete, expirationMinutes, maxDownloads } = req.body;
+    
+    // Verificar se temos pathComplete OU (path E fileName)
+    if ((!remotePath || !fileName) && !pathComplete) {
+      throw createApiError(400, 'Parâmetros incompletos. Forneça pathComplete OU ambos path e fileName');
+    }
+
+    // Validar caminho e nome do arquivo para evitar injeção de caminho
+    const target = resolveRemoteFile(req.remoteRoot, req.body);
+    res.locals.audit.path = target.path;
+    authorizePath(req, target.path);
+
+    // O padrão vem de TEMP_LINK_MODE, que não passa pela validação do corpo
+    const mode = req.body.mode || DEFAULT_TEMP_LINK_MODE;
+    if (!['stored', 'signed'].includes(mode)) {
+      throw createApiError(400, 'mode deve ser stored ou signed');
+    }
+
+    // Opções exclusivas dos links assinados
+    const allowedIp = normalizeAllowedIps(req.body.allowedIp);
+    const downloadFileName = req.body.downloadFileName
+      ? validateFileName(req.body.downloadFileName, 'downloadFileName')
+      : undefined;
+
+    if (mode === 'signed' && maxDownloads) {
+      throw createApiError(400, 'maxDownloads não é suportado em links assinados');
+    }
+    if (mode === 'stored' && (allowedIp || downloadFileName)) {
+      throw createApiError(400, 'allowedIp e downloadFileName são suportados apenas em links assinados (mode=signed)');
+    }
+    
+    // Calcular tempo de expiração (padrão: 2 horas, ou o valor especificado em minutos)
+    const expiration = expirationMinutes 
+      ? Date.now() + (expirationMinutes * 60 * 1000) 
+      : Date.now() + DEFAULT_EXPIRATION_TIME;
+    
+    let linkId = null;
+    let token;
+
+    if (mode === 'signed') {
+      // Link assinado: os dados do link ficam no próprio token, sem estado no servidor
+      token = linkSigner.sign({
+        srv: req.ftpServer.name,
+        root: req.rootDir,
+        sub: target.path,
+        ip: allowedIp || undefined,
+        fn: downloadFileName
+      }, expiration);
+    } else {
+      // Gerar ID único para o link
+      linkId = uuidv4();
+      token = linkId;
+
+      // Armazenar informações do link temporário (com o caminho já normalizado)
+      await temporaryLinks.create({
+        id: linkId,
+        server: req.ftpServer.name,
+        keyId: req.apiKey.id,
+        rootDir: req.rootDir,
+        remotePath: target.dir,
+        fileName: target.name,
+        pathComplete: pathComplete ? target.path : undefined,
+        expiration: expiration,
+        createdAt: Date.now(),
+        maxDownloads: maxDownloads ? Number(maxDownloads) : null,
+        downloadCount: 0
+      });
+    }
+    
+    res.locals.audit.details = {
+      mode,
+      linkId,
+      expiresAt: new Date(expiration).toISOString(),
+      maxDownloads: maxDownloads ? Number(maxDownloads) : null,
+      allowedIp: allowedIp || undefined
+    };
+
+    // Retornar o link de download e informações de expiração
+    res.status(200).json({
+      success: true,
+      mode: mode,
+      downloadUrl: buildPublicUrl(req, `/api/temp-download/${token}`),
+      expiresAt: new Date(expiration).toISOString(),
+      maxDownloads: maxDownloads ? Number(maxDownloads) : null,
+      linkId: linkId
+    });
+    
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao criar link temporário');
+  }
+});
+
+// Indica se o link armazenado é visível para a chave: links da mesma raiz
+// (rootDir) em caminhos permitidos a ela. Chaves com admin veem todos.
+function canAccessLink(req, link) {
+  if (req.apiKey.operations.includes('admin')) return true;
+
+  const virtualPath = link.pathComplete || path.posix.join(link.remotePath, link.fileName);
+  return link.rootDir === req.rootDir && isPathAllowed(req.apiKey, virtualPath);
+}
+
+// Rota para listar os links temporários ativos visíveis para a chave
+app.get('/api/temp-links', authenticate, authorize('link'), validateRequest('listTempLinks'), async (req, res) => {
+  try {
+    const now = Date.now();
+    const links = (await temporaryLinks.list())
+      .filter(link => isLinkActive(link, now) && canAccessLink(req, link))
+      .map(link => ({
+        linkId: link.id,
+        keyId: link.keyId || null,
+        server: link.server,
+        remotePath: link.remotePath,
+        fileName: link.fileName,
+        pathComplete: link.pathComplete,
+        createdAt: new Date(link.createdAt).toISOString(),
+        expiresAt: new Date(link.expiration).toISOString(),
+        maxDownloads: link.maxDownloads,
+        downloadCount: link.downloadCount
+      }));
+
+    res.status(200).json({
+      success: true,
+      links: links
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao listar links temporários');
+  }
+});
+
+// Rota para revogar um link temporário. Apenas a chave que criou o link (ou
+// uma chave com admin) pode revogá-lo.
+app.delete('/api/temp-link/:linkId', audited('link.delete'), authenticate, authorize('link'), validateRequest('revokeTempLink'), async (req, res) => {
+  try {
+    const { linkId } = req.params;
+    res.locals.audit.details = { linkId };
+
+    const link = await temporaryLinks.get(linkId);
+    if (!link || !canAccessLink(req, link)) {
+      throw createApiError(404, 'Link de download não encontrado ou expirado', 'LINK_NOT_FOUND');
+    }
+    if (link.keyId !== req.apiKey.id && !req.apiKey.operations.includes('admin')) {
+      throw createApiError(403, 'Link criado por outra chave de API', 'FORBIDDEN');
+    }
+
+    if (!(await temporaryLinks.delete(linkId))) {
+      throw createApiError(404, 'Link de download não encontrado ou expirado', 'LINK_NOT_FOUND');
+    }
+
+    console.log(`Link temporário revogado: ${linkId}`);
+    res.status(200).json({
+      success: true,
+      message: 'Link temporário revogado',
+      linkId: linkId
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao revogar link temporário');
+  }
+});
+
+// Obtém o servidor e o arquivo de um link armazenado, registrando o download.
+// Se a transferência falhar, a rota devolve o download com refund.
+async function resolveStoredLink(linkId) {
+  const link = await temporaryLinks.get(linkId);
+
+  // Verificar se o link existe e não expirou
+  if (!link) {
+    throw createApiError(404, 'Link de download não encontrado ou expirado', 'LINK_NOT_FOUND');
+  }
+
+  // Verificar se o link expirou
+  if (link.expiration < Date.now()) {
+    // Remover link expirado
+    await temporaryLinks.delete(linkId);
+    throw createApiError(410, 'Link de download expirado', 'LINK_EXPIRED');
+  }
+
+  // Verificar se ainda restam downloads. O download só é registrado quando a
+  // transferência que chega ao fim do arquivo começa (veja beforeTransfer)
+  if (!isLinkActive(link)) {
+    throw createApiError(410, 'Limite de downloads do link atingido', 'LINK_EXHAUSTED');
+  }
+
+  const server = ftpServers.get(link.server);
+  if (!server) {
+    throw createApiError(500, `Servidor do link não está mais configurado: ${link.server}`);
+  }
+
+  // Extrair informações do arquivo, dentro da raiz permitida a quem criou o link
+  const target = resolveRemoteFile(getRemoteRoot(server, link.rootDir), {
+    path: link.remotePath,
+    fileName: link.fileName,
+    pathComplete: link.pathComplete
+  });
+
+  return { server, target, rootDir: link.rootDir };
+}
+
+// Devolve o download de um link armazenado cuja transferência falhou. Falhas
+// ao devolver são apenas logadas, para não esconder o erro da transferência.
+async function refundLinkDownload(linkId) {
+  try {
+    await temporaryLinks.refund(linkId);
+  } catch (error) {
+    console.error(`Erro ao devolver o download do link ${linkId}:`, error);
+  }
+}
+
+// Obtém o servidor e o arquivo de um link assinado, verificando assinatura,
+// validade e o IP de origem. Não consulta nenhum armazenamento.
+function resolveSignedLink(req, token) {
+  const claims = linkSigner.verify(token);
+
+  if (!isIpAllowed(req.ip, claims.ip)) {
+    throw createApiError(403, 'Link de download não permitido para este endereço IP', 'IP_NOT_ALLOWED');
+  }
+
+  const server = ftpServers.get(claims.srv);
+  if (!server) {
+    throw createApiError(500, `Servidor do link não está mais configurado: ${claims.srv}`);
+  }
+
+  const target = resolveRemoteFile(getRemoteRoot(server, claims.root), { pathComplete: claims.sub });
+  return { server, target, rootDir: claims.root, downloadName: claims.fn };
+}
+
+// Rota para baixar arquivo usando link temporário (não requer autenticação)
+app.get('/api/temp-download/:linkId', audited('temp-download'), validateRequest('downloadTempLink'), async (req, res) => {
+  try {
+    const { linkId } = req.params;
+    const signed = linkId.includes('.');
+    res.locals.audit.details = signed ? { mode: 'signed' } : { mode: 'stored', linkId };
+
+    // Tokens assinados (JWT) têm pontos; os links armazenados são UUIDs
+    const { server, target, rootDir, downloadName } = signed
+      ? resolveSignedLink(req, linkId)
+      : await resolveStoredLink(linkId);
+    Object.assign(res.locals.audit, { server: server.name, rootDir, path: target.path });
+    
+    // Adicionar cabeçalhos de segurança
+    res.setHeader('Content-Security-Policy', "default-src 'self' https:;");
+    res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'SAMEORIGIN');
+    
+    // Em links armazenados, o download é contado uma única vez, ao começar a
+    // transferência completa ou o intervalo que chega ao fim do arquivo.
+    // HEAD e intervalos intermediários de um download retomado não contam.
+    let counted = false;
+    if (!signed) {
+      res.locals.beforeTransfer = async (completesFile) => {
+        if (!completesFile || counted) return;
+        if (!(await temporaryLinks.consume(linkId))) {
+          throw createApiError(410, 'Limite de downloads do link atingido', 'LINK_EXHAUSTED');
+        }
+        counted = true;
+      };
+    }
+
+    // Transmitir arquivo do FTP para a resposta. O download contado só
+    // permanece registrado se a transferência terminar.
+    try {
+      await sendRemoteFile(req, res, target.fullDir, target.name, server, downloadName || target.name);
+    } catch (error) {
+      if (counted) await refundLinkDownload(linkId);
+      throw error;
+    }
+    console.log(`Arquivo baixado do FTP via link temporário: ${target.path}`);
+    
+  } catch (error) {
+    // Se a transferência já começou, apenas interromper a conexão
+    if (res.headersSent) {
+      console.error('Erro ao recuperar arquivo via link temporário:', error);
+      return res.destroy(error);
+    }
+
+    sendOperationError(res, error, 'Erro ao recuperar o arquivo');
+  }
+});
+
+// Rota para listar arquivos em um diretório FTP
+app.get('/api/list', audited('list'), authenticate, authorize('list'), validateRequest('listFiles'), selectServer, async (req, res) => {
+  const server = req.ftpServer;
+  let client = null;
+
+  try {
+    const { path: remotePath } = req.query;
+
+
+    console.log(`Tentando listar arquivos em: ${remotePath}`);
+    console.log(`Conectando ao servidor ${server.name}: ${server.host}:${server.port}`);
+
+
+    if (!remotePath) {
+      throw createApiError(400, 'Caminho remoto não especificado');
+    }
+
+    const dir = resolveRemoteDir(req.remoteRoot, remotePath);
+    res.locals.audit.path = dir.path;
+    authorizePath(req, dir.path);
+
+    // Paginação, filtros, ordenação e modo recursivo
+    const options = parseListOptions(req.query);
+
+    client = await acquireStorage(server);
+
+    // Após conexão bem-sucedida
+    console.log("Conexão FTP estabelecida com sucesso");
+
+    try {
+      console.log(`Tentando acessar diretório: ${remotePath}`);
+      await client.cd(dir.fullPath);
+      console.log("Diretório acessado com sucesso");
+    } catch (error) {
+      console.error(`Erro ao acessar diretório: ${error.message}`);
+      throw createApiError(404, `Diretório não encontrado: ${dir.path}`, 'DIRECTORY_NOT_FOUND');
+    }
+
+    console.log("Listando arquivos...");
+    const { total, files, nextCursor } = await listDirectory(client, dir.fullPath, options);
+    console.log(`Encontrados ${total} itens`);
+    res.locals.audit.details = { count: files.length, total, recursive: options.recursive || undefined };
+
+    res.status(200).json({
+      success: true,
+      server: server.name,
+      path: dir.path,
+      total: total,
+      count: files.length,
+      nextCursor: nextCursor,
+      files: files
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao listar arquivos');
+  } finally {
+    releaseStorage(client);
+  }
+});
+
+// Rota para buscar arquivos em um diretório e seus subdiretórios, por nome
+// (glob/regex), tamanho e data de modificação. Os resultados são enviados em
+// NDJSON (um JSON por linha) à medida que são encontrados; a última linha traz
+// o resumo da busca (event: "end").
+app.get('/api/search', audited('search'), authenticate, authorize('list'), validateRequest('searchFiles'), selectServer, async (req, res) => {
+  const server = req.ftpServer;
+  let client = null;
+
+  try {
+    if (!req.query.path) {
+      throw createApiError(400, 'Caminho remoto não especificado');
+    }
+
+    const dir = resolveRemoteDir(req.remoteRoot, req.query.path);
+    res.locals.audit.path = dir.path;
+    authorizePath(req, dir.path);
+
+    const options = parseSearchOptions(req.query);
+
+    client = await acquireStorage(server);
+    const entry = await client.stat(dir.fullPath);
+    if (!entry || entry.type !== FileType.Directory) {
+      throw createApiError(404, `Diretório não encontrado: ${dir.path}`, 'DIRECTORY_NOT_FOUND');
+    }
+
+    res.status(200);
+    res.type('application/x-ndjson');
+
+    // Interromper a busca se o cliente desconectar
+    let clientDisconnected = false;
+    res.once('close', () => {
+      clientDisconnected = true;
+    });
+
+    const writeLine = (data) => {
+      if (res.write(`${JSON.stringify(data)}\n`)) return null;
+      return new Promise(resolve => res.once('drain', resolve));
+    };
+
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await searchTree(client, dir.fullPath, dir.path, options,
+        item => writeLine({ event: 'match', ...item }),
+        () => clientDisconnected);
+    } catch (error) {
+      // Com a resposta já iniciada, o erro vai na última linha
+      console.error('Erro na busca:', error);
+      res.locals.audit.error = error.message;
+      const failure = error.statusCode ? error : createApiError(500, 'Erro ao buscar arquivos');
+      writeLine({ event: 'error', ...buildErrorBody(failure, resolveLanguage(req)) });
+      res.end();
+      return;
+    }
+
+    res.locals.audit.details = { matches: result.matches, truncated: result.truncated, timedOut: result.timedOut };
+    writeLine({
+      event: 'end',
+      server: server.name,
+      path: dir.path,
+      ...result,
+      durationMs: Date.now() - startedAt
+    });
+    res.end();
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao buscar arquivos');
+  } finally {
+    releaseStorage(client);
+  }
+});
+
+// Formata as informações de um arquivo ou diretório, no mesmo formato do /api/list
+function formatRemoteEntry(item, entry) {
+  return {
+    ...formatListEntry(entry, item.path),
+    name: item.name
+  };
+}
+
+// Rota para consultar tamanho e data de modificação de um arquivo ou diretório
+app.get('/api/stat', authenticate, authorize('list'), validateRequest('statFile'), selectServer, async (req, res) => {
+  const server = req.ftpServer;
+  let client = null;
+
+  try {
+    const item = resolveRemoteFile(req.remoteRoot, req.query);
+    authorizePath(req, item.path);
+
+    client = await acquireStorage(server);
+    const entry = await client.stat(item.fullPath);
+
+    if (!entry) {
+      throw createApiError(404, `Arquivo ou diretório não encontrado: ${item.path}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      server: server.name,
+      ...formatRemoteEntry(item, entry)
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao consultar arquivo');
+  } finally {
+    releaseStorage(client);
+  }
+});
+
+// Rota para remover um arquivo
+app.delete('/api/file', audited('delete'), authenticate, authorize('delete'), validateRequest('deleteFile'), selectServer, async (req, res) => {
+  const server = req.ftpServer;
+  let client = null;
+
+  try {
+    const item = resolveRemoteFile(req.remoteRoot, req.query);
+    res.locals.audit.path = item.path;
+    authorizePath(req, item.path);
+
+    client = await acquireStorage(server);
+    const entry = await client.stat(item.fullPath);
+
+    if (!entry) {
+      throw createApiError(404, `Arquivo não encontrado: ${item.path}`, 'FILE_NOT_FOUND');
+    }
+    if (entry.type === FileType.Directory) {
+      throw createApiError(409, 'O caminho é um diretório. Use DELETE /api/rmdir para removê-lo');
+    }
+
+    await client.remove(item.fullPath);
+    // Remover também o .sha256 do arquivo, se houver
+    await client.remove(`${item.fullPath}${SIDECAR_EXTENSION}`).catch(() => {});
+    console.log(`Arquivo removido do FTP (${server.name}): ${item.path}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Arquivo removido com sucesso',
+      server: server.name,
+      path: item.path
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao remover arquivo');
+  } finally {
+    releaseStorage(client);
+  }
+});
+
+// Rota para criar um diretório (e os intermediários)
+app.post('/api/mkdir', audited('mkdir'), authenticate, authorize('upload'), validateRequest('createDirectory'), selectServer, async (req, res) => {
+  const server = req.ftpServer;
+  let client = null;
+
+  try {
+    if (!req.body.path) {
+      throw createApiError(400, 'Caminho remoto não especificado');
+    }
+    const item = resolveRemoteDir(req.remoteRoot, req.body.path);
+    res.locals.audit.path = item.path;
+    authorizePath(req, item.path);
+
+    client = await acquireStorage(server);
+    const entry = await client.stat(item.fullPath);
+
+    if (entry && entry.type !== FileType.Directory) {
+      throw createApiError(409, `Já existe um arquivo com este nome: ${item.path}`);
+    }
+
+    if (!entry) {
+      await client.ensureDir(item.fullPath);
+      console.log(`Diretório criado no FTP (${server.name}): ${item.path}`);
+    }
+
+    res.status(entry ? 200 : 201).json({
+      success: true,
+      message: entry ? 'Diretório já existe' : 'Diretório criado com sucesso',
+      created: !entry,
+      server: server.name,
+      path: item.path
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao criar diretório');
+  } finally {
+    releaseStorage(client);
+  }
+});
+
+// Rota para remover um diretório. Com recursive=true, remove também todo o conteúdo.
+app.delete('/api/rmdir', audited('rmdir'), authenticate, authorize('delete'), validateRequest('removeDirectory'), selectServer, async (req, res) => {
+  const server = req.ftpServer;
+  let client = null;
+
+  try {
+    if (!req.query.path) {
+      throw createApiError(400, 'Caminho remoto não especificado');
+    }
+    const item = resolveRemoteDir(req.remoteRoot, req.query.path);
+    res.locals.audit.path = item.path;
+    authorizePath(req, item.path);
+    const recursive = req.query.recursive === 'true';
+    res.locals.audit.details = { recursive };
+
+    if (item.path === '/') {
+      throw createApiError(400, 'Não é permitido remover o diretório raiz');
+    }
+
+    client = await acquireStorage(server);
+    const entry = await client.stat(item.fullPath);
+
+    if (!entry) {
+      throw createApiError(404, `Diretório não encontrado: ${item.path}`, 'DIRECTORY_NOT_FOUND');
+    }
+    if (entry.type !== FileType.Directory) {
+      throw createApiError(409, 'O caminho não é um diretório. Use DELETE /api/file para removê-lo');
+    }
+
+    if (recursive) {
+      await client.removeDir(item.fullPath);
+    } else {
+      const contents = (await client.list(item.fullPath)).filter(file => file.name !== '.' && file.name !== '..');
+      if (contents.length > 0) {
+        throw createApiError(409, 'Diretório não está vazio. Use recursive=true para remover todo o conteúdo');
+      }
+      await client.removeEmptyDir(item.fullPath);
+    }
+    console.log(`Diretório removido do FTP (${server.name}): ${item.path}${recursive ? ' (recursivo)' : ''}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Diretório removido com sucesso',
+      server: server.name,
+      path: item.path
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao remover diretório');
+  } finally {
+    releaseStorage(client);
+  }
+});
+
+// Valida origem e destino de uma operação de mover/copiar e retorna as
+// informações do item de origem. O destino existente só é aceito com
+// overwrite, e nunca quando origem ou destino forem diretórios.
+async function checkTransferTargets(client, source, target, overwrite) {
+  if (source.fullPath === target.fullPath) {
+    throw createApiError(400, 'Origem e destino são iguais');
+  }
+
+  const sourceEntry = await client.stat(source.fullPath);
+  if (!sourceEntry) {
+    throw createApiError(404, `Arquivo ou diretório não encontrado: ${source.path}`);
+  }
+
+  const targetEntry = await client.stat(target.fullPath);
+  if (targetEntry && (!overwrite || targetEntry.type === FileType.Directory || sourceEntry.type === FileType.Directory)) {
+    throw createApiError(409, `Destino já existe: ${target.path}`);
+  }
+
+  return { sourceEntry, targetEntry };
+}
+
+// Rota para renomear ou mover um arquivo ou diretório
+app.post('/api/rename', audited('rename'), authenticate, authorize('upload', 'delete'), validateRequest('renameFile'), selectServer, async (req, res) => {
+  const server = req.ftpServer;
+  let client = null;
+
+  try {
+    const { from, to } = req.body;
+    const overwrite = req.body.overwrite === true || req.body.overwrite === 'true';
+
+    if (!from || !to) {
+      throw createApiError(400, 'Parâmetros incompletos. É necessário fornecer from e to');
+    }
+
+    const source = resolveRemoteFile(req.remoteRoot, { pathComplete: from }, 'from');
+    const target = resolveRemoteFile(req.remoteRoot, { pathComplete: to }, 'to');
+    res.locals.audit.path = source.path;
+    res.locals.audit.details = { to: target.path };
+    authorizePath(req, source.path, target.path);
+
+    client = await acquireStorage(server);
+    const { sourceEntry, targetEntry } = await checkTransferTargets(client, source, target, overwrite);
+
+    if (sourceEntry.type === FileType.Directory && target.fullPath.startsWith(`${source.fullPath}/`)) {
+      throw createApiError(400, 'Não é possível mover um diretório para dentro dele mesmo');
+    }
+
+    // Nem todo servidor substitui o destino no RNTO/rename, então removê-lo antes
+    if (targetEntry) {
+      await client.remove(target.fullPath);
+    }
+
+    await client.ensureDir(path.posix.dirname(target.fullPath));
+    await client.rename(source.fullPath, target.fullPath);
+
+    // Levar junto o .sha256 do arquivo, se houver
+    if (sourceEntry.type === FileType.File) {
+      await client.remove(`${target.fullPath}${SIDECAR_EXTENSION}`).catch(() => {});
+      await client.rename(`${source.fullPath}${SIDECAR_EXTENSION}`, `${target.fullPath}${SIDECAR_EXTENSION}`).catch(() => {});
+    }
+    console.log(`Arquivo movido no FTP (${server.name}): ${source.path} -> ${target.path}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Arquivo movido com sucesso',
+      server: server.name,
+      from: source.path,
+      to: target.path
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao mover arquivo');
+  } finally {
+    releaseStorage(client);
+  }
+});
+
+// Rota para copiar um arquivo dentro do mesmo servidor. O FTP não tem comando
+// de cópia, então o conteúdo é baixado para um arquivo temporário e reenviado.
+app.post('/api/copy', audited('copy'), authenticate, authorize('download', 'upload'), validateRequest('copyFile'), selectServer, async (req, res) => {
+  const server = req.ftpServer;
+  const tempFilePath = path.join(__dirname, 'temp', `copy-${uuidv4()}`);
+
+  try {
+    const { from, to } = req.body;
+    const overwrite = req.body.overwrite === true || req.body.overwrite === 'true';
+
+    if (!from || !to) {
+      throw createApiError(400, 'Parâmetros incompletos. É necessário fornecer from e to');
+    }
+
+    const source = resolveRemoteFile(req.remoteRoot, { pathComplete: from }, 'from');
+    const target = resolveRemoteFile(req.remoteRoot, { pathComplete: to }, 'to');
+    res.locals.audit.path = source.path;
+    res.locals.audit.details = { to: target.path };
+    authorizePath(req, source.path, target.path);
+
+    const client = await acquireStorage(server);
+    let sourceEntry;
+    try {
+      ({ sourceEntry } = await checkTransferTargets(client, source, target, overwrite));
+    } finally {
+      releaseStorage(client);
+    }
+
+    if (sourceEntry.type === FileType.Directory) {
+      throw createApiError(400, 'Cópia de diretórios não suportada');
+    }
+
+    res.locals.audit.size = sourceEntry.size;
+    await downloadFromFtp(source.fullDir, source.name, tempFilePath, server);
+    await uploadToFtp(tempFilePath, target.fullDir, target.name, server);
+    console.log(`Arquivo copiado no FTP (${server.name}): ${source.path} -> ${target.path}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Arquivo copiado com sucesso',
+      server: server.name,
+      from: source.path,
+      to: target.path,
+      size: sourceEntry.size
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao copiar arquivo');
+  } finally {
+    fs.rmSync(tempFilePath, { force: true });
+  }
+});
+
+// Rota para listar as versões anteriores de um arquivo (uploads com conflict=version)
+app.get('/api/versions', authenticate, authorize('list'), validateRequest('listVersions'), selectServer, async (req, res) => {
+  const server = req.ftpServer;
+  let client = null;
+
+  try {
+    const item = resolveRemoteFile(req.remoteRoot, req.query);
+    authorizePath(req, item.path);
+
+    client = await acquireStorage(server);
+    const versions = await listVersions(client, item.fullDir, item.name);
+
+    res.status(200).json({
+      success: true,
+      server: server.name,
+      path: item.path,
+      count: versions.length,
+      versions
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao listar versões');
+  } finally {
+    releaseStorage(client);
+  }
+});
+
+// Rota para restaurar uma versão anterior. A cópia atual do arquivo é guardada
+// como uma nova versão, então a restauração também pode ser desfeita.
+app.post('/api/versions/restore', audited('version.restore'), authenticate, authorize('upload'), validateRequest('restoreVersion'), selectServer, async (req, res) => {
+  const server = req.ftpServer;
+  let client = null;
+
+  try {
+    const { versionId } = req.body;
+
+    if (!versionId) {
+      throw createApiError(400, 'Parâmetros incompletos. É necessário fornecer versionId');
+    }
+
+    const item = resolveRemoteFile(req.remoteRoot, req.body);
+    res.locals.audit.path = item.path;
+    res.locals.audit.details = { versionId };
+    authorizePath(req, item.path);
+
+    client = await acquireStorage(server);
+    const previousVersion = await restoreVersion(client, item.fullDir, item.name, versionId);
+    console.log(`Versão ${versionId} restaurada no FTP (${server.name}): ${item.path}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Versão restaurada com sucesso',
+      server: server.name,
+      path: item.path,
+      restoredVersion: versionId,
+      previousVersion
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao restaurar versão');
+  } finally {
+    releaseStorage(client);
+  }
+});
+
+// Arquivos gerados pela própria API no servidor, ignorados nas sincronizações:
+// .sha256, partes de uploads atômicos e o diretório de versões
+const PART_FILE_PATTERN = /^\..+\.part-[0-9a-f-]{36}$/;
+
+function isSyncIgnored(relativePath, names) {
+  const name = path.posix.basename(relativePath);
+  if (relativePath.split('/').includes(VERSIONS_DIR) || PART_FILE_PATTERN.test(name)) return true;
+  return name.endsWith(SIDECAR_EXTENSION) && names.has(relativePath.slice(0, -SIDECAR_EXTENSION.length));
+}
+
+// Arquivos de um diretório remoto (e dos subdiretórios, se recursive):
+// Map caminho relativo -> { size, mtime }. Diretório inexistente = vazio.
+async function readRemoteFiles(client, dirFullPath, recursive = true) {
+  const files = new Map();
+  const dir = await client.stat(dirFullPath);
+  if (!dir) return files;
+  if (dir.type !== FileType.Directory) {
+    throw createApiError(409, `O caminho remoto não é um diretório: ${dirFullPath}`);
+  }
+
+  for await (const { entry, relativePath } of walkTree(client, dirFullPath, recursive ? Infinity : 1)) {
+    if (entry.type !== FileType.File) continue;
+    const modified = normalizeModifiedDate(entry);
+    files.set(relativePath, { size: entry.size, mtime: modified ? Date.parse(modified) : null });
+  }
+
+  for (const relativePath of files.keys()) {
+    if (isSyncIgnored(relativePath, files)) files.delete(relativePath);
+  }
+  return files;
+}
+
+// Arquivos de um diretório local (recursivo): Map caminho relativo -> { size, mtime }
+function readLocalFiles(dirPath, prefix = '', files = new Map()) {
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    const entryPath = path.join(dirPath, entry.name);
+
+    if (entry.isDirectory()) {
+      readLocalFiles(entryPath, relativePath, files);
+    } else if (entry.isFile() && !PART_FILE_PATTERN.test(entry.name)) {
+      const stats = fs.statSync(entryPath);
+      files.set(relativePath, { size: stats.size, mtime: stats.mtimeMs });
+    }
+  }
+  return files;
+}
+
+// Baixa os arquivos novos ou alterados do diretório remoto para o local. Cada
+// arquivo é gravado como .<nome>.part-<uuid> e renomeado ao final, com a data
+// de modificação do servidor.
+async function syncRemoteToLocal(client, job, run, server, remoteDir, localDir) {
+  const entry = await client.stat(remoteDir.fullPath);
+  if (!entry || entry.type !== FileType.Directory) {
+    throw createApiError(404, `Diretório remoto não encontrado: ${remoteDir.path}`, 'DIRECTORY_NOT_FOUND');
+  }
+
+  fs.mkdirSync(localDir, { recursive: true });
+  const plan = planMirror(await readRemoteFiles(client, remoteDir.fullPath), readLocalFiles(localDir), job);
+  run.files.unchanged = plan.unchanged;
+
+  for (const file of plan.transfer) {
+    const localPath = path.join(localDir, ...file.path.split('/'));
+    const partPath = path.join(path.dirname(localPath), `.${path.basename(localPath)}.part-${uuidv4()}`);
+    const endTransfer = metrics.startTransfer('download');
+
+    try {
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+      await client.downloadTo(partPath, path.posix.join(remoteDir.fullPath, file.path));
+
+      const size = fs.statSync(partPath).size;
+      if (size !== file.size) {
+        throw createApiError(502, `Foram recebidos ${size} bytes, mas o arquivo no servidor tem ${file.size}`);
+      }
+      fs.renameSync(partPath, localPath);
+      if (file.mtime !== null) {
+        fs.utimesSync(localPath, new Date(), new Date(file.mtime));
+      }
+
+      metrics.addTransferBytes('download', server.name, size);
+      run.files.transferred++;
+      run.bytesTransferred += size;
+    } catch (error) {
+      fs.rmSync(partPath, { force: true });
+      syncJobs.recordFileError(run, file.path, error);
+    } finally {
+      endTransfer();
+    }
+  }
+
+  for (const relativePath of plan.remove) {
+    try {
+      fs.rmSync(path.join(localDir, ...relativePath.split('/')));
+      run.files.deleted++;
+    } catch (error) {
+      syncJobs.recordFileError(run, relativePath, error);
+    }
+  }
+}
+
+// Envia um arquivo local de uma sincronização, com as mesmas validações de
+// conteúdo e integridade dos uploads da API
+async function uploadSyncFile(client, job, server, remoteDir, localPath, relativePath) {
+  const target = resolveRemoteFile(getRemoteRoot(server, job.rootDir), { pathComplete: path.posix.join(remoteDir.path, relativePath) });
+  await validateUploadContent(localPath, server, job.rootDir, target);
+  await uploadFileTo(client, localPath, target.fullDir, target.name, parseIntegrityOptions({}));
+}
+
+// Remove um arquivo remoto de uma sincronização (com o .sha256, se houver)
+async function removeSyncFile(client, remoteDir, relativePath) {
+  const fullPath = path.posix.join(remoteDir.fullPath, relativePath);
+  await client.remove(fullPath);
+  await client.remove(`${fullPath}${SIDECAR_EXTENSION}`).catch(() => {});
+}
+
+// Envia os arquivos novos ou alterados do diretório local para o remoto
+async function syncLocalToRemote(client, job, run, server, remoteDir, localDir) {
+  if (!fs.existsSync(localDir) || !fs.statSync(localDir).isDirectory()) {
+    throw createApiError(404, `Diretório local não encontrado: ${job.localPath}`, 'DIRECTORY_NOT_FOUND');
+  }
+
+  const plan = planMirror(readLocalFiles(localDir), await readRemoteFiles(client, remoteDir.fullPath), job);
+  run.files.unchanged = plan.unchanged;
+
+  for (const file of plan.transfer) {
+    try {
+      await uploadSyncFile(client, job, server, remoteDir, path.join(localDir, ...file.path.split('/')), file.path);
+      run.files.transferred++;
+      run.bytesTransferred += file.size;
+    } catch (error) {
+      syncJobs.recordFileError(run, file.path, error);
+    }
+  }
+
+  for (const relativePath of plan.remove) {
+    try {
+      await removeSyncFile(client, remoteDir, relativePath);
+      run.files.deleted++;
+    } catch (error) {
+      syncJobs.recordFileError(run, relativePath, error);
+    }
+  }
+}
+
+// Baixa as URLs da lista e envia ao diretório remoto as que mudaram. Sem
+// data de modificação confiável nas URLs, a comparação é só pelo tamanho.
+async function syncUrlsToRemote(client, job, run, server, remoteDir) {
+  const targetFiles = await readRemoteFiles(client, remoteDir.fullPath, false);
+
+  for (const item of job.urls) {
+    const tempFilePath = path.join(__dirname, 'temp', `sync-${uuidv4()}`);
+
+    try {
+      fs.mkdirSync(path.dirname(tempFilePath), { recursive: true });
+      const fileInfo = await urlFetcher.download(item.url, tempFilePath);
+      const target = targetFiles.get(item.fileName);
+
+      if (target && target.size === fileInfo.size) {
+        run.files.unchanged++;
+      } else {
+        await uploadSyncFile(client, job, server, remoteDir, tempFilePath, item.fileName);
+        run.files.transferred++;
+        run.bytesTransferred += fileInfo.size;
+      }
+    } catch (error) {
+      syncJobs.recordFileError(run, item.fileName, error);
+    } finally {
+      fs.rmSync(tempFilePath, { force: true });
+    }
+  }
+
+  if (job.deleteExtraneous) {
+    const names = new Set(job.urls.map(item => item.fileName));
+    for (const relativePath of targetFiles.keys()) {
+      if (names.has(relativePath)) continue;
+      try {
+        await removeSyncFile(client, remoteDir, relativePath);
+        run.files.deleted++;
+      } catch (error) {
+        syncJobs.recordFileError(run, relativePath, error);
+      }
+    }
+  }
+}
+
+// Executa uma sincronização (ver lib/sync-jobs)
+async function runSyncJob(job, run) {
+  const server = ftpServers.get(job.server);
+  if (!server) {
+    throw createApiError(400, `Servidor desconhecido: ${job.server}`, 'UNKNOWN_SERVER');
+  }
+
+  const remoteDir = resolveRemoteDir(getRemoteRoot(server, job.rootDir), job.remotePath, 'remotePath');
+  const localDir = job.localPath ? path.join(SYNC_LOCAL_ROOT, ...job.localPath.split('/').filter(Boolean)) : null;
+  const client = await acquireStorage(server);
+
+  try {
+    switch (job.type) {
+      case 'remote-to-local':
+        return await syncRemoteToLocal(client, job, run, server, remoteDir, localDir);
+      case 'local-to-remote':
+        return await syncLocalToRemote(client, job, run, server, remoteDir, localDir);
+      default:
+        return await syncUrlsToRemote(client, job, run, server, remoteDir);
+    }
+  } finally {
+    releaseStorage(client);
+  }
+}
+
+// Registra cada execução de sincronização na auditoria
+function recordSyncRun(job, run) {
+  const server = ftpServers.get(job.server);
+
+  recordAudit({
+    operation: 'sync.run',
+    keyId: job.keyId,
+    server: server ? server.name : job.server,
+    path: job.remotePath,
+    size: run.bytesTransferred,
+    outcome: run.state === 'failed' ? 'failure' : 'success',
+    error: run.error,
+    durationMs: run.finishedAt - run.startedAt,
+    details: { jobId: job.id, runId: run.id, type: job.type, trigger: run.trigger, state: run.state, files: run.files }
+  });
+}
+
+// Rota para listar as sincronizações agendadas
+app.get('/api/sync-jobs', authenticate, authorize('admin'), validateRequest('listSyncJobs'), (req, res) => {
+  const jobs = syncJobs.list().map(job => formatSyncJob(job, syncJobs));
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    jobs
+  });
+});
+
+// Rota para criar uma sincronização
+app.post('/api/sync-jobs', audited('sync.create'), authenticate, authorize('admin'), validateRequest('createSyncJob'), async (req, res) => {
+  try {
+    const definition = req.body || {};
+    const server = ftpServers.get(definition.server);
+    if (!server) {
+      throw createApiError(400, `Servidor desconhecido: ${definition.server}`, 'UNKNOWN_SERVER');
+    }
+
+    res.locals.audit.server = server.name;
+
+    const job = await syncJobs.create({ ...definition, server: server.name }, {
+      keyId: req.apiKey.id,
+      rootDir: req.rootDir,
+      validate: (normalized) => {
+        res.locals.audit.path = normalized.remotePath;
+        authorizePath(req, normalized.remotePath);
+        (normalized.urls || []).forEach(item => urlFetcher.checkUrl(item.url, 'urls'));
+      }
+    });
+    res.locals.audit.details = { jobId: job.id, type: job.type };
+    console.log(`Sincronização criada: ${job.id} (${job.type})`);
+
+    res.status(201).json({
+      success: true,
+      job: formatSyncJob(job, syncJobs)
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao criar sincronização');
+  }
+});
+
+// Rota para consultar uma sincronização e a última execução
+app.get('/api/sync-jobs/:jobId', authenticate, authorize('admin'), validateRequest('getSyncJob'), async (req, res) => {
+  try {
+    const job = syncJobs.get(req.params.jobId);
+    if (!job) {
+      throw createApiError(404, `Sincronização não encontrada: ${req.params.jobId}`);
+    }
+
+    const [lastRun] = await syncJobs.runs(job.id, 1);
+    res.status(200).json({
+      success: true,
+      job: formatSyncJob(job, syncJobs),
+      lastRun: lastRun ? formatSyncRun(lastRun) : null
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao consultar sincronização');
+  }
+});
+
+// Rota para remover uma sincronização criada pela API
+app.delete('/api/sync-jobs/:jobId', audited('sync.delete'), authenticate, authorize('admin'), validateRequest('deleteSyncJob'), async (req, res) => {
+  try {
+    res.locals.audit.details = { jobId: req.params.jobId };
+    await syncJobs.remove(req.params.jobId);
+    console.log(`Sincronização removida: ${req.params.jobId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sincronização removida com sucesso',
+      jobId: req.params.jobId
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao remover sincronização');
+  }
+});
+
+// Rota para executar uma sincronização agora, sem esperar o agendamento
+app.post('/api/sync-jobs/:jobId/run', audited('sync.trigger'), authenticate, authorize('admin'), validateRequest('runSyncJob'), async (req, res) => {
+  try {
+    res.locals.audit.details = { jobId: req.params.jobId };
+    const run = await syncJobs.trigger(req.params.jobId, 'manual');
+
+    res.status(202).json({
+      success: true,
+      message: 'Sincronização iniciada',
+      statusUrl: `/api/sync-jobs/${encodeURIComponent(req.params.jobId)}/runs`,
+      run: formatSyncRun(run)
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao iniciar sincronização');
+  }
+});
+
+// Rota para consultar o histórico de execuções de uma sincronização
+app.get('/api/sync-jobs/:jobId/runs', authenticate, authorize('admin'), validateRequest('listSyncRuns'), async (req, res) => {
+  try {
+    if (!syncJobs.get(req.params.jobId)) {
+      throw createApiError(404, `Sincronização não encontrada: ${req.params.jobId}`);
+    }
+
+    const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit);
+    const runs = await syncJobs.runs(req.params.jobId, limit);
+    res.status(200).json({
+      success: true,
+      jobId: req.params.jobId,
+      count: runs.length,
+      runs: runs.map(formatSyncRun)
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao consultar execuções da sincronização');
+  }
+});
+
+// Lista um diretório monitorado (os mesmos arquivos considerados nas
+// sincronizações: sem .sha256, partes de uploads e versões)
+async function scanWatchedFolder(watch) {
+  const server = ftpServers.get(watch.server);
+  if (!server) {
+    throw createApiError(400, `Servidor desconhecido: ${watch.server}`, 'UNKNOWN_SERVER');
+  }
+
+  const dir = resolveRemoteDir(getRemoteRoot(server, watch.rootDir), watch.path, 'path');
+  const client = await acquireStorage(server);
+  try {
+    return await readRemoteFiles(client, dir.fullPath, watch.recursive);
+  } finally {
+    releaseStorage(client);
+  }
+}
+
+// Publica os eventos das alterações notadas em um diretório monitorado
+function publishWatchChanges(watch, changes) {
+  for (const change of changes) {
+    webhooks.publish({
+      type: `file.${change.type}`,
+      server: watch.server,
+      path: path.posix.join('/', watch.rootDir || '/', watch.path, change.path),
+      size: change.size,
+      mtime: change.mtime ? new Date(change.mtime).toISOString() : null,
+      actor: { type: 'watcher', watchId: watch.id, keyId: watch.keyId }
+    });
+  }
+}
+
+// Os caminhos das assinaturas (e dos eventos) partem da raiz do servidor. Os
+// informados por uma chave com diretório raiz são relativos a ele, e sem
+// paths a assinatura fica limitada a esse diretório.
+function scopeWebhookPaths(req, paths) {
+  if (paths === undefined || paths === null) {
+    return req.rootDir && req.rootDir !== '/' ? [req.rootDir] : paths;
+  }
+  if (!Array.isArray(paths)) {
+    return paths;
+  }
+  return paths.map(item => path.posix.join('/', req.rootDir || '/', normalizeRemotePath(item, 'paths')));
+}
+
+// Valida servidor e URL de uma assinatura de webhook
+function checkWebhookDefinition(definition) {
+  if (definition.server !== undefined && definition.server !== null && !ftpServers.get(definition.server)) {
+    throw createApiError(400, `Servidor desconhecido: ${definition.server}`, 'UNKNOWN_SERVER');
+  }
+  if (definition.url !== undefined) {
+    urlFetcher.checkUrl(definition.url, 'url');
+  }
+}
+
+// Rota para listar as assinaturas de webhooks
+app.get('/api/webhooks', authenticate, authorize('admin'), validateRequest('listWebhooks'), (req, res) => {
+  const subscriptions = webhooks.list().map(subscription => formatSubscription(subscription));
+
+  res.status(200).json({
+    success: true,
+    count: subscriptions.length,
+    webhooks: subscriptions
+  });
 });
 
-// Rota para criar um link de download temporário
-app.post('/api/create-temp-link', authenticate, async (req, res) => {
+// Rota para criar uma assinatura de webhook. O segredo usado nas assinaturas
+// HMAC só é retornado aqui.
+app.post('/api/webhooks', audited('webhook.create'), authenticate, authorize('admin'), validateRequest('createWebhook'), async (req, res) => {
   try {
-    const { path: remotePath, fileName, pathComplete, expirationMinutes } = req.body;
-    
-    // Verificar se temos pathComplete OU (path E fileName)
-    if ((!remotePath || !fileName) && !pathComplete) {
-      return res.status(400).json({
-        error: 'Parâmetros incompletos. Forneça pathComplete OU ambos path e fileName'
-      });
-    }
-    
-    // Calcular tempo de expiração (padrão: 2 horas, ou o valor especificado em minutos)
-    const expiration = expirationMinutes 
-      ? Date.now() + (expirationMinutes * 60 * 1000) 
-      : Date.now() + DEFAULT_EXPIRATION_TIME;
-    
-    // Gerar ID único para o link
-    const linkId = uuidv4();
-    
-    // Armazenar informações do link temporário
-    temporaryLinks[linkId] = {
-      remotePath: remotePath,
-      fileName: fileName,
-      pathComplete: pathComplete,
-      expiration: expiration,
-      createdAt: Date.now()
-    };
-    
-    // Construir URL para o download - garantir HTTPS
-    const host = req.get('host');
-    const protocol = 'https'; // Forçar HTTPS para evitar problemas de mixed content
-    const downloadUrl = `${protocol}://${host}/api/temp-download/${linkId}`;
-    
-    // Retornar o link de download e informações de expiração
+    const definition = req.body || {};
+    checkWebhookDefinition(definition);
+
+    const subscription = await webhooks.create({
+      ...definition,
+      server: definition.server ? ftpServers.get(definition.server).name : null,
+      paths: scopeWebhookPaths(req, definition.paths)
+    }, { keyId: req.apiKey.id });
+    Object.assign(res.locals.audit, {
+      server: subscription.server,
+      details: { webhookId: subscription.id, url: redactUrl(subscription.url), events: subscription.events }
+    });
+    console.log(`Webhook criado: ${subscription.id} (${redactUrl(subscription.url)})`);
+
+    res.status(201).json({
+      success: true,
+      webhook: formatSubscription(subscription, { includeSecret: true })
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao criar webhook');
+  }
+});
+
+// Rota para consultar uma assinatura de webhook
+app.get('/api/webhooks/:webhookId', authenticate, authorize('admin'), validateRequest('getWebhook'), (req, res) => {
+  const subscription = webhooks.get(req.params.webhookId);
+  if (!subscription) {
+    return sendError(res, createApiError(404, `Webhook não encontrado: ${req.params.webhookId}`));
+  }
+
+  res.status(200).json({
+    success: true,
+    webhook: formatSubscription(subscription)
+  });
+});
+
+// Rota para alterar uma assinatura de webhook (url, description, events,
+// server, paths e enabled)
+app.patch('/api/webhooks/:webhookId', audited('webhook.update'), authenticate, authorize('admin'), validateRequest('updateWebhook'), async (req, res) => {
+  try {
+    const changes = req.body || {};
+    res.locals.audit.details = { webhookId: req.params.webhookId };
+    checkWebhookDefinition(changes);
+
+    const subscription = await webhooks.update(req.params.webhookId, {
+      ...changes,
+      server: changes.server ? ftpServers.get(changes.server).name : changes.server,
+      paths: changes.paths === undefined ? undefined : scopeWebhookPaths(req, changes.paths)
+    });
+    res.locals.audit.server = subscription.server;
+    console.log(`Webhook alterado: ${subscription.id}`);
+
     res.status(200).json({
       success: true,
-      downloadUrl: downloadUrl,
-      expiresAt: new Date(expiration).toISOString(),
-      linkId: linkId
+      webhook: formatSubscription(subscription)
     });
-    
-    // Programar limpeza do link após expiração
-    setTimeout(() => {
-      delete temporaryLinks[linkId];
-      console.log(`Link temporário expirado e removido: ${linkId}`);
-    }, expiration - Date.now());
-    
   } catch (error) {
-    console.error('Erro ao criar link temporário:', error);
-    res.status(500).json({
-      error: 'Erro ao criar link temporário',
-      details: error.message
+    sendOperationError(res, error, 'Erro ao alterar webhook');
+  }
+});
+
+// Rota para remover uma assinatura de webhook (e o registro das entregas)
+app.delete('/api/webhooks/:webhookId', audited('webhook.delete'), authenticate, authorize('admin'), validateRequest('deleteWebhook'), async (req, res) => {
+  try {
+    res.locals.audit.details = { webhookId: req.params.webhookId };
+    await webhooks.remove(req.params.webhookId);
+    console.log(`Webhook removido: ${req.params.webhookId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook removido com sucesso',
+      webhookId: req.params.webhookId
     });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao remover webhook');
   }
 });
 
-// Rota para baixar arquivo usando link temporário (não requer autenticação)
-app.get('/api/temp-download/:linkId', async (req, res) => {
+// Rota para consultar as últimas entregas de uma assinatura de webhook
+app.get('/api/webhooks/:webhookId/deliveries', authenticate, authorize('admin'), validateRequest('listWebhookDeliveries'), async (req, res) => {
   try {
-    const { linkId } = req.params;
-    
-    // Verificar se o link existe e não expirou
-    if (!temporaryLinks[linkId]) {
-      return res.status(404).json({
-        error: 'Link de download não encontrado ou expirado'
-      });
-    }
-    
-    // Verificar se o link expirou
-    if (temporaryLinks[linkId].expiration < Date.now()) {
-      // Remover link expirado
-      delete temporaryLinks[linkId];
-      return res.status(410).json({
-        error: 'Link de download expirado'
-      });
+    if (!webhooks.get(req.params.webhookId)) {
+      throw createApiError(404, `Webhook não encontrado: ${req.params.webhookId}`);
     }
-    
-    // Extrair informações do arquivo
-    const { remotePath, fileName, pathComplete } = temporaryLinks[linkId];
-    
-    let finalRemotePath, finalFileName;
-    
-    if (pathComplete) {
-      // Usar pathComplete para extrair o caminho e o nome do arquivo
-      const lastSlashIndex = pathComplete.lastIndexOf('/');
-      
-      if (lastSlashIndex === -1) {
-        // Se não houver barra, assumimos que é apenas um nome de arquivo na raiz
-        finalRemotePath = '';
-        finalFileName = pathComplete;
-      } else {
-        // Caso contrário, separamos o caminho e o nome do arquivo
-        finalRemotePath = pathComplete.substring(0, lastSlashIndex);
-        finalFileName = pathComplete.substring(lastSlashIndex + 1);
-      }
-    } else {
-      // Usar os parâmetros individuais
-      finalRemotePath = remotePath;
-      finalFileName = fileName;
+
+    const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit);
+    const deliveries = await webhooks.deliveries(req.params.webhookId, limit);
+    res.status(200).json({
+      success: true,
+      webhookId: req.params.webhookId,
+      count: deliveries.length,
+      deliveries: deliveries.map(formatDelivery)
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao consultar entregas do webhook');
+  }
+});
+
+// Rota para listar os diretórios monitorados
+app.get('/api/watches', authenticate, authorize('admin'), validateRequest('listWatches'), (req, res) => {
+  const watches = folderWatches.list().map(watch => formatWatch(watch, folderWatches));
+
+  res.status(200).json({
+    success: true,
+    count: watches.length,
+    watches
+  });
+});
+
+// Rota para monitorar um diretório remoto
+app.post('/api/watches', audited('watch.create'), authenticate, authorize('admin'), validateRequest('createWatch'), async (req, res) => {
+  try {
+    const definition = req.body || {};
+    const server = ftpServers.get(definition.server);
+    if (!server) {
+      throw createApiError(400, `Servidor desconhecido: ${definition.server}`, 'UNKNOWN_SERVER');
     }
-    
-    // Criar caminho temporário para o arquivo
-    const uniqueId = uuidv4();
-    const tempFilePath = path.join(DOWNLOAD_DIR, `${uniqueId}-${finalFileName}`);
-    
-    // Baixar arquivo do FTP
-    await downloadFromFtp(finalRemotePath, finalFileName, tempFilePath);
-    console.log(`Arquivo baixado do FTP via link temporário: ${finalRemotePath}/${finalFileName}`);
-    
-    // Adicionar cabeçalhos de segurança
-    res.setHeader('Content-Security-Policy', "default-src 'self' https:;");
-    res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
-    res.setHeader('X-Content-Type-Options', 'nosniff');
-    res.setHeader('X-Frame-Options', 'SAMEORIGIN');
-    
-    // Enviar arquivo como resposta
-    res.download(tempFilePath, finalFileName, (err) => {
-      if (err) {
-        console.error('Erro ao enviar arquivo:', err);
+
+    const dir = resolveRemoteDir(getRemoteRoot(server, req.rootDir), definition.path, 'path');
+    Object.assign(res.locals.audit, { server: server.name, path: dir.path });
+    authorizePath(req, dir.path);
+
+    const watch = await folderWatches.create({ ...definition, server: server.name, path: dir.path }, {
+      keyId: req.apiKey.id,
+      rootDir: req.rootDir
+    });
+    res.locals.audit.details = { watchId: watch.id, recursive: watch.recursive, interval: watch.interval };
+    console.log(`Monitoramento criado: ${watch.id} (${server.name}:${watch.path})`);
+
+    res.status(201).json({
+      success: true,
+      watch: formatWatch(watch, folderWatches)
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao criar monitoramento');
+  }
+});
+
+// Rota para consultar um diretório monitorado e a última listagem
+app.get('/api/watches/:watchId', authenticate, authorize('admin'), validateRequest('getWatch'), (req, res) => {
+  const watch = folderWatches.get(req.params.watchId);
+  if (!watch) {
+    return sendError(res, createApiError(404, `Monitoramento não encontrado: ${req.params.watchId}`));
+  }
+
+  res.status(200).json({
+    success: true,
+    watch: formatWatch(watch, folderWatches)
+  });
+});
+
+// Rota para deixar de monitorar um diretório
+app.delete('/api/watches/:watchId', audited('watch.delete'), authenticate, authorize('admin'), validateRequest('deleteWatch'), async (req, res) => {
+  try {
+    res.locals.audit.details = { watchId: req.params.watchId };
+    await folderWatches.remove(req.params.watchId);
+    console.log(`Monitoramento removido: ${req.params.watchId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Monitoramento removido com sucesso',
+      watchId: req.params.watchId
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao remover monitoramento');
+  }
+});
+
+// Verifica se um servidor está acessível (conexão e login)
+async function checkServer(server) {
+  const startedAt = Date.now();
+
+  try {
+    const client = await connectStorage(server);
+    client.close();
+    return { reachable: true, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { reachable: false, latencyMs: Date.now() - startedAt, error: error.message };
+  }
+}
+
+// Rota para listar os servidores configurados e verificar a conectividade
+app.get('/api/servers', authenticate, authorize('list'), validateRequest('listServers'), async (req, res) => {
+  try {
+    // A verificação pode ser desativada com ?check=false
+    const shouldCheck = req.query.check !== 'false';
+
+    const servers = await Promise.all(ftpServers.list().map(async (server) => ({
+      name: server.name,
+      description: server.description,
+      host: server.host,
+      port: server.port,
+      protocol: server.protocol,
+      root: server.root,
+      default: server.name === ftpServers.defaultName,
+      ...(shouldCheck ? await checkServer(server) : {})
+    })));
+
+    res.status(200).json({
+      success: true,
+      servers: servers
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao listar servidores');
+  }
+});
+
+// Rota para consultar as estatísticas dos pools de conexões
+app.get('/api/pool', authenticate, authorize('admin'), validateRequest('getPoolStats'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    pools: getPoolStats()
+  });
+});
+
+// Rota de métricas no formato do Prometheus. Com METRICS_TOKEN, exige o
+// cabeçalho Authorization: Bearer <METRICS_TOKEN>.
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+    return sendError(res, createApiError(401, 'Token de métricas inválido ou não fornecido', 'UNAUTHENTICATED'));
+  }
+
+  try {
+    const body = await metrics.render();
+    res.set('Content-Type', metrics.contentType);
+    res.send(body);
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao coletar métricas');
+  }
+});
+
+// Liveness: o processo está no ar e atendendo requisições
+app.get('/healthz', (req, res) => {
+  res.status(200).json({
+    status: 'ok',
+    uptime: Math.round(process.uptime())
+  });
+});
+
+// Verifica se um diretório local aceita gravação (cria e remove um arquivo)
+async function checkWritableDir(dirPath) {
+  const probePath = path.join(dirPath, `.readyz-${uuidv4()}`);
+
+  try {
+    await fs.promises.mkdir(dirPath, { recursive: true });
+    await fs.promises.writeFile(probePath, '');
+    await fs.promises.rm(probePath, { force: true });
+    return { writable: true };
+  } catch (error) {
+    return { writable: false, error: error.message };
+  }
+}
+
+// Verifica um servidor pelo pool: um NOOP em uma conexão ociosa ou, se não
+// houver, em uma nova conexão, que fica no pool. Conexões com falha são
+// fechadas para que o pool as descarte.
+async function checkPooledServer(server) {
+  const startedAt = Date.now();
+  let client = null;
+
+  try {
+    client = await acquireStorage(server);
+    await client.keepAlive();
+    return { reachable: true, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    if (client) client.close();
+    return { reachable: false, latencyMs: Date.now() - startedAt, error: error.message };
+  } finally {
+    releaseStorage(client);
+  }
+}
+
+// Executa as verificações do /readyz
+async function checkReadiness() {
+  const servers = ftpServers.list().filter(server => !READINESS_SERVERS || READINESS_SERVERS.includes(server.name));
+
+  const [serverChecks, dirChecks] = await Promise.all([
+    Promise.all(servers.map(async (server) => {
+      const { reachable, latencyMs, error } = await checkPooledServer(server);
+      if (!reachable) {
+        console.error(`Readiness: servidor ${server.name} inacessível: ${error}`);
       }
-      
-      // Limpar arquivo temporário após envio (ou em caso de erro)
-      try {
-        fs.unlinkSync(tempFilePath);
-      } catch (cleanupError) {
-        console.error('Erro ao limpar arquivo temporário:', cleanupError);
+      return { name: server.name, reachable, latencyMs };
+    })),
+    Promise.all(Object.entries(LOCAL_DIRS).map(async ([name, dirPath]) => {
+      const { writable, error } = await checkWritableDir(dirPath);
+      if (!writable) {
+        console.error(`Readiness: diretório ${name} sem permissão de gravação: ${error}`);
       }
+      return { name, writable };
+    }))
+  ]);
+
+  const ready = serverChecks.every(check => check.reachable) && dirChecks.every(check => check.writable);
+
+  return {
+    status: ready ? 'ready' : 'unavailable',
+    servers: serverChecks,
+    directories: dirChecks
+  };
+}
+
+// Última verificação ({ promise, expiresAt }). Requisições simultâneas e as
+// feitas dentro de READINESS_CACHE_TTL compartilham a mesma verificação.
+let readinessCheck = null;
+
+// Readiness: conexão com os servidores (READINESS_SERVERS ou todos) e gravação
+// nos diretórios temporários. Responde 503 se alguma verificação falhar. O
+// endpoint não exige autenticação, por isso os detalhes dos erros vão apenas
+// para o log e o resultado é reaproveitado por READINESS_CACHE_TTL.
+app.get('/readyz', async (req, res) => {
+  if (!readinessCheck || (readinessCheck.expiresAt !== null && readinessCheck.expiresAt <= Date.now())) {
+    const check = { promise: null, expiresAt: null };
+    check.promise = checkReadiness().finally(() => {
+      check.expiresAt = Date.now() + READINESS_CACHE_TTL;
     });
-    
-  } catch (error) {
-    console.error('Erro ao recuperar arquivo via link temporário:', error);
-    
-    if (error.message.includes('não encontrado')) {
-      return res.status(404).json({
-        error: 'Arquivo ou diretório não encontrado',
-        details: error.message
-      });
-    }
-    
-    res.status(500).json({
-      error: 'Erro ao recuperar o arquivo',
-      details: error.message
+    readinessCheck = check;
+  }
+
+  const result = await readinessCheck.promise;
+  res.status(result.status === 'ready' ? 200 : 503).json(result);
+});
+
+// Formata os dados públicos de uma chave de API (sem o hash do segredo)
+function formatApiKey(record) {
+  const toIso = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+  return {
+    id: record.id,
+    name: record.name,
+    operations: record.operations,
+    pathPrefixes: record.pathPrefixes,
+    rootDir: record.rootDir,
+    rateLimit: record.rateLimit,
+    expiresAt: toIso(record.expiresAt),
+    createdAt: toIso(record.createdAt),
+    rotatedAt: toIso(record.rotatedAt),
+    revokedAt: toIso(record.revokedAt),
+    active: isKeyActive(record)
+  };
+}
+
+// Rota para criar uma chave de API. O valor da chave só é exibido nesta resposta.
+app.post('/api/keys', authenticate, authorize('admin'), validateRequest('createApiKey'), async (req, res) => {
+  try {
+    const { key, record } = await apiKeys.create(req.body);
+    console.log(`Chave de API criada: ${record.id} (${record.name}) por ${req.apiKey.id}`);
+
+    res.status(201).json({
+      success: true,
+      key: key,
+      ...formatApiKey(record)
     });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao criar chave de API');
   }
 });
 
-// Rota para listar arquivos em um diretório FTP
-app.get('/api/list', authenticate, async (req, res) => {
-  const client = new ftp.Client();
-  client.ftp.verbose = process.env.NODE_ENV === 'development';
+// Rota para listar as chaves de API
+app.get('/api/keys', authenticate, authorize('admin'), validateRequest('listApiKeys'), async (req, res) => {
+  try {
+    const keys = (await apiKeys.list()).map(formatApiKey);
 
-  // Aumentar o timeout
-  client.ftp.timeout = 30000; // 30 segundos (padrão é 15s)
+    res.status(200).json({
+      success: true,
+      keys: keys
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao listar chaves de API');
+  }
+});
 
+// Rota para gerar um novo segredo para a chave (o anterior deixa de valer)
+app.post('/api/keys/:keyId/rotate', authenticate, authorize('admin'), validateRequest('rotateApiKey'), async (req, res) => {
   try {
-    const { path: remotePath } = req.query;
+    const rotated = await apiKeys.rotate(req.params.keyId);
 
+    if (!rotated) {
+      throw createApiError(404, 'Chave de API não encontrada, revogada ou expirada');
+    }
 
-    console.log(`Tentando listar arquivos em: ${remotePath}`);
-    console.log(`Conectando ao servidor: ${process.env.FTP_HOST}:${process.env.FTP_PORT}`);
+    console.log(`Chave de API rotacionada: ${req.params.keyId} por ${req.apiKey.id}`);
+    res.status(200).json({
+      success: true,
+      key: rotated.key,
+      ...formatApiKey(rotated.record)
+    });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao rotacionar chave de API');
+  }
+});
 
+// Rota para revogar uma chave de API
+app.delete('/api/keys/:keyId', authenticate, authorize('admin'), validateRequest('revokeApiKey'), async (req, res) => {
+  try {
+    const record = await apiKeys.revoke(req.params.keyId);
 
-    if (!remotePath) {
-      return res.status(400).json({
-        error: 'Caminho remoto não especificado'
-      });
+    if (!record) {
+      throw createApiError(404, 'Chave de API não encontrada ou já revogada');
     }
 
-    await client.access({
-      host: process.env.FTP_HOST,
-      user: process.env.FTP_USER,
-      password: process.env.FTP_PASSWORD,
-      port: parseInt(process.env.FTP_PORT) || 21,
-      secure: process.env.FTP_TYPE === 'FTPS',
-      secureOptions: { rejectUnauthorized: false }
+    console.log(`Chave de API revogada: ${req.params.keyId} por ${req.apiKey.id}`);
+    res.status(200).json({
+      success: true,
+      message: 'Chave de API revogada',
+      ...formatApiKey(record)
     });
+  } catch (error) {
+    sendOperationError(res, error, 'Erro ao revogar chave de API');
+  }
+});
 
-    // Após conexão bem-sucedida
-    console.log("Conexão FTP estabelecida com sucesso");
+// Rota para consultar a trilha de auditoria (mais recentes primeiro). Filtros:
+// operation, keyId, server, path (prefixo), outcome, from e to (ISO 8601).
+app.get('/api/audit', authenticate, authorize('admin'), validateRequest('listAuditEntries'), async (req, res) => {
+  try {
+    const filters = parseAuditFilters(req.query);
 
-    try {
-      console.log(`Tentando acessar diretório: ${remotePath}`);
-      await client.cd(remotePath);
-      console.log("Diretório acessado com sucesso");
-    } catch (error) {
-      console.error(`Erro ao acessar diretório: ${error.message}`);
-      return res.status(404).json({
-        error: `Diretório não encontrado: ${remotePath}`
-      });
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : AUDIT_PAGE_SIZE;
+    const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
+    if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_MAX_PAGE_SIZE) {
+      throw createApiError(400, `limit deve ser um número inteiro entre 1 e ${AUDIT_MAX_PAGE_SIZE}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw createApiError(400, 'offset deve ser um número inteiro não negativo');
     }
 
-    console.log("Listando arquivos...");
-    const list = await client.list();
-    console.log(`Encontrados ${list.length} itens`);
-
-    // Formatar a lista de arquivos
-    const files = list.map(item => ({
-      name: item.name,
-      size: item.size,
-      idType: item.type, // 1=arquivo, 2=diretório
-      type: item.type === 2 ? "pasta" : "arquivo",
-      modifiedDate: item.modifiedAt,
-      isDirectory: item.type === 2
-    }));
+    const { total, hasMore, entries } = await auditLog.query(filters, { limit, offset });
 
     res.status(200).json({
       success: true,
-      path: remotePath,
-      files: files
+      total,
+      limit,
+      offset,
+      hasMore,
+      entries
     });
   } catch (error) {
-    console.error('Erro ao listar arquivos:', error);
-    res.status(500).json({
-      error: 'Erro ao listar arquivos',
-      details: error.message
-    });
-  } finally {
-    client.close();
+    sendOperationError(res, error, 'Erro ao consultar auditoria');
+  }
+});
+
+// Documento OpenAPI e Swagger UI (sem autenticação)
+if (API_DOCS) {
+  app.get('/api/openapi.json', (req, res) => {
+    res.status(200).json(openApiDocument);
+  });
+  app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiDocument));
+}
+
+// Rotas inexistentes
+app.use((req, res) => {
+  sendError(res, createApiError(404, `Rota não encontrada: ${req.method} ${req.path}`, 'ROUTE_NOT_FOUND'));
+});
+
+// Erros repassados pelos middlewares (validação das requisições, corpo JSON
+// malformado, limites do multer) e erros não tratados nas rotas. O Express
+// reconhece o tratamento de erros pelos quatro parâmetros.
+app.use((error, req, res, next) => {
+  // Arquivo do multipart recebido antes da falha
+  if (req.file) {
+    fs.rmSync(req.file.path, { force: true });
+  }
+  if (res.headersSent) {
+    console.error('Erro após o início da resposta:', error);
+    return res.destroy(error);
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, createApiError(400, 'Corpo JSON malformado', 'INVALID_JSON'));
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, createApiError(413, 'Corpo da requisição excede o tamanho máximo'));
   }
+  if (error instanceof multer.MulterError) {
+    return sendError(res, error.code === 'LIMIT_FILE_SIZE'
+      ? createApiError(413, 'Arquivo excede o tamanho máximo de 10MB')
+      : createApiError(400, `Erro no envio do arquivo: ${error.message}`));
+  }
+
+  sendOperationError(res, error, 'Erro interno');
 });
 
+// Limpeza periódica dos links expirados ou que atingiram o limite de downloads
+setInterval(async () => {
+  try {
+    const removed = await temporaryLinks.purgeExpired();
+    if (removed > 0) {
+      console.log(`Links temporários expirados removidos: ${removed}`);
+    }
+  } catch (error) {
+    console.error('Erro ao limpar links temporários:', error);
+  }
+}, TEMP_LINK_PURGE_INTERVAL).unref();
+
+// Limpeza periódica das sessões de upload abandonadas
+setInterval(async () => {
+  try {
+    const removed = await uploadSessions.purgeExpired(UPLOAD_SESSION_TTL);
+    if (removed > 0) {
+      console.log(`Sessões de upload abandonadas removidas: ${removed}`);
+    }
+  } catch (error) {
+    console.error('Erro ao limpar sessões de upload:', error);
+  }
+}, UPLOAD_SESSION_PURGE_INTERVAL).unref();
+
+// Limpeza periódica dos jobs de transferência concluídos
+setInterval(async () => {
+  try {
+    const removed = await transferJobs.purgeExpired(JOB_TTL);
+    if (removed > 0) {
+      console.log(`Jobs de transferência concluídos removidos: ${removed}`);
+    }
+  } catch (error) {
+    console.error('Erro ao limpar jobs de transferência:', error);
+  }
+}, JOB_PURGE_INTERVAL).unref();
+
 // Iniciar servidor
 app.listen(PORT, () => {
   console.log(`Servidor rodando na porta ${PORT}`);
@@ -717,6 +3399,10 @@ app.listen(PORT, () => {
       console.log(`Diretório criado: ${dir}`);
     }
   });
+
+  // Agendamentos das sincronizações e listagens dos diretórios monitorados
+  syncJobs.start();
+  folderWatches.start();
 });
 
 module.exports = app; // Para testes
\ No newline at end of file
@@ -0,0 +1,78 @@
+// Expressões cron dos agendamentos de sincronização. As datas são criadas no
+// horário local, como a avaliação das expressões.
+
+const { parseCronExpression } = require('../lib/cron-expression');
+
+// 10/03/2025 é uma segunda-feira
+const at = (day, hour = 0, minute = 0, second = 0) => new Date(2025, 2, day, hour, minute, second);
+
+describe('matches', () => {
+  test('confere minuto, hora e dia da semana', () => {
+    const cron = parseCronExpression('*/15 9-17 * * mon-fri');
+
+    expect(cron.matches(at(10, 10, 30))).toBe(true);
+    expect(cron.matches(at(10, 10, 31))).toBe(false);
+    expect(cron.matches(at(10, 18, 0))).toBe(false);
+    expect(cron.matches(at(15, 10, 30))).toBe(false);
+  });
+
+  test('com dia do mês e dia da semana restritos, basta um coincidir', () => {
+    const cron = parseCronExpression('0 12 1 * mon');
+
+    expect(cron.matches(at(10, 12))).toBe(true); // segunda-feira
+    expect(cron.matches(at(1, 12))).toBe(true); // dia 1 (sábado)
+    expect(cron.matches(at(11, 12))).toBe(false);
+  });
+
+  test('com apenas um dos dois restrito, vale o restrito', () => {
+    expect(parseCronExpression('0 0 13 * *').matches(at(13))).toBe(true);
+    expect(parseCronExpression('0 0 13 * *').matches(at(10))).toBe(false);
+    expect(parseCronExpression('0 0 * * fri').matches(at(14))).toBe(true);
+    expect(parseCronExpression('0 0 * * fri').matches(at(13))).toBe(false);
+  });
+
+  test('aceita domingo como 0 ou 7', () => {
+    expect(parseCronExpression('0 0 * * 0').matches(at(16))).toBe(true);
+    expect(parseCronExpression('0 0 * * 7').matches(at(16))).toBe(true);
+  });
+});
+
+describe('next', () => {
+  test('retorna a próxima data depois da informada, sem segundos', () => {
+    const cron = parseCronExpression('30 10 * * *');
+
+    expect(cron.next(at(10, 10, 29, 45))).toEqual(at(10, 10, 30));
+    expect(cron.next(at(10, 10, 30))).toEqual(at(11, 10, 30));
+  });
+
+  test('segue a regra do dia do mês ou dia da semana', () => {
+    const cron = parseCronExpression('0 12 1 * mon');
+
+    expect(cron.next(at(1, 12))).toEqual(at(3, 12));
+    expect(cron.next(at(31, 12))).toEqual(new Date(2025, 3, 1, 12, 0));
+  });
+
+  test('avança meses e aceita os atalhos', () => {
+    expect(parseCronExpression('0 0 1 jun *').next(at(10))).toEqual(new Date(2025, 5, 1, 0, 0));
+    expect(parseCronExpression('@daily').next(at(10, 23, 59))).toEqual(at(11));
+    expect(parseCronExpression('@weekly').next(at(10))).toEqual(at(16));
+  });
+
+  test('retorna null para datas que nunca ocorrem', () => {
+    expect(parseCronExpression('0 0 30 2 *').next(at(10))).toBeNull();
+  });
+});
+
+describe('validação', () => {
+  test.each([
+    '',
+    '* * * *',
+    '61 * * * *',
+    '* 24 * * *',
+    '5-1 * * * *',
+    '*/0 * * * *',
+    '* * * foo *'
+  ])('recusa "%s" com 400', (source) => {
+    expect(() => parseCronExpression(source)).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
@@ -0,0 +1,69 @@
+// Filtros por nome do /api/list e do /api/search: proteção contra expressões
+// regulares de custo exponencial (ReDoS)
+
+const { parseListOptions, parseSearchOptions, hasNestedQuantifier } = require('../lib/remote-listing');
+
+describe('hasNestedQuantifier', () => {
+  test.each([
+    '(a+)+',
+    '(a*)*',
+    '(?:ab+)*',
+    '(a{2,})+',
+    '(a+?)+',
+    '(a|b+)*'
+  ])('detecta quantificador aninhado em %s', (source) => {
+    expect(hasNestedQuantifier(source)).toBe(true);
+  });
+
+  test.each([
+    '(ab)+',
+    '^a+b*$',
+    '(a+)',
+    '(a)+b+',
+    '[(+)]+',
+    '\\(a+\\)+'
+  ])('aceita %s', (source) => {
+    expect(hasNestedQuantifier(source)).toBe(false);
+  });
+});
+
+describe('filtro regex', () => {
+  test('recusa quantificadores aninhados com 400', () => {
+    expect(() => parseListOptions({ regex: '^(a+)+$' })).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: 'regex não pode ter quantificadores aninhados, como (a+)+'
+    }));
+  });
+
+  test('recusa regex inválida e glob junto com regex', () => {
+    expect(() => parseListOptions({ regex: '(' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => parseListOptions({ glob: '*.txt', regex: 'txt' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('interrompe por tempo uma alternância ambígua como ^(a|a)*$', () => {
+    const { nameFilter } = parseListOptions({ regex: '^(a|a)*$' });
+
+    expect(nameFilter.test('aaaa')).toBe(true);
+    expect(() => nameFilter.test(`${'a'.repeat(40)}b`, 50)).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: 'regex excedeu o tempo máximo de avaliação (50ms). Use uma expressão mais simples'
+    }));
+
+    // O filtro continua utilizável depois de uma interrupção
+    expect(nameFilter.matches(['aa', 'ab'])).toEqual([true, false]);
+  });
+
+  test('aplica o mesmo limite na busca', () => {
+    const { nameFilter } = parseSearchOptions({ regex: '^(a|a)*$' });
+
+    expect(() => nameFilter.test(`${'a'.repeat(40)}b`, 50)).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('filtro glob', () => {
+  test('compara o nome inteiro, sem diferenciar maiúsculas', () => {
+    const { nameFilter } = parseListOptions({ glob: '*.txt' });
+
+    expect(nameFilter.matches(['a.txt', 'a.txt.bak', 'b.TXT'])).toEqual([true, false, true]);
+  });
+});
@@ -0,0 +1,75 @@
+// Plano das sincronizações: o que transferir e remover em cada execução
+
+const { planMirror } = require('../lib/sync-jobs');
+
+const files = entries => new Map(Object.entries(entries));
+
+const MINUTE = 60 * 1000;
+const now = Date.UTC(2025, 2, 10, 12, 0);
+
+describe('planMirror', () => {
+  test('transfere arquivos novos, com outro tamanho ou mais recentes na origem', () => {
+    const source = files({
+      'novo.txt': { size: 10, mtime: now },
+      'tamanho.txt': { size: 20, mtime: now },
+      'alterado.txt': { size: 30, mtime: now },
+      'igual.txt': { size: 40, mtime: now }
+    });
+    const target = files({
+      'tamanho.txt': { size: 21, mtime: now },
+      'alterado.txt': { size: 30, mtime: now - 2 * MINUTE },
+      'igual.txt': { size: 40, mtime: now }
+    });
+
+    expect(planMirror(source, target)).toEqual({
+      transfer: [
+        { path: 'novo.txt', size: 10, mtime: now, reason: 'new' },
+        { path: 'tamanho.txt', size: 20, mtime: now, reason: 'size' },
+        { path: 'alterado.txt', size: 30, mtime: now, reason: 'modified' }
+      ],
+      remove: [],
+      unchanged: 1
+    });
+  });
+
+  test('ignora diferenças de data de até 1 minuto e destinos mais recentes', () => {
+    const source = files({
+      'a.txt': { size: 1, mtime: now },
+      'b.txt': { size: 1, mtime: now - 5 * MINUTE }
+    });
+    const target = files({
+      'a.txt': { size: 1, mtime: now - 30 * 1000 },
+      'b.txt': { size: 1, mtime: now }
+    });
+
+    expect(planMirror(source, target)).toEqual({ transfer: [], remove: [], unchanged: 2 });
+  });
+
+  test('sem data de modificação, compara apenas o tamanho', () => {
+    const source = files({
+      'url.bin': { size: 5, mtime: null },
+      'outra.bin': { size: 6, mtime: null }
+    });
+    const target = files({
+      'url.bin': { size: 5, mtime: now },
+      'outra.bin': { size: 7, mtime: now }
+    });
+
+    const plan = planMirror(source, target);
+
+    expect(plan.transfer.map(item => [item.path, item.reason])).toEqual([['outra.bin', 'size']]);
+    expect(plan.unchanged).toBe(1);
+  });
+
+  test('remove os arquivos que não existem na origem só com deleteExtraneous', () => {
+    const source = files({ 'a.txt': { size: 1, mtime: now } });
+    const target = files({
+      'a.txt': { size: 1, mtime: now },
+      'sobra.txt': { size: 2, mtime: now },
+      'sub/sobra.txt': { size: 3, mtime: now }
+    });
+
+    expect(planMirror(source, target).remove).toEqual([]);
+    expect(planMirror(source, target, { deleteExtraneous: true }).remove).toEqual(['sobra.txt', 'sub/sobra.txt']);
+  });
+});
@@ -0,0 +1,131 @@
+// Stores de links temporários: limite de downloads, devolução (refund) e a
+// trava do store em arquivo compartilhado entre instâncias
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileTempLinkStore, SqliteTempLinkStore } = require('../lib/temp-link-store');
+
+const hasSqlite = (() => {
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+function buildLink(fields = {}) {
+  return {
+    id: 'link-1',
+    server: 'default',
+    remotePath: '/docs',
+    fileName: 'a.txt',
+    expiration: Date.now() + 60 * 1000,
+    createdAt: Date.now(),
+    maxDownloads: 2,
+    downloadCount: 0,
+    ...fields
+  };
+}
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'temp-links-'));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe.each([
+  ['arquivo', () => new FileTempLinkStore(path.join(dir, 'links.json')), true],
+  ['sqlite', () => new SqliteTempLinkStore(path.join(dir, 'links.db')), hasSqlite]
+])('store em %s', (name, createStore, available) => {
+  const run = available ? test : test.skip;
+
+  run('consume respeita maxDownloads', async () => {
+    const store = createStore();
+    await store.create(buildLink());
+
+    expect(await store.consume('link-1')).toMatchObject({ downloadCount: 1 });
+    expect(await store.consume('link-1')).toMatchObject({ downloadCount: 2 });
+    expect(await store.consume('link-1')).toBeNull();
+    expect(await store.consume('inexistente')).toBeNull();
+  });
+
+  run('refund devolve um download sem ficar negativo', async () => {
+    const store = createStore();
+    await store.create(buildLink({ maxDownloads: 1 }));
+
+    await store.consume('link-1');
+    expect(await store.consume('link-1')).toBeNull();
+
+    expect(await store.refund('link-1')).toBe(true);
+    expect((await store.get('link-1')).downloadCount).toBe(0);
+    expect(await store.refund('link-1')).toBe(false);
+    expect((await store.get('link-1')).downloadCount).toBe(0);
+    expect(await store.refund('inexistente')).toBe(false);
+
+    expect(await store.consume('link-1')).toMatchObject({ downloadCount: 1 });
+  });
+
+  run('não aceita downloads em links expirados', async () => {
+    const store = createStore();
+    await store.create(buildLink({ expiration: Date.now() - 1000 }));
+
+    expect(await store.consume('link-1')).toBeNull();
+  });
+});
+
+describe('trava do store em arquivo', () => {
+  test('instâncias no mesmo arquivo não ultrapassam maxDownloads', async () => {
+    const filePath = path.join(dir, 'links.json');
+    const stores = [1, 2, 3].map(() => new FileTempLinkStore(filePath));
+    await stores[0].create(buildLink({ maxDownloads: 10 }));
+
+    const results = await Promise.all(
+      Array.from({ length: 30 }, (_, index) => stores[index % stores.length].consume('link-1'))
+    );
+
+    expect(results.filter(Boolean)).toHaveLength(10);
+    expect((await new FileTempLinkStore(filePath).get('link-1')).downloadCount).toBe(10);
+    expect(fs.existsSync(`${filePath}.lock`)).toBe(false);
+  });
+
+  test('recupera uma trava abandonada', async () => {
+    const store = new FileTempLinkStore(path.join(dir, 'links.json'));
+    fs.writeFileSync(store.lockPath, '999999:abandonada');
+    const old = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(store.lockPath, old, old);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await store.create(buildLink());
+
+    expect(await store.get('link-1')).toMatchObject({ id: 'link-1' });
+    expect(fs.readdirSync(dir)).toEqual(['links.json']);
+  });
+
+  test('responde 503 quando a trava não é liberada a tempo', async () => {
+    const store = new FileTempLinkStore(path.join(dir, 'links.json'));
+    await store.create(buildLink());
+
+    // Trava de outra instância, sempre recente durante o teste
+    fs.writeFileSync(store.lockPath, '999999:ativa');
+    const future = new Date(Date.now() + 60 * 1000);
+    fs.utimesSync(store.lockPath, future, future);
+
+    jest.useFakeTimers();
+    const consumed = store.consume('link-1');
+    const assertion = expect(consumed).rejects.toMatchObject({ statusCode: 503, code: 'SERVICE_UNAVAILABLE' });
+    await jest.advanceTimersByTimeAsync(6000);
+    await assertion;
+
+    // A trava dos outros não é removida e o download não foi contado
+    expect(fs.readFileSync(store.lockPath, 'utf8')).toBe('999999:ativa');
+    expect((await store.get('link-1')).downloadCount).toBe(0);
+  });
+});